@@ -7,11 +7,17 @@
 // Diablo-style exploration with hub, acts, and boss portals
 
 import { State, resetRun, resetPlayer } from './runtime/State.js';
-import { loadAllData } from './runtime/DataLoader.js';
+import { loadAllData, getConfig } from './runtime/DataLoader.js';
 import { Save } from './runtime/Save.js';
+import { SaveScheduler } from './runtime/SaveScheduler.js';
 import { Stats } from './runtime/Stats.js';
 import { Leveling } from './runtime/Leveling.js';
 import { Items } from './runtime/Items.js';
+import { ItemEffects } from './runtime/ItemEffects.js';
+import { LootRNG } from './runtime/LootRNG.js';
+import { LootFilter } from './runtime/LootFilter.js';
+import { StashTabs } from './runtime/StashTabs.js';
+import { Loadouts } from './runtime/Loadouts.js';
 import { Player } from './runtime/Player.js';
 import { Enemies } from './runtime/Enemies.js';
 import { Bullets } from './runtime/Bullets.js';
@@ -66,12 +72,13 @@ const Game = {
     // Load data
     await loadAllData();
     
-    // Load save
+    // Storage backend ('auto' = IndexedDB when available), then load save
+    await Save.init(getConfig('save.storage', 'auto'));
     Save.load();
     
     // Register modules in State for cross-module access
     State.modules = {
-      Save, Stats, Leveling, Items, Player, 
+      Save, SaveScheduler, Stats, Leveling, Items, ItemEffects, LootRNG, LootFilter, StashTabs, Loadouts, Player, 
       Enemies, Bullets, Pickups, Particles, UI,
       Camera, World, SceneManager, Crafting, Audio, PostFX
     };
@@ -79,24 +86,32 @@ const Game = {
     // Initialize systems
     Input.init(this.canvas);
     UI.init();
+    if (Save.lastError) UI.showSaveWarning(Save.lastError);
     Audio.init();
     PostFX.init();
     Camera.init(0, 0);
     SceneManager.init();
     
-    // Calculate stats
-    Stats.calculate();
+    // Stats, starter kit, unlocks for the loaded pilot
+    this.prepareMeta();
     
-    // Add starter items if new
-    if (State.meta.stash.length === 0) {
-      this.addStarterItems();
-    }
+    // Show profile picker (start screen)
+    this.renderStartUI();
     
-    // Initialize act unlocks
-    this.initActUnlocks();
+    // Closing the tab mid-zone suspends the run instead of losing it.
+    // pagehide (not beforeunload) so a cancelled unload leaves no stale snapshot;
+    // a page restored from the back/forward cache keeps playing, so drop it again.
+    window.addEventListener('pagehide', () => this.suspendRun(true));
+    window.addEventListener('pageshow', (e) => {
+      if (e.persisted && State.run.active && State.meta.suspendedRun) {
+        State.meta.suspendedRun = null;
+        SaveScheduler.markDirty('run');
+      }
+    });
     
-    // Show hub
-    this.showHub();
+    // Debounced autosave
+    SaveScheduler.init();
+    SaveScheduler.onChange(s => UI.renderAutosave(s));
     
     // Start loop
     this.lastTime = performance.now();
@@ -137,6 +152,22 @@ const Game = {
     }
   },
   
+  // Derived state for the freshly loaded pilot (boot + save slot switch)
+  prepareMeta() {
+    // Calculate stats
+    Stats.calculate();
+    
+    // Add starter items if new
+    if (State.meta.stash.length === 0) {
+      this.addStarterItems();
+    }
+    
+    // Initialize act unlocks
+    this.initActUnlocks();
+    
+    UI.renderAll();
+  },
+  
   addStarterItems() {
     const starterWeapon = Items.generate('laser_cannon', 'common');
     const starterShield = Items.generate('energy_barrier', 'common');
@@ -151,7 +182,7 @@ const Game = {
     if (starterEngine) Items.equip(starterEngine.id);
     
     Stats.calculate();
-    Save.save();
+    SaveScheduler.markDirty('stash');
     UI.renderAll();
   },
   
@@ -429,12 +460,11 @@ const Game = {
     const ab = State.player.abilities;
     if (!ab) return;
     
+    const p = State.player;
     const sw = this.screenW;
     const sh = this.screenH;
     const slotSize = 40;
     const gap = 8;
-    const totalW = slotSize * 3 + gap * 2;
-    const startX = (sw - totalW) / 2;
     const y = sh - 55;
     
     const abilities = [
@@ -443,6 +473,18 @@ const Game = {
       { key: 'orbital', label: 'F', name: 'ORBITAL', color: '#ff6600', data: ab.orbital }
     ];
     
+    // Secondary weapon slot (only when one is equipped)
+    const secondary = Player.getSecondary();
+    if (secondary) {
+      abilities.push({
+        key: 'secondary', label: 'C', name: (secondary.def.label || 'Secondary').toUpperCase(), color: '#ff8800',
+        data: { cooldown: p.secondaryCooldown || 0, maxCooldown: p.secondaryMaxCooldown || 1, active: false }
+      });
+    }
+    
+    const totalW = slotSize * abilities.length + gap * (abilities.length - 1);
+    const startX = (sw - totalW) / 2;
+    
     for (let i = 0; i < abilities.length; i++) {
       const a = abilities[i];
       const x = startX + i * (slotSize + gap);
@@ -799,10 +841,97 @@ const Game = {
     ctx.fillText(`Zone ${World.zoneIndex + 1}`, mapX + 4, mapY + mapSize - 4);
   },
   
+  // ========== START SCREEN / SAVE SLOTS ==========
+  
+  renderStartUI() {
+    const m = State.meta;
+    const hz = m.highestZones || {};
+    const el = (id, val) => { const e = document.getElementById(id); if (e) e.textContent = val; };
+    el('startScrap', m.scrap || 0);
+    el('startLevel', m.level || 1);
+    el('startWave', Math.max(hz.normal || 0, hz.risk || 0, hz.chaos || 0));
+    el('startRuns', m.totalRuns || 0);
+    
+    const listEl = document.getElementById('saveSlotList');
+    if (!listEl) return;
+    
+    const slots = Save.listSlots();
+    let html = '';
+    for (const slot of slots) {
+      const sum = slot.summary || {};
+      const bz = sum.bestZones || {};
+      const updated = slot.updated ? new Date(slot.updated).toLocaleString() : 'Never saved';
+      html += `
+        <div class="slot-card ${slot.active ? 'active' : ''}" onclick="Game.selectSaveSlot('${slot.id}')">
+          <div class="slot-main">
+            <div class="slot-name">${UI.escapeHTML(slot.name)}</div>
+            <div class="slot-meta">
+              <span>LVL ${sum.level || 1}</span>
+              <span title="Best zone per difficulty lane">
+                <span style="color:#44cc66">Z${bz.normal || 0}</span> /
+                <span style="color:#ffaa00">Z${bz.risk || 0}</span> /
+                <span style="color:#ff3355">Z${bz.chaos || 0}</span>
+              </span>
+              <span>\u23F1 ${this.formatTime(sum.playtime || 0)}</span>
+            </div>
+            <div class="slot-updated">${updated}</div>
+          </div>
+          <div class="slot-actions" onclick="event.stopPropagation()">
+            <button class="slot-btn" title="Rename" onclick="Game.renameSaveSlot('${slot.id}')">\u270F\uFE0F</button>
+            <button class="slot-btn" title="Duplicate" onclick="Game.duplicateSaveSlot('${slot.id}')">\u{1F4CB}</button>
+            <button class="slot-btn danger" title="Delete" onclick="Game.deleteSaveSlot('${slot.id}')" ${slots.length <= 1 ? 'disabled' : ''}>\u{1F5D1}</button>
+          </div>
+        </div>
+      `;
+    }
+    listEl.innerHTML = html;
+  },
+  
+  selectSaveSlot(slotId) {
+    if (slotId === Save.getActiveSlotId()) return;
+    if (!Save.switchSlot(slotId)) return;
+    this.prepareMeta();
+    this.renderStartUI();
+  },
+  
+  createSaveSlot() {
+    const name = prompt('Pilot name:', 'Pilot ' + (Save.listSlots().length + 1));
+    if (name === null) return;
+    const slot = Save.createSlot(name);
+    this.selectSaveSlot(slot.id);
+  },
+  
+  renameSaveSlot(slotId) {
+    const slot = Save.listSlots().find(s => s.id === slotId);
+    if (!slot) return;
+    const name = prompt('Rename pilot:', slot.name);
+    if (name === null) return;
+    Save.renameSlot(slotId, name);
+    this.renderStartUI();
+  },
+  
+  duplicateSaveSlot(slotId) {
+    Save.duplicateSlot(slotId);
+    this.renderStartUI();
+  },
+  
+  deleteSaveSlot(slotId) {
+    const slot = Save.listSlots().find(s => s.id === slotId);
+    if (!slot) return;
+    if (!confirm(`Delete pilot "${slot.name}"? This cannot be undone.`)) return;
+    const wasActive = slot.active;
+    if (!Save.deleteSlot(slotId)) return;
+    if (wasActive) this.prepareMeta();
+    this.renderStartUI();
+  },
+  
   // ========== HUB ==========
   
   showHub() {
     SceneManager.goToHub();
+    StashTabs.beginVisit();
+    // A loadout queued during the run swaps in on arrival
+    if (Loadouts.applyPending()) UI.renderAll();
     this.hideModal('startModal');
     this.showModal('hubModal');
     this.renderHubUI();
@@ -817,6 +946,8 @@ const Game = {
     if (scrapEl) scrapEl.textContent = State.meta.scrap;
     if (levelEl) levelEl.textContent = State.meta.level;
     
+    this.renderSaveReport();
+    
     // Render portal list (tier-based infinite zones)
     if (actsEl) {
       const acts = State.data.acts;
@@ -827,16 +958,31 @@ const Game = {
       
       const portals = acts.portals || [];
       const tiers = acts.tiers || [];
-      // Migrate legacy highestZone → per-difficulty
+      // Legacy highestZone is migrated on load (SaveMigrations.js)
       if (!State.meta.highestZones) State.meta.highestZones = { normal: 0, risk: 0, chaos: 0 };
-      if (State.meta.highestZone && !State.meta.highestZones.normal) {
-        State.meta.highestZones.normal = State.meta.highestZone;
-      }
       const hz = State.meta.highestZones;
       const globalHighest = Math.max(hz.normal || 0, hz.risk || 0, hz.chaos || 0);
       
       let html = '';
       
+      // ═══ SUSPENDED RUN ═══
+      const suspended = State.meta.suspendedRun;
+      if (suspended) {
+        const zoneNo = (suspended.zoneIndex || 0) + 1;
+        const diff = suspended.difficulty || 'normal';
+        const diffColor = diff === 'chaos' ? '#ff3355' : diff === 'risk' ? '#ffaa00' : '#44cc66';
+        const hp = Math.ceil(suspended.player?.hp || 0);
+        const kills = suspended.run?.stats?.kills || 0;
+        html += `<div style="margin-bottom:16px; border:1px solid ${diffColor}; border-radius:8px; padding:12px; background:rgba(0,0,0,0.3);">`;
+        html += `<div style="color:var(--cyan); font-size:12px; font-family:Orbitron,sans-serif; margin-bottom:6px;">\u23F8\uFE0F SUSPENDED RUN</div>`;
+        html += `<div style="font-size:13px; color:#fff;">Zone ${zoneNo} <span style="color:${diffColor}; font-size:11px;">${diff.toUpperCase()}</span></div>`;
+        html += `<div style="font-size:10px; color:#888; margin:2px 0 8px;">\u2764\uFE0F ${hp} HP \u00B7 ${kills} kills \u00B7 \u26A1 ${suspended.run?.cells || 0} cells \u00B7 ${new Date(suspended.time || Date.now()).toLocaleString()}</div>`;
+        html += `<div style="display:flex; gap:8px;">`;
+        html += `<button class="btn primary small" onclick="Game.resumeSuspendedRun()">\u25B6 RESUME</button>`;
+        html += `<button class="btn danger small" onclick="Game.discardSuspendedRun()">ABANDON</button>`;
+        html += `</div></div>`;
+      }
+      
       // ═══ PER-DIFFICULTY RESUME PORTALS ═══
       const lanes = [
         { key: 'normal', label: '🟢 NORMAL', color: '#44cc66', zone: hz.normal || 0 },
@@ -926,6 +1072,40 @@ const Game = {
     UI.renderAll();
   },
   
+  // Save migration / repair notice (from the last Save.load)
+  renderSaveReport() {
+    const el = document.getElementById('hubSaveReport');
+    if (!el) return;
+    
+    const report = Save.lastReport;
+    if (!report || (report.migrations.length === 0 && report.repairs.length === 0)) {
+      el.innerHTML = '';
+      el.style.display = 'none';
+      return;
+    }
+    
+    const icons = { currency: '\u{1F4B0}', progress: '\u{1F4C8}', stash: '\u{1F4E6}', equipment: '\u2694\uFE0F', encoding: '\u{1F524}' };
+    let html = `<div class="save-report-title">\u{1F6E0}\uFE0F SAVE UPDATED`;
+    if (report.migrations.length > 0) html += ` <span>v${report.fromVersion} \u2192 v${report.toVersion}</span>`;
+    if (report.source === 'backup') html += ` <span style="color:var(--gold)">(restored from backup)</span>`;
+    html += `</div><ul>`;
+    for (const step of report.migrations) {
+      html += `<li>\u2B06\uFE0F ${UI.escapeHTML(step)}</li>`;
+    }
+    for (const r of report.repairs) {
+      html += `<li>${icons[r.type] || '\u2022'} ${UI.escapeHTML(r.message)}</li>`;
+    }
+    html += `</ul><button class="btn small" onclick="Game.dismissSaveReport()">OK</button>`;
+    
+    el.innerHTML = html;
+    el.style.display = 'block';
+  },
+  
+  dismissSaveReport() {
+    Save.dismissReport();
+    this.renderSaveReport();
+  },
+  
   // ========== GAME FLOW ==========
   
   startAct(actId) {
@@ -1054,13 +1234,100 @@ const Game = {
     // Add earned resources
     State.meta.scrap += State.run.scrapEarned;
     
-    Save.save();
+    SaveScheduler.markDirty('currency'); // written by the hub transition
     
     setTimeout(() => {
       this.showHub();
     }, 600);
   },
   
+  // ========== SUSPEND / RESUME ==========
+  
+  // Snapshot the current run into State.meta.suspendedRun and save.
+  // silent: keep playing (tab close); otherwise leave to the hub (P key).
+  suspendRun(silent = false) {
+    if (!State.run.active || SceneManager.getScene() !== 'combat' || Player.isDead()) return false;
+    
+    const zone = World.createSnapshot();
+    if (!zone) return false;
+    
+    const p = State.player;
+    const run = State.run;
+    State.meta.suspendedRun = {
+      version: 1,
+      time: Date.now(),
+      ...zone,
+      player: { ...zone.player, hp: p.hp, shield: p.shield, weaponType: p.weaponType },
+      run: {
+        currentAct: run.currentAct,
+        difficulty: run.difficulty,
+        startZone: run.startZone,
+        cells: run.cells,
+        scrapEarned: run.scrapEarned,
+        xpEarned: run.xpEarned,
+        upgrades: { ...run.upgrades },
+        streak: run.streak ? { ...run.streak } : null,
+        stats: { ...run.stats },
+        nextRoute: run._nextRoute || null
+      }
+    };
+    SaveScheduler.flush('suspend', { sync: true, force: true });
+    console.log(`[GAME] Run suspended at zone ${zone.zoneIndex + 1}`);
+    
+    if (!silent) {
+      State.run.active = false;
+      this.announce('\u23F8\uFE0F RUN SUSPENDED');
+      setTimeout(() => this.showHub(), 300);
+    }
+    return true;
+  },
+  
+  resumeSuspendedRun() {
+    const snap = State.meta.suspendedRun;
+    if (!snap) return;
+    
+    this.hideModal('hubModal');
+    
+    resetRun();
+    const saved = snap.run || {};
+    Object.assign(State.run, {
+      active: true,
+      currentAct: saved.currentAct || snap.actId,
+      difficulty: snap.difficulty || saved.difficulty || 'normal',
+      startZone: saved.startZone,
+      cells: saved.cells || 0,
+      scrapEarned: saved.scrapEarned || 0,
+      xpEarned: saved.xpEarned || 0,
+      upgrades: { ...(saved.upgrades || {}) },
+      _nextRoute: saved.nextRoute || null
+    });
+    if (saved.stats) Object.assign(State.run.stats, saved.stats);
+    if (saved.streak) State.run.streak = { ...saved.streak };
+    
+    const weapon = snap.player?.weaponType;
+    if (weapon && State.player.weaponDefs?.[weapon]) State.player.weaponType = weapon;
+    
+    // Run upgrades feed into stats; HP is restored after the zone is rebuilt
+    Stats.calculate();
+    
+    // One snapshot, one resume (no save-scumming the same zone)
+    State.meta.suspendedRun = null;
+    SaveScheduler.flush('resume', { sync: true, force: true });
+    
+    SceneManager.resumeRun(snap);
+    
+    this.announce(`\u25B6 RESUMED \u2014 ZONE ${(snap.zoneIndex || 0) + 1}`, 'boss');
+    UI.renderAll();
+  },
+  
+  discardSuspendedRun() {
+    if (!State.meta.suspendedRun) return;
+    if (!confirm('Abandon the suspended run? Its cells and unbanked scrap are lost.')) return;
+    State.meta.suspendedRun = null;
+    SaveScheduler.markDirty('run');
+    this.renderHubUI();
+  },
+  
   onBossKilled(actId) {
     // Mark act as completed
     if (!State.meta.actsCompleted) State.meta.actsCompleted = {};
@@ -1079,7 +1346,7 @@ const Game = {
       State.run.scrapEarned += actData.rewards.completionScrap;
     }
     
-    Save.save();
+    SaveScheduler.markDirty('progress');
     
     this.announce('[OK] ACT COMPLETE!', 'boss');
   },
@@ -1093,7 +1360,7 @@ const Game = {
     State.meta.totalKills += State.run.stats.kills;
     State.meta.totalPlaytime += State.run.stats.timeElapsed;
     
-    Save.save();
+    SaveScheduler.flush('death', { force: true });
     
     // Update death modal
     document.getElementById('deathWave').textContent = `Zone ${World.zoneIndex + 1}`;
@@ -1127,6 +1394,7 @@ const Game = {
   
   openVendor() {
     State.ui.paused = true;
+    SaveScheduler.safePoint('pause');
     UI.renderVendor();
     this.showModal('vendorModal');
   },
@@ -1138,6 +1406,16 @@ const Game = {
     UI.renderShipStats();
   },
 
+  openLootFilter() {
+    UI.renderLootFilter();
+    this.showModal('lootFilterModal');
+  },
+  
+  closeLootFilter() {
+    this.hideModal('lootFilterModal');
+    SaveScheduler.safePoint('lootFilter');
+  },
+
   // ========== CRAFTING UI ==========
   _craftSelectedItem: null,
   _craftPickerOpen: false,
@@ -1195,6 +1473,7 @@ const Game = {
       html += `<div class="craft-stash-item${sel}" style="border-color:${color}" onclick="Game.craftPickItem('${item.id}')">
         <span>${icon}</span>
         <span class="item-ilvl">${item.ilvl || 1}</span>
+        ${item.locked || item.favorite ? '<span class="item-lock">\uD83D\uDD12</span>' : ''}
       </div>`;
     }
     picker.innerHTML = html;
@@ -1311,8 +1590,7 @@ const Game = {
   },
   
   _maxAffixes(item) {
-    const caps = { common: 1, uncommon: 2, rare: 3, epic: 4, legendary: 5, mythic: 6 };
-    return caps[item?.rarity] || 3;
+    return Items.getAffixLimits(item?.rarity).total;
   },
 
   craftExecute(recipeId) {
@@ -1348,7 +1626,7 @@ const Game = {
 
     this._updateCraftCurrencies();
     this._renderCraftRecipes();
-    Save.save();
+    SaveScheduler.markDirty('stash');
   },
 
   craftSalvage() {
@@ -1386,9 +1664,182 @@ const Game = {
 
     this._updateCraftCurrencies();
     this._renderCraftRecipes();
-    Save.save();
+    SaveScheduler.markDirty('stash');
   },
   
+  // ========== PILOT / SAVE DATA ==========
+  _pendingImport: null,
+
+  openPilot() {
+    this._pendingImport = null;
+    document.getElementById('saveImportText').value = '';
+    this._setSaveStatus('');
+    this._renderImportPreview();
+    this._renderStorageInfo();
+    UI.renderMastery();
+    this.showModal('pilotModal');
+  },
+
+  closePilot() {
+    this._pendingImport = null;
+    this.hideModal('pilotModal');
+  },
+
+  _setSaveStatus(text, type = '') {
+    const el = document.getElementById('saveDataStatus');
+    if (!el) return;
+    el.textContent = text;
+    el.className = 'save-status' + (type ? ' ' + type : '');
+  },
+
+  _renderStorageInfo() {
+    const el = document.getElementById('saveStorageInfo');
+    if (!el) return;
+    const info = Save.getStorageInfo();
+    el.textContent = `Storage: ${info.backend} \u00B7 ${(info.bytes / 1024).toFixed(1)} KB used`;
+  },
+
+  exportSaveFile() {
+    const json = Save.export();
+    const name = (Save.getActiveSlot()?.name || 'pilot').replace(/[^a-z0-9_-]+/gi, '_');
+    const stamp = new Date().toISOString().slice(0, 10);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `bonzookaa_${name}_${stamp}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    this._setSaveStatus('Save file downloaded', 'ok');
+  },
+
+  async copyShareCode() {
+    try {
+      const code = await Save.exportShareCode();
+      const textEl = document.getElementById('saveImportText');
+      try {
+        await navigator.clipboard.writeText(code);
+        this._setSaveStatus(`Share code copied (${code.length} chars)`, 'ok');
+      } catch (e) {
+        // Clipboard blocked (permissions / insecure context): show it for manual copy
+        textEl.value = code;
+        textEl.select();
+        this._setSaveStatus('Clipboard unavailable - share code selected below, copy it manually');
+      }
+    } catch (error) {
+      console.error(' Share code export failed:', error);
+      this._setSaveStatus('Could not create share code', 'fail');
+    }
+  },
+
+  loadImportFile(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      document.getElementById('saveImportText').value = reader.result;
+      this.previewImport();
+    };
+    reader.onerror = () => this._setSaveStatus('Could not read ' + file.name, 'fail');
+    reader.readAsText(file);
+  },
+
+  async previewImport() {
+    const text = document.getElementById('saveImportText').value;
+    const result = await Save.previewImport(text);
+    if (!result.ok) {
+      this._pendingImport = null;
+      this._renderImportPreview();
+      this._setSaveStatus(result.reason, 'fail');
+      return;
+    }
+    this._pendingImport = result;
+    this._setSaveStatus('Checksum OK \u2014 save v' + result.incoming.version, 'ok');
+    this._renderImportPreview();
+  },
+
+  _renderImportPreview() {
+    const el = document.getElementById('saveImportPreview');
+    const rollbackBtn = document.getElementById('saveRollbackBtn');
+    if (rollbackBtn) rollbackBtn.style.display = Save.getRollback() ? '' : 'none';
+    if (!el) return;
+
+    const preview = this._pendingImport;
+    if (!preview) {
+      el.innerHTML = '';
+      el.style.display = 'none';
+      return;
+    }
+
+    const { incoming, current } = preview;
+    const row = (label, from, to) => {
+      const cls = to > from ? 'up' : to < from ? 'down' : '';
+      return `<tr><td>${label}</td><td>${this.formatNumber(from)}</td><td class="${cls}">${this.formatNumber(to)}</td></tr>`;
+    };
+    const who = incoming.pilot ? ` "${UI.escapeHTML(incoming.pilot)}"` : '';
+    const when = incoming.timestamp ? new Date(incoming.timestamp).toLocaleString() : 'unknown date';
+
+    el.innerHTML = `
+      <div style="color:var(--gold); font-family:Orbitron,sans-serif; font-size:11px;">\u26A0\uFE0F IMPORT WILL OVERWRITE "${UI.escapeHTML(current.pilot || 'this pilot')}"</div>
+      <div style="color:var(--text-dim); font-size:10px; margin-top:2px;">Incoming save${who} from ${when}</div>
+      <table>
+        <tr><th></th><th>CURRENT</th><th>IMPORT</th></tr>
+        ${row('Level', current.level, incoming.level)}
+        ${row('Stash items', current.stashSize, incoming.stashSize)}
+        ${row('Best depth', current.bestDepth, incoming.bestDepth)}
+        ${row('Scrap', current.scrap, incoming.scrap)}
+      </table>
+      <div style="color:var(--text-dim); font-size:10px; margin-bottom:8px;">The current save is kept as a rollback until the next import.</div>
+      <div class="pilot-row" style="margin-bottom:0;">
+        <button class="btn small primary" onclick="Game.confirmImport()">IMPORT</button>
+        <button class="btn small" onclick="Game.cancelImport()">CANCEL</button>
+      </div>
+    `;
+    el.style.display = 'block';
+  },
+
+  confirmImport() {
+    if (!this._pendingImport) return;
+    const result = Save.applyImport(this._pendingImport.save);
+    this._pendingImport = null;
+    if (!result.ok) {
+      this._setSaveStatus(result.reason, 'fail');
+      this._renderImportPreview();
+      return;
+    }
+    document.getElementById('saveImportText').value = '';
+    this._afterSaveReplaced();
+    this._setSaveStatus('Save imported \u2014 previous save kept as rollback', 'ok');
+  },
+
+  cancelImport() {
+    this._pendingImport = null;
+    this._setSaveStatus('');
+    this._renderImportPreview();
+  },
+
+  rollbackImport() {
+    const rollback = Save.getRollback();
+    if (!rollback) return;
+    if (!confirm('Restore the save from before the last import (' + new Date(rollback.time).toLocaleString() + ')?')) return;
+    if (!Save.rollbackImport()) {
+      this._setSaveStatus('Rollback failed', 'fail');
+      return;
+    }
+    this._afterSaveReplaced();
+    this._setSaveStatus('Previous save restored', 'ok');
+  },
+
+  // State.meta was swapped under us: rebuild stats + every view of it
+  _afterSaveReplaced() {
+    this.prepareMeta();
+    this.renderHubUI();
+    this._renderImportPreview();
+    this._renderStorageInfo();
+  },
+
   // ========== UI HELPERS ==========
   
   announce(text, type = '') {
@@ -1449,7 +1900,7 @@ const Game = {
       const item = Items.generateRandom(rarity);
       if (item) Items.addToStash(item);
     }
-    Save.save();
+    SaveScheduler.markDirty('stash');
     UI.renderAll();
   },
   
@@ -1458,7 +1909,7 @@ const Game = {
     State.meta.skillPoints += 10;
     State.meta.statPoints += 20;
     State.run.cells += 500;
-    Save.save();
+    SaveScheduler.markDirty('currency');
     UI.renderAll();
     this.renderHubUI();
   },
@@ -1470,7 +1921,7 @@ const Game = {
         State.meta.actsUnlocked[actId] = true;
       }
     }
-    Save.save();
+    SaveScheduler.markDirty('progress');
     this.renderHubUI();
     console.log('🔓 All acts unlocked');
   },
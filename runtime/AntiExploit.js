@@ -25,6 +25,9 @@ function ensureAE() {
   }
 }
 
+// Drops worth tracking per seed visit (LOOT_REPLAY detection)
+const VALUABLE_RARITIES = new Set(['epic', 'legendary', 'mythic']);
+
 // ── Configuration defaults ──
 function getAEConfig() {
   return {
@@ -78,6 +81,35 @@ export const AntiExploit = {
     return { ok: true };
   },
 
+  // Loot is seeded per zone (LootRNG): drop #N of a seed always rolls the
+  // same item. Each visit records its drops, so a replayed seed that hands
+  // out an already-seen epic+ drop again is flagged as a known outcome.
+  onLootDrop(seed, dropIndex, rarity) {
+    ensureAE();
+    const cfg = getAEConfig();
+    if (!cfg.enabled || seed === null || seed === undefined || dropIndex < 0) return { ok: true };
+
+    const ae = State.meta.antiExploit;
+    const visits = ae.seedHistory.filter(s => s.seed === seed);
+    const current = visits[visits.length - 1];
+    if (!current) return { ok: true };
+
+    current.drops = Math.max(current.drops || 0, dropIndex + 1);
+    if (VALUABLE_RARITIES.has(rarity)) {
+      current.valuable = [...(current.valuable || []), dropIndex];
+    }
+
+    const replayed = VALUABLE_RARITIES.has(rarity) &&
+      visits.slice(0, -1).some(v => (v.valuable || []).includes(dropIndex));
+    if (replayed) {
+      const flag = { type: 'LOOT_REPLAY', seed, dropIndex, rarity, time: Date.now(), action: 'FLAG' };
+      ae.flags.push(flag);
+      console.warn('[ANTI-EXPLOIT] Known drop replayed: seed=' + seed + ' drop #' + dropIndex + ' (' + rarity + ')');
+      return { ok: false, flag };
+    }
+    return { ok: true };
+  },
+
   // Get current drop multiplier (1.0 = normal, <1.0 = nerfed)
   getDropMultiplier() {
     ensureAE();
@@ -0,0 +1,1124 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// BossAbilities.js - Boss Attack Patterns
+// ============================================================
+// Bosses list ability ids in enemies.json ("abilities") and tune
+// them per boss in "abilityTuning":
+//   "laser_sweep": { "interval": 6, ..., "phases": { "3": { "beams": 2 } } }
+// Entries under "phases" are merged over the base values once the
+// boss reaches that phase; "minPhase" keeps an ability dormant until
+// then. Enemies.js calls the hooks below:
+//   init     - Enemies.spawn()              (per-ability state)
+//   onPhase  - Enemies._onBossPhaseChange() (HP threshold crossed)
+//   update   - Enemies.updateExplorationShooting(); returns true while
+//              a pattern is busy, which skips the normal aimed shots
+//   absorb   - Enemies.damage() before HP is reduced
+//   draw     - Enemies.draw() (world space, under the boss sprite)
+// Only one telegraphed cast runs at a time: a handler claims
+// boss._casting before its wind-up and releases it when done.
+// ============================================================
+
+import { State } from './State.js';
+
+// Shortest distance from point (px, py) to segment (ax, ay)-(bx, by)
+function segmentDist(px, py, ax, ay, bx, by) {
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy || 1;
+  const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2));
+  return Math.hypot(px - (ax + dx * t), py - (ay + dy * t));
+}
+
+// Distance of point (px, py) along the ray from (x, y) at angle (negative = behind)
+function alongRay(x, y, angle, px, py) {
+  return (px - x) * Math.cos(angle) + (py - y) * Math.sin(angle);
+}
+
+// One damage tick of a beam from the boss. A charged shield drone in the
+// way blocks it (and soaks the damage); other drones get jammed.
+// Returns the beam length after blocking.
+function beamTick(boss, angle, range, width, damage, droneJam) {
+  const p = State.player;
+  const Player = State.modules?.Player;
+  const drone = p.drone;
+  let length = range;
+
+  if (drone?.active && Player?.getDronePositions) {
+    const positions = drone.type === 'combat' ? Player.getDronePositions() : [{ x: drone.x, y: drone.y }];
+    for (const pos of positions) {
+      const ex = boss.x + Math.cos(angle) * length;
+      const ey = boss.y + Math.sin(angle) * length;
+      if (segmentDist(pos.x, pos.y, boss.x, boss.y, ex, ey) > width / 2 + 10) continue;
+      if (drone.type === 'shield' && drone.shieldHP > 0) {
+        drone.shieldHP -= damage;
+        length = Math.max(boss.size * 0.6, alongRay(boss.x, boss.y, angle, pos.x, pos.y));
+        State.modules?.Particles?.spawn(pos.x, pos.y, 'muzzle');
+      } else if (drone.type !== 'shield') {
+        drone._jammed = Math.max(drone._jammed || 0, droneJam);
+      }
+    }
+  }
+
+  const ex = boss.x + Math.cos(angle) * length;
+  const ey = boss.y + Math.sin(angle) * length;
+  if (Player && segmentDist(p.x, p.y, boss.x, boss.y, ex, ey) <= width / 2 + (p.radius || 18)) {
+    Player.takeDamage(damage);
+  }
+  return length;
+}
+
+// Handlers by ability id. defaults (tuning fallbacks), init(boss, tune),
+// onPhase(boss, phase, tune), update(boss, dt, tune) -> busy,
+// absorb(boss, amount, tune) -> amount, draw(ctx, boss, tune)
+const ABILITY_TYPES = {
+
+  // ── Rotating laser: warning cone, then a beam sweeps across it ──
+  laser_sweep: {
+    // arc in radians; damage per second = boss damage * dpsMult
+    defaults: {
+      firstDelay: 2.5, interval: 6, windup: 1.2, duration: 2.2, arc: 1.6, range: 560,
+      width: 16, beams: 1, dpsMult: 1.2, tick: 0.1, droneJam: 2.5
+    },
+
+    init(boss, tune) {
+      boss.sweep = {
+        state: 'cooldown',
+        t: 0,
+        timer: tune.firstDelay,
+        startAngle: 0,
+        angle: 0,
+        dir: 1,
+        tickTimer: 0,
+        lengths: []    // beam length per beam (shortened where a shield drone blocks it)
+      };
+    },
+
+    update(boss, dt, tune) {
+      const sweep = boss.sweep;
+      const p = State.player;
+
+      // Stunned (shield broken): the sweep is cancelled
+      if (boss._stunTimer > 0) {
+        if (sweep.state !== 'cooldown') {
+          sweep.state = 'cooldown';
+          sweep.timer = tune.interval;
+          boss._casting = null;
+        }
+        return false;
+      }
+
+      if (sweep.state === 'cooldown') {
+        if (boss.aiState !== 'aggro') return false;
+        sweep.timer -= dt;
+        if (sweep.timer > 0 || boss._casting) return false;
+        boss._casting = 'laser_sweep';
+        // Cone starts half an arc before the player and sweeps through them
+        const toPlayer = Math.atan2(p.y - boss.y, p.x - boss.x);
+        sweep.dir = Math.random() < 0.5 ? 1 : -1;
+        sweep.startAngle = toPlayer - sweep.dir * tune.arc / 2;
+        sweep.angle = sweep.startAngle;
+        sweep.state = 'windup';
+        sweep.t = 0;
+        const Audio = State.modules?.Audio;
+        if (Audio) Audio.alert();
+        return true;
+      }
+
+      sweep.t += dt;
+      boss._rooted = true;
+
+      if (sweep.state === 'windup') {
+        if (sweep.t >= tune.windup) {
+          sweep.state = 'firing';
+          sweep.t = 0;
+          sweep.tickTimer = 0;
+          sweep.lengths = [];
+          const Particles = State.modules?.Particles;
+          if (Particles && Particles.screenShake != null) Particles.screenShake = Math.max(Particles.screenShake, 3);
+          const Audio = State.modules?.Audio;
+          if (Audio) Audio.shootBeam();
+        }
+        return true;
+      }
+
+      // Firing: rotate across the cone, damage on a fixed tick
+      const prog = Math.min(1, sweep.t / tune.duration);
+      sweep.angle = sweep.startAngle + sweep.dir * tune.arc * prog;
+      sweep.tickTimer -= dt;
+      if (sweep.tickTimer <= 0) {
+        sweep.tickTimer = tune.tick;
+        this._hitTargets(boss, tune);
+      }
+
+      if (sweep.t >= tune.duration) {
+        sweep.state = 'cooldown';
+        sweep.t = 0;
+        sweep.timer = tune.interval;
+        boss._casting = null;
+      }
+      return true;
+    },
+
+    // Beam angles: `beams` evenly spaced copies of the sweep angle
+    _beamAngles(boss, tune) {
+      const n = Math.max(1, tune.beams || 1);
+      const angles = [];
+      for (let i = 0; i < n; i++) angles.push(boss.sweep.angle + (i / n) * Math.PI * 2);
+      return angles;
+    },
+
+    // One damage tick per beam; remembers how far each beam reaches
+    _hitTargets(boss, tune) {
+      const damage = boss.damage * tune.dpsMult * tune.tick;
+      boss.sweep.lengths = this._beamAngles(boss, tune)
+        .map(angle => beamTick(boss, angle, tune.range, tune.width, damage, tune.droneJam));
+    },
+
+    draw(ctx, boss, tune) {
+      const sweep = boss.sweep;
+      if (sweep.state === 'cooldown') return;
+      const t = performance.now() * 0.001;
+
+      ctx.save();
+      if (sweep.state === 'windup') {
+        // Warning cone over the whole arc the beam will cross
+        const prog = Math.min(1, sweep.t / Math.max(0.001, tune.windup));
+        const a0 = sweep.dir > 0 ? sweep.startAngle : sweep.startAngle - tune.arc;
+        for (const offset of this._beamAngles(boss, tune).map(a => a - sweep.angle)) {
+          ctx.globalAlpha = 0.08 + 0.17 * prog;
+          ctx.fillStyle = '#ff4400';
+          ctx.beginPath();
+          ctx.moveTo(boss.x, boss.y);
+          ctx.arc(boss.x, boss.y, tune.range, a0 + offset, a0 + offset + tune.arc);
+          ctx.closePath();
+          ctx.fill();
+          // Start edge: where the beam appears
+          ctx.globalAlpha = 0.3 + 0.5 * prog;
+          ctx.setLineDash([10, 6]);
+          ctx.strokeStyle = '#ffaa44';
+          ctx.lineWidth = 1.5 + prog * 1.5;
+          ctx.beginPath();
+          ctx.moveTo(boss.x, boss.y);
+          ctx.lineTo(boss.x + Math.cos(sweep.startAngle + offset) * tune.range,
+            boss.y + Math.sin(sweep.startAngle + offset) * tune.range);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
+        // Charging core
+        ctx.globalAlpha = 0.3 + 0.5 * prog;
+        ctx.fillStyle = '#ffdd88';
+        ctx.shadowColor = '#ff8800';
+        ctx.shadowBlur = 20;
+        ctx.beginPath();
+        ctx.arc(boss.x, boss.y, boss.size * (0.2 + 0.3 * prog), 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        // Beam: wide glow + hot core
+        const flicker = 0.85 + Math.sin(t * 40) * 0.15;
+        this._beamAngles(boss, tune).forEach((angle, i) => {
+          const length = sweep.lengths[i] ?? tune.range;
+          const ex = boss.x + Math.cos(angle) * length;
+          const ey = boss.y + Math.sin(angle) * length;
+          ctx.lineCap = 'round';
+          ctx.globalAlpha = 0.35 * flicker;
+          ctx.strokeStyle = '#ff6600';
+          ctx.shadowColor = '#ff6600';
+          ctx.shadowBlur = 25;
+          ctx.lineWidth = tune.width * 1.6;
+          ctx.beginPath();
+          ctx.moveTo(boss.x, boss.y);
+          ctx.lineTo(ex, ey);
+          ctx.stroke();
+          ctx.globalAlpha = flicker;
+          ctx.strokeStyle = '#fff2cc';
+          ctx.lineWidth = tune.width * 0.45;
+          ctx.stroke();
+        });
+      }
+      ctx.restore();
+    }
+  },
+
+  // ── Breakable shield: pulses bullet rings until broken or expired ──
+  shield_phase: {
+    // Shield HP = boss maxHP * shieldPctHP; unbroken after `duration` heals failHealPct
+    defaults: {
+      triggerPhases: [2], shieldPctHP: 0.1, duration: 6, pulseInterval: 1.4, pulseBullets: 10,
+      pulseSpeed: 170, pulseDamageMult: 0.6, breakStun: 2.5, breakVulnMult: 1.3, failHealPct: 0.06
+    },
+
+    init(boss) {
+      boss.bossShield = null;
+      boss._stunTimer = 0;
+      boss._vulnTimer = 0;
+    },
+
+    onPhase(boss, phase, tune) {
+      if (!tune.triggerPhases.includes(phase)) return;
+      const hp = boss.maxHP * tune.shieldPctHP;
+      boss.bossShield = { hp, maxHP: hp, timer: tune.duration, pulseTimer: tune.pulseInterval * 0.5 };
+      boss._shieldPhase = true;
+    },
+
+    update(boss, dt, tune) {
+      if (boss._vulnTimer > 0) boss._vulnTimer -= dt;
+
+      // Broken shield: the boss is stunned and takes extra damage
+      if (boss._stunTimer > 0) {
+        boss._stunTimer -= dt;
+        boss._rooted = true;
+        return true;
+      }
+
+      const shield = boss.bossShield;
+      if (!shield) return false;
+
+      shield.timer -= dt;
+      if (shield.timer <= 0) {
+        // Survived: the boss repairs itself
+        boss.hp = Math.min(boss.maxHP, boss.hp + boss.maxHP * tune.failHealPct);
+        this._drop(boss);
+        State.modules?.Particles?.text(boss.x, boss.y - boss.size - 20, 'REPAIRED', '#66ddff', 16);
+        return false;
+      }
+
+      shield.pulseTimer -= dt;
+      if (shield.pulseTimer <= 0) {
+        shield.pulseTimer = tune.pulseInterval;
+        const n = tune.pulseBullets;
+        const offset = Math.random() * Math.PI * 2;
+        for (let i = 0; i < n; i++) {
+          const a = offset + (i / n) * Math.PI * 2;
+          State.enemyBullets.push({
+            x: boss.x + Math.cos(a) * boss.size,
+            y: boss.y + Math.sin(a) * boss.size,
+            vx: Math.cos(a) * tune.pulseSpeed,
+            vy: Math.sin(a) * tune.pulseSpeed,
+            damage: boss.damage * tune.pulseDamageMult,
+            size: 7
+          });
+        }
+        State.modules?.Particles?.ring(boss.x, boss.y, '#66ddff', boss.size * 1.5);
+      }
+      return true;
+    },
+
+    absorb(boss, amount, tune) {
+      if (boss._vulnTimer > 0) return amount * tune.breakVulnMult;
+      const shield = boss.bossShield;
+      if (!shield) return amount;
+
+      shield.hp -= amount;
+      if (shield.hp <= 0) {
+        this._drop(boss);
+        boss._stunTimer = tune.breakStun;
+        boss._vulnTimer = tune.breakStun;
+        const Audio = State.modules?.Audio;
+        if (Audio) Audio.shieldBreak();
+        const Particles = State.modules?.Particles;
+        if (Particles) {
+          Particles.ring(boss.x, boss.y, '#66ddff', boss.size * 2.5);
+          Particles.text(boss.x, boss.y - boss.size - 20, 'SHIELD BROKEN', '#66ddff', 18);
+        }
+        // Overflow goes through
+        return -shield.hp * tune.breakVulnMult;
+      }
+      return 0;
+    },
+
+    _drop(boss) {
+      boss.bossShield = null;
+      boss._shieldPhase = false;
+    },
+
+    draw(ctx, boss) {
+      const shield = boss.bossShield;
+      if (!shield) return;
+      // Shield HP arc around the boss
+      ctx.save();
+      ctx.globalAlpha = 0.8;
+      ctx.strokeStyle = '#66ddff';
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(boss.x, boss.y, boss.size * 1.5, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.max(0, shield.hp / shield.maxHP));
+      ctx.stroke();
+      ctx.restore();
+    }
+  },
+
+  // ── Tractor beam: tethers the player + nearby loot and reels them in ──
+  tractor_beam: {
+    // Dash breaks the tether; so does getting past range * breakRangeMult
+    defaults: {
+      firstDelay: 4, interval: 8, windup: 0.9, duration: 3, range: 520, breakRangeMult: 1.25,
+      pullSpeed: 150, pickupRadius: 160, pickupPullSpeed: 260, dpsMult: 0.25, tick: 0.25
+    },
+
+    init(boss, tune) {
+      boss.tractor = { state: 'cooldown', t: 0, timer: tune.firstDelay, tickTimer: 0 };
+    },
+
+    update(boss, dt, tune) {
+      const tractor = boss.tractor;
+      const p = State.player;
+      const dist = Math.hypot(p.x - boss.x, p.y - boss.y);
+
+      if (tractor.state === 'cooldown') {
+        if (boss.aiState !== 'aggro') return false;
+        tractor.timer -= dt;
+        if (tractor.timer > 0 || boss._casting || dist > tune.range) return false;
+        boss._casting = 'tractor_beam';
+        tractor.state = 'windup';
+        tractor.t = 0;
+        const Audio = State.modules?.Audio;
+        if (Audio) Audio.alert();
+        return true;
+      }
+
+      tractor.t += dt;
+
+      if (tractor.state === 'windup') {
+        boss._rooted = true;
+        if (tractor.t >= tune.windup) {
+          tractor.state = 'pulling';
+          tractor.t = 0;
+          tractor.tickTimer = tune.tick;
+        }
+        return true;
+      }
+
+      // Pulling: Dash or distance breaks free
+      if (p._dashInvuln || dist > tune.range * tune.breakRangeMult) {
+        this._release(boss, tune);
+        State.modules?.Particles?.text(p.x, p.y - 30, 'BROKE FREE', '#cc88ff', 14);
+        return false;
+      }
+
+      // Reel the player in (stops short of the hull)
+      const minDist = boss.size + (p.radius || 18) + 10;
+      if (dist > minDist) {
+        const step = Math.min(tune.pullSpeed * dt, dist - minDist);
+        p.x -= (p.x - boss.x) / dist * step;
+        p.y -= (p.y - boss.y) / dist * step;
+      }
+
+      // Loot near the beam drifts to the boss
+      for (const pk of State.pickups || []) {
+        if (segmentDist(pk.x, pk.y, boss.x, boss.y, p.x, p.y) > tune.pickupRadius) continue;
+        const d = Math.hypot(pk.x - boss.x, pk.y - boss.y);
+        if (d < boss.size) continue;
+        pk.x -= (pk.x - boss.x) / d * tune.pickupPullSpeed * dt;
+        pk.y -= (pk.y - boss.y) / d * tune.pickupPullSpeed * dt;
+      }
+
+      tractor.tickTimer -= dt;
+      if (tractor.tickTimer <= 0) {
+        tractor.tickTimer = tune.tick;
+        State.modules?.Player?.takeDamage(boss.damage * tune.dpsMult * tune.tick);
+      }
+
+      if (tractor.t >= tune.duration) this._release(boss, tune);
+      return true;
+    },
+
+    _release(boss, tune) {
+      boss.tractor.state = 'cooldown';
+      boss.tractor.t = 0;
+      boss.tractor.timer = tune.interval;
+      boss._casting = null;
+    },
+
+    draw(ctx, boss, tune) {
+      const tractor = boss.tractor;
+      if (tractor.state === 'cooldown') return;
+      const p = State.player;
+      const t = performance.now() * 0.001;
+
+      ctx.save();
+      if (tractor.state === 'windup') {
+        // Flickering lock-on line
+        const prog = Math.min(1, tractor.t / Math.max(0.001, tune.windup));
+        ctx.globalAlpha = (0.2 + 0.5 * prog) * (0.6 + Math.abs(Math.sin(t * 18)) * 0.4);
+        ctx.setLineDash([6, 8]);
+        ctx.strokeStyle = '#cc88ff';
+        ctx.lineWidth = 1.5 + prog * 2;
+        ctx.beginPath();
+        ctx.moveTo(boss.x, boss.y);
+        ctx.lineTo(p.x, p.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, (p.radius || 18) + 14 - prog * 6, 0, Math.PI * 2);
+        ctx.stroke();
+      } else {
+        // Beam with rings travelling toward the boss
+        const dx = p.x - boss.x, dy = p.y - boss.y;
+        const len = Math.hypot(dx, dy) || 1;
+        ctx.globalAlpha = 0.25;
+        ctx.strokeStyle = '#aa00ff';
+        ctx.shadowColor = '#aa00ff';
+        ctx.shadowBlur = 20;
+        ctx.lineWidth = 22;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(boss.x, boss.y);
+        ctx.lineTo(p.x, p.y);
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = 0.7;
+        ctx.strokeStyle = '#dd99ff';
+        ctx.lineWidth = 2;
+        for (let d = (1 - (t * 2) % 1) * 40; d < len; d += 40) {
+          ctx.beginPath();
+          ctx.arc(boss.x + dx / len * d, boss.y + dy / len * d, 6 + d / len * 6, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+      }
+      ctx.restore();
+    }
+  },
+
+  // ── Blink between anchor points around the arena ──
+  teleport: {
+    // Anchors: anchorCount points on a ring of anchorRadius around the boss's home
+    defaults: {
+      firstDelay: 6, interval: 9, tell: 0.9, recover: 0.4, anchorCount: 6, anchorRadius: 360, minPlayerDist: 220
+    },
+
+    init(boss, tune) {
+      boss.blink = { state: 'cooldown', t: 0, timer: tune.firstDelay, anchors: null, toX: 0, toY: 0 };
+    },
+
+    _anchors(boss, tune) {
+      const blink = boss.blink;
+      if (blink.anchors) return blink.anchors;
+      const zone = State.world?.currentZone;
+      const cx = boss.homeX ?? boss.x, cy = boss.homeY ?? boss.y;
+      const margin = boss.size * 2;
+      blink.anchors = [];
+      for (let i = 0; i < tune.anchorCount; i++) {
+        const a = (i / tune.anchorCount) * Math.PI * 2;
+        let x = cx + Math.cos(a) * tune.anchorRadius;
+        let y = cy + Math.sin(a) * tune.anchorRadius;
+        if (zone) {
+          x = Math.max(margin, Math.min(zone.width - margin, x));
+          y = Math.max(margin, Math.min(zone.height - margin, y));
+        }
+        blink.anchors.push({ x, y });
+      }
+      return blink.anchors;
+    },
+
+    update(boss, dt, tune) {
+      const blink = boss.blink;
+      const p = State.player;
+
+      if (blink.state === 'cooldown') {
+        boss._drawScale = null;
+        if (boss.aiState !== 'aggro') return false;
+        blink.timer -= dt;
+        if (blink.timer > 0 || boss._casting) return false;
+
+        // Any anchor away from the boss and not on top of the player
+        const options = this._anchors(boss, tune).filter(a =>
+          Math.hypot(a.x - boss.x, a.y - boss.y) > boss.size * 2 &&
+          Math.hypot(a.x - p.x, a.y - p.y) >= tune.minPlayerDist);
+        if (options.length === 0) {
+          blink.timer = 1;
+          return false;
+        }
+        const target = options[Math.floor(Math.random() * options.length)];
+        blink.toX = target.x;
+        blink.toY = target.y;
+        blink.state = 'tell';
+        blink.t = 0;
+        boss._casting = 'teleport';
+        return true;
+      }
+
+      blink.t += dt;
+      boss._rooted = true;
+
+      if (blink.state === 'tell') {
+        boss._drawScale = 1 - 0.8 * Math.min(1, blink.t / tune.tell);
+        if (blink.t >= tune.tell) {
+          const Particles = State.modules?.Particles;
+          if (Particles) Particles.ring(boss.x, boss.y, boss.color, boss.size * 1.5);
+          boss.x = blink.toX;
+          boss.y = blink.toY;
+          if (Particles) Particles.flash(boss.x, boss.y, '#dd99ff');
+          const Audio = State.modules?.Audio;
+          if (Audio) Audio.portalEnter();
+          blink.state = 'recover';
+          blink.t = 0;
+        }
+        return true;
+      }
+
+      // Recover: re-form, then resume
+      boss._drawScale = 0.2 + 0.8 * Math.min(1, blink.t / tune.recover);
+      if (blink.t >= tune.recover) {
+        blink.state = 'cooldown';
+        blink.timer = tune.interval;
+        boss._drawScale = null;
+        boss._casting = null;
+      }
+      return true;
+    },
+
+    draw(ctx, boss, tune) {
+      const blink = boss.blink;
+      if (blink.state !== 'tell') return;
+      // Destination marker: shrinking ring + crosshair
+      const prog = Math.min(1, blink.t / Math.max(0.001, tune.tell));
+      const r = boss.size * (2 - prog);
+      ctx.save();
+      ctx.globalAlpha = 0.3 + 0.5 * prog;
+      ctx.strokeStyle = '#dd99ff';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([8, 6]);
+      ctx.beginPath();
+      ctx.arc(blink.toX, blink.toY, r, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(blink.toX - r, blink.toY);
+      ctx.lineTo(blink.toX + r, blink.toY);
+      ctx.moveTo(blink.toX, blink.toY - r);
+      ctx.lineTo(blink.toX, blink.toY + r);
+      ctx.stroke();
+      ctx.restore();
+    }
+  },
+
+  // ── Interceptor drones that orbit the boss (Enemies.updateExplorationAI steers them) ──
+  drone_swarm: {
+    // New wave on engage and on each phase change; topped up every respawnInterval
+    defaults: {
+      type: 'scout', count: 4, maxAlive: 6, hpMult: 2, radius: 110, orbitSpeed: 1.6, respawnInterval: 12
+    },
+
+    init(boss, tune) {
+      boss.swarm = { launched: false, timer: tune.respawnInterval, ids: [] };
+    },
+
+    onPhase(boss, phase, tune) {
+      this._launch(boss, tune, tune.count);
+    },
+
+    update(boss, dt, tune) {
+      const swarm = boss.swarm;
+      if (boss.aiState !== 'aggro') return false;
+      if (!swarm.launched) {
+        swarm.launched = true;
+        this._launch(boss, tune, tune.count);
+        return false;
+      }
+      swarm.timer -= dt;
+      if (swarm.timer <= 0) {
+        swarm.timer = tune.respawnInterval;
+        this._launch(boss, tune, tune.count - this._alive(boss).length);
+      }
+      return false;
+    },
+
+    _alive(boss) {
+      const swarm = boss.swarm;
+      swarm.ids = swarm.ids.filter(id => State.enemies.some(e => e.id === id && !e.dead));
+      return swarm.ids;
+    },
+
+    _launch(boss, tune, wanted) {
+      const Enemies = State.modules?.Enemies;
+      if (!Enemies) return;
+      const n = Math.min(wanted, tune.maxAlive - this._alive(boss).length);
+      for (let i = 0; i < n; i++) {
+        const angle = (i / n) * Math.PI * 2 + Math.random() * 0.5;
+        const e = Enemies.spawn(tune.type, boss.x + Math.cos(angle) * boss.size, boss.y + Math.sin(angle) * boss.size);
+        if (!e) continue;
+        e.hp *= tune.hpMult;
+        e.maxHP *= tune.hpMult;
+        e.xp = Math.floor(e.xp * 0.3);
+        e.size = 16;
+        e.color = boss.color;
+        e.aiState = 'aggro';
+        e.attackRange = 450;
+        e.homeX = boss.x;
+        e.homeY = boss.y;
+        e.interceptor = { bossId: boss.id, angle, radius: tune.radius, speed: tune.orbitSpeed };
+        boss.swarm.ids.push(e.id);
+      }
+      if (n > 0) State.modules?.Audio?.summon();
+    },
+
+    draw(ctx, boss, tune) {
+      if (!boss.swarm.ids.length) return;
+      ctx.save();
+      ctx.globalAlpha = 0.15;
+      ctx.strokeStyle = boss.color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 10]);
+      ctx.beginPath();
+      ctx.arc(boss.x, boss.y, tune.radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+  },
+
+  // ── Slow-tracking beam held on the player for `duration` ──
+  void_beam: {
+    // turnRate in rad/s: outrunnable by circling the boss
+    defaults: {
+      firstDelay: 3, interval: 6, windup: 0.8, duration: 4, range: 620, width: 22,
+      turnRate: 0.6, dpsMult: 1.0, tick: 0.1, droneJam: 3
+    },
+
+    init(boss, tune) {
+      boss.voidBeam = { state: 'cooldown', t: 0, timer: tune.firstDelay, angle: 0, tickTimer: 0, length: 0 };
+    },
+
+    update(boss, dt, tune) {
+      const beam = boss.voidBeam;
+      const p = State.player;
+      const toPlayer = Math.atan2(p.y - boss.y, p.x - boss.x);
+
+      if (beam.state === 'cooldown') {
+        if (boss.aiState !== 'aggro') return false;
+        beam.timer -= dt;
+        if (beam.timer > 0 || boss._casting) return false;
+        boss._casting = 'void_beam';
+        beam.state = 'windup';
+        beam.t = 0;
+        beam.angle = toPlayer;
+        State.modules?.Audio?.alert();
+        return true;
+      }
+
+      beam.t += dt;
+      // Turn toward the player at a capped rate
+      const delta = ((toPlayer - beam.angle + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+      beam.angle += Math.max(-tune.turnRate * dt, Math.min(tune.turnRate * dt, delta));
+
+      if (beam.state === 'windup') {
+        boss._rooted = true;
+        if (beam.t >= tune.windup) {
+          beam.state = 'firing';
+          beam.t = 0;
+          beam.tickTimer = 0;
+          beam.length = tune.range;
+          State.modules?.Audio?.shootBeam();
+        }
+        return true;
+      }
+
+      beam.tickTimer -= dt;
+      if (beam.tickTimer <= 0) {
+        beam.tickTimer = tune.tick;
+        beam.length = beamTick(boss, beam.angle, tune.range, tune.width, boss.damage * tune.dpsMult * tune.tick, tune.droneJam);
+      }
+
+      if (beam.t >= tune.duration) {
+        beam.state = 'cooldown';
+        beam.timer = tune.interval;
+        boss._casting = null;
+      }
+      return true;
+    },
+
+    draw(ctx, boss, tune) {
+      const beam = boss.voidBeam;
+      if (beam.state === 'cooldown') return;
+      const t = performance.now() * 0.001;
+      const dx = Math.cos(beam.angle), dy = Math.sin(beam.angle);
+
+      ctx.save();
+      ctx.lineCap = 'round';
+      if (beam.state === 'windup') {
+        const prog = Math.min(1, beam.t / Math.max(0.001, tune.windup));
+        ctx.globalAlpha = 0.25 + 0.5 * prog;
+        ctx.setLineDash([12, 8]);
+        ctx.strokeStyle = '#ff0044';
+        ctx.lineWidth = 2 + prog * tune.width * 0.3;
+        ctx.beginPath();
+        ctx.moveTo(boss.x, boss.y);
+        ctx.lineTo(boss.x + dx * tune.range, boss.y + dy * tune.range);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      } else {
+        const ex = boss.x + dx * beam.length, ey = boss.y + dy * beam.length;
+        ctx.globalAlpha = 0.5 + Math.sin(t * 25) * 0.1;
+        ctx.strokeStyle = '#330011';
+        ctx.shadowColor = '#ff0044';
+        ctx.shadowBlur = 30;
+        ctx.lineWidth = tune.width * 1.5;
+        ctx.beginPath();
+        ctx.moveTo(boss.x, boss.y);
+        ctx.lineTo(ex, ey);
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = 0.9;
+        ctx.strokeStyle = '#ff3366';
+        ctx.lineWidth = tune.width * 0.35;
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+  },
+
+  // ── Meteors: ground markers around the player, impact after a delay ──
+  meteor_shower: {
+    // One meteor always targets the player; the rest land within `spread`
+    defaults: {
+      firstDelay: 5, interval: 9, count: 5, spread: 240, delay: 1.5, stagger: 0.2,
+      radius: 70, damageMult: 1.5, obstacleDamage: 40
+    },
+
+    init(boss, tune) {
+      boss.meteors = { timer: tune.firstDelay, list: [] };
+    },
+
+    update(boss, dt, tune) {
+      const shower = boss.meteors;
+      const p = State.player;
+
+      if (boss.aiState === 'aggro') {
+        shower.timer -= dt;
+        if (shower.timer <= 0) {
+          shower.timer = tune.interval;
+          for (let i = 0; i < tune.count; i++) {
+            const a = Math.random() * Math.PI * 2;
+            const r = i === 0 ? 0 : Math.sqrt(Math.random()) * tune.spread;
+            shower.list.push({
+              x: p.x + Math.cos(a) * r,
+              y: p.y + Math.sin(a) * r,
+              t: 0,
+              delay: tune.delay + i * tune.stagger
+            });
+          }
+          State.modules?.Audio?.alert();
+        }
+      }
+
+      for (let i = shower.list.length - 1; i >= 0; i--) {
+        const m = shower.list[i];
+        m.t += dt;
+        if (m.t < m.delay) continue;
+        shower.list.splice(i, 1);
+        this._impact(boss, m, tune);
+      }
+      return false;
+    },
+
+    _impact(boss, m, tune) {
+      const p = State.player;
+      if (Math.hypot(p.x - m.x, p.y - m.y) <= tune.radius + (p.radius || 18)) {
+        State.modules?.Player?.takeDamage(boss.damage * tune.damageMult);
+      }
+
+      // Destructible obstacles in the blast take damage (no resource drops)
+      for (const obs of State.world?.currentZone?.obstacles || []) {
+        if (!obs || obs.destroyed || obs.destructible === false || obs.isGenerator) continue;
+        if (obs.type === 'poison_area') continue;
+        if (Math.hypot(obs.x - m.x, obs.y - m.y) > tune.radius + (obs.radius || 30)) continue;
+        obs.hp = (typeof obs.hp === 'number') ? obs.hp - tune.obstacleDamage : 0;
+        if (obs.hp <= 0) {
+          obs.destroyed = true;
+          State.modules?.Particles?.explosion(obs.x, obs.y, '#aabbcc', 12, 160);
+        }
+      }
+
+      const Particles = State.modules?.Particles;
+      if (Particles) {
+        Particles.explosion(m.x, m.y, '#ff4400', 20, 220);
+        Particles.ring(m.x, m.y, '#ff6600', tune.radius);
+        Particles.screenShake = Math.max(Particles.screenShake || 0, 5);
+      }
+      State.modules?.Audio?.explosion();
+    },
+
+    draw(ctx, boss, tune) {
+      const list = boss.meteors.list;
+      if (list.length === 0) return;
+      ctx.save();
+      for (const m of list) {
+        const prog = Math.min(1, m.t / m.delay);
+        // Marker: outline + filling disc
+        ctx.globalAlpha = 0.6;
+        ctx.strokeStyle = '#ff4400';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(m.x, m.y, tune.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 0.12 + 0.2 * prog;
+        ctx.fillStyle = '#ff2200';
+        ctx.beginPath();
+        ctx.arc(m.x, m.y, tune.radius * prog, 0, Math.PI * 2);
+        ctx.fill();
+        // Falling meteor in the last 0.4s
+        const left = m.delay - m.t;
+        if (left < 0.4) {
+          const h = left / 0.4 * 300;
+          ctx.globalAlpha = 1;
+          ctx.fillStyle = '#ffcc66';
+          ctx.shadowColor = '#ff6600';
+          ctx.shadowBlur = 15;
+          ctx.beginPath();
+          ctx.arc(m.x + h * 0.4, m.y - h, 10, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.shadowBlur = 0;
+        }
+      }
+      ctx.restore();
+    }
+  },
+
+  // ── Time-slow field dropped on the player: player + bullets inside run at `scale` ──
+  time_slow: {
+    defaults: {
+      firstDelay: 4, interval: 12, windup: 0.8, duration: 5, radius: 220, scale: 0.45
+    },
+
+    init(boss, tune) {
+      boss.timeField = { state: 'cooldown', t: 0, timer: tune.firstDelay, x: 0, y: 0 };
+    },
+
+    update(boss, dt, tune) {
+      const field = boss.timeField;
+
+      if (field.state === 'cooldown') {
+        if (boss.aiState !== 'aggro') return false;
+        field.timer -= dt;
+        if (field.timer > 0 || boss._casting) return false;
+        boss._casting = 'time_slow';
+        field.state = 'windup';
+        field.t = 0;
+        field.x = State.player.x;
+        field.y = State.player.y;
+        State.modules?.Audio?.alert();
+        return true;
+      }
+
+      field.t += dt;
+      if (field.state === 'windup') {
+        if (field.t >= tune.windup) {
+          field.state = 'active';
+          field.t = 0;
+          boss._casting = null;
+        }
+        return true;
+      }
+
+      BossAbilities._fields.push({ x: field.x, y: field.y, radius: tune.radius, scale: tune.scale });
+      if (field.t >= tune.duration) {
+        field.state = 'cooldown';
+        field.timer = tune.interval;
+      }
+      return false;
+    },
+
+    draw(ctx, boss, tune) {
+      const field = boss.timeField;
+      if (field.state === 'cooldown') return;
+      const t = performance.now() * 0.001;
+      ctx.save();
+      if (field.state === 'windup') {
+        const prog = Math.min(1, field.t / Math.max(0.001, tune.windup));
+        ctx.globalAlpha = 0.3 + 0.4 * prog;
+        ctx.strokeStyle = '#8866ff';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        ctx.arc(field.x, field.y, tune.radius * prog, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      } else {
+        ctx.globalAlpha = 0.12;
+        ctx.fillStyle = '#6644cc';
+        ctx.beginPath();
+        ctx.arc(field.x, field.y, tune.radius, 0, Math.PI * 2);
+        ctx.fill();
+        // Slow clock hand
+        ctx.globalAlpha = 0.5;
+        ctx.strokeStyle = '#aa88ff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(field.x, field.y);
+        ctx.lineTo(field.x + Math.cos(t * 0.8) * tune.radius * 0.6, field.y + Math.sin(t * 0.8) * tune.radius * 0.6);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+  },
+
+  // ── Rage: replaces the generic final-phase enrage ──
+  rage_mode: {
+    // While raging, every other ability's interval is scaled by cooldownMult
+    defaults: {
+      triggerPhase: 5, speedMult: 1.5, damageMult: 1.3, cooldownMult: 0.6,
+      burstInterval: 2.5, burstBullets: 16, burstSpeed: 220, burstDamageMult: 0.5
+    },
+
+    init(boss) {
+      boss._rage = null;
+    },
+
+    onPhase(boss, phase, tune) {
+      if (boss._rage || phase < tune.triggerPhase) return;
+      boss._rage = { burstTimer: tune.burstInterval, spin: 0 };
+      boss._enraged = true;
+      boss.speed *= tune.speedMult;
+      boss.damage *= tune.damageMult;
+      const Particles = State.modules?.Particles;
+      if (Particles) {
+        Particles.ring(boss.x, boss.y, '#ff0044', boss.size * 3);
+        Particles.text(boss.x, boss.y - boss.size - 20, 'RAGE', '#ff0044', 22);
+        Particles.screenShake = Math.max(Particles.screenShake || 0, 10);
+      }
+    },
+
+    update(boss, dt, tune) {
+      const rage = boss._rage;
+      if (!rage || boss.aiState !== 'aggro') return false;
+      // Rotating double-spiral bursts
+      rage.burstTimer -= dt;
+      if (rage.burstTimer <= 0) {
+        rage.burstTimer = tune.burstInterval;
+        rage.spin += 0.35;
+        const n = tune.burstBullets;
+        for (let i = 0; i < n; i++) {
+          const a = rage.spin + (i / n) * Math.PI * 2;
+          State.enemyBullets.push({
+            x: boss.x + Math.cos(a) * boss.size,
+            y: boss.y + Math.sin(a) * boss.size,
+            vx: Math.cos(a) * tune.burstSpeed,
+            vy: Math.sin(a) * tune.burstSpeed,
+            damage: boss.damage * tune.burstDamageMult,
+            size: 7
+          });
+        }
+      }
+      return false;
+    },
+
+    draw(ctx, boss) {
+      if (!boss._rage) return;
+      const t = performance.now() * 0.001;
+      ctx.save();
+      ctx.globalAlpha = 0.25 + Math.sin(t * 12) * 0.1;
+      ctx.strokeStyle = '#ff0044';
+      ctx.lineWidth = 3;
+      for (let i = 0; i < 3; i++) {
+        ctx.beginPath();
+        ctx.arc(boss.x, boss.y, boss.size * (1.4 + i * 0.25 + (t * 0.8 % 0.25)), 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+  }
+};
+
+export const BossAbilities = {
+  _fields: [],    // active time-slow fields this frame: { x, y, radius, scale }
+
+  // Tuning for an ability at the boss's current phase (base + phase overrides)
+  getTuning(boss, abilityId) {
+    const base = boss.abilityTuning?.[abilityId] || {};
+    const phase = boss._currentPhase || 1;
+    const tune = { ...ABILITY_TYPES[abilityId]?.defaults, ...base };
+    delete tune.phases;
+    for (const [key, patch] of Object.entries(base.phases || {})) {
+      if (phase >= Number(key)) Object.assign(tune, patch);
+    }
+    // Rage shortens every other ability's cooldown
+    if (boss._rage && abilityId !== 'rage_mode' && typeof tune.interval === 'number') {
+      tune.interval *= this.getTuning(boss, 'rage_mode').cooldownMult;
+    }
+    return tune;
+  },
+
+  // Phase gate (tuning "minPhase")
+  _awake(boss, tune) {
+    return (boss._currentPhase || 1) >= (tune.minPhase || 1);
+  },
+
+  // Abilities of this boss that have a handler
+  _handled(boss) {
+    return (boss.abilities || []).filter(id => ABILITY_TYPES[id]);
+  },
+
+  init(boss) {
+    for (const id of this._handled(boss)) {
+      ABILITY_TYPES[id].init?.(boss, this.getTuning(boss, id));
+    }
+  },
+
+  onPhase(boss, phase) {
+    for (const id of this._handled(boss)) {
+      const tune = this.getTuning(boss, id);
+      if (this._awake(boss, tune)) ABILITY_TYPES[id].onPhase?.(boss, phase, tune);
+    }
+  },
+
+  // Returns true while any pattern is busy (normal shooting is skipped)
+  update(boss, dt) {
+    boss._rooted = false;
+    let busy = false;
+    for (const id of this._handled(boss)) {
+      const handler = ABILITY_TYPES[id];
+      const tune = this.getTuning(boss, id);
+      if (!handler.update || !this._awake(boss, tune)) continue;
+      if (handler.update(boss, dt, tune)) busy = true;
+    }
+    return busy;
+  },
+
+  // New frame (Enemies.update): time-slow fields re-register while active
+  beginFrame() {
+    this._fields.length = 0;
+  },
+
+  // dt multiplier at a world position (1 outside every time-slow field)
+  timeScaleAt(x, y) {
+    let scale = 1;
+    for (const f of this._fields) {
+      if (Math.hypot(x - f.x, y - f.y) <= f.radius) scale = Math.min(scale, f.scale);
+    }
+    return scale;
+  },
+
+  absorb(boss, amount) {
+    for (const id of this._handled(boss)) {
+      const handler = ABILITY_TYPES[id];
+      if (handler.absorb) amount = handler.absorb(boss, amount, this.getTuning(boss, id));
+    }
+    return amount;
+  },
+
+  draw(ctx, boss) {
+    for (const id of this._handled(boss)) {
+      ABILITY_TYPES[id].draw?.(ctx, boss, this.getTuning(boss, id));
+    }
+  },
+
+  // Swarm interceptor movement: hold a slot on the orbit around its boss.
+  // Once the boss is gone it becomes a regular aggro enemy.
+  steerInterceptor(e, dt) {
+    const orbit = e.interceptor;
+    const boss = State.enemies.find(b => b.id === orbit.bossId && !b.dead);
+    if (!boss) {
+      e.interceptor = null;
+      e.aiState = 'aggro';
+      return;
+    }
+    orbit.angle += orbit.speed * dt;
+    const tx = boss.x + Math.cos(orbit.angle) * orbit.radius;
+    const ty = boss.y + Math.sin(orbit.angle) * orbit.radius;
+    e.vx = (tx - e.x) * 6;
+    e.vy = (ty - e.y) * 6;
+    e.aiState = boss.aiState === 'aggro' ? 'aggro' : 'patrol';
+  }
+};
+
+export default BossAbilities;
@@ -9,11 +9,14 @@ import { State } from './State.js';
 import { Enemies } from './Enemies.js';
 import { Player } from './Player.js';
 import { SpatialHash } from './SpatialHash.js';
+import { ItemEffects } from './ItemEffects.js';
+import { LootRNG } from './LootRNG.js';
+import { BossAbilities } from './BossAbilities.js';
 
 export const Bullets = {
-  // Spawn a new bullet
+  // Spawn a new bullet (returns it so callers can tag it)
   spawn(config) {
-    State.bullets.push({
+    const bullet = {
       x: config.x,
       y: config.y,
       vx: config.vx || 0,
@@ -25,7 +28,14 @@ export const Bullets = {
       isCrit: config.crit || false,
       isPlayer: config.isPlayer !== false,
       bulletType: config.bulletType || 'laser'
-    });
+    };
+    // Secondary weapon behaviours (Player.fireSecondary)
+    if (config.homing) bullet.homing = config.homing;   // { turnRate } rad/s toward nearest enemy
+    if (config.mine) bullet.mine = config.mine;         // { armTime, triggerRadius, blastRadius }
+    if (config.blast) bullet.blast = config.blast;      // { radius, damagePct } splash on hit
+    if (config.life) bullet.life = config.life;
+    State.bullets.push(bullet);
+    return bullet;
   },
   
   // Spawn enemy bullet
@@ -46,9 +56,30 @@ export const Bullets = {
     // Player bullets
     for (let i = State.bullets.length - 1; i >= 0; i--) {
       const b = State.bullets[i];
+      // Boss time-slow fields
+      const bdt = dt * BossAbilities.timeScaleAt(b.x, b.y);
+      
+      if (b.homing) this._steerHoming(b, bdt);
+      
+      b.x += b.vx * bdt;
+      b.y += b.vy * bdt;
       
-      b.x += b.vx * dt;
-      b.y += b.vy * dt;      // Off screen (world mode uses zone bounds)
+      // Timed projectiles (mines) expire
+      if (b.life !== undefined) {
+        b.life -= bdt;
+        if (b.life <= 0) {
+          State.bullets.splice(i, 1);
+          continue;
+        }
+      }
+      
+      // Mines: drift to a stop, arm, detonate on proximity (no contact collision)
+      if (b.mine) {
+        if (this._updateMine(b, bdt)) State.bullets.splice(i, 1);
+        continue;
+      }
+      
+      // Off screen (world mode uses zone bounds)
       const zone = State.world?.currentZone;
       if (zone) {
         const margin = 200;
@@ -310,11 +341,23 @@ export const Bullets = {
         
         const dist = Math.hypot(b.x - e.x, b.y - e.y);
         if (dist < b.size + e.size) {
-          // Hit!
-          const killData = Enemies.damage(e, b.damage, b.isCrit);
+          // Hit! Item effects may modify the damage first
+          const hit = b.isPlayer ? ItemEffects.trigger('hit', { bullet: b, enemy: e, damage: b.damage }) : { damage: b.damage };
+          const killData = Enemies.damage(e, hit.damage, b.isCrit);
           
           // Spawn damage number
-          this.spawnDamageNumber(b.x, b.y, b.damage, b.isCrit);
+          this.spawnDamageNumber(b.x, b.y, hit.damage, b.isCrit);
+          
+          // Effect-tagged shot (e.g. every Nth shot explodes)
+          if (b.burst) {
+            ItemEffects.explode(b.x, b.y, b.burst.radius, hit.damage * b.burst.damagePct / 100, e);
+            b.burst = null;
+          }
+          
+          // Missile splash
+          if (b.blast) {
+            this.explode(b.x, b.y, b.blast.radius, hit.damage * b.blast.damagePct / 100, e, '#ff8800');
+          }
           
           // Per-weapon impact VFX
           const Particles = State.modules?.Particles;
@@ -357,6 +400,11 @@ export const Bullets = {
           // Handle kill rewards
           if (killData) {
             this.onEnemyKilled(killData);
+            // Drone shots that heal on kill
+            if (b.healOnKillPct) {
+              const p = State.player;
+              p.hp = Math.min(p.maxHP, p.hp + p.maxHP * b.healOnKillPct / 100);
+            }
           }
           
           b.hits++;
@@ -371,9 +419,10 @@ export const Bullets = {
     // Enemy bullets
     for (let i = State.enemyBullets.length - 1; i >= 0; i--) {
       const b = State.enemyBullets[i];
+      const bdt = dt * BossAbilities.timeScaleAt(b.x, b.y);
       
-      b.x += b.vx * dt;
-      b.y += b.vy * dt;      // Off screen (world mode uses zone bounds)
+      b.x += b.vx * bdt;
+      b.y += b.vy * bdt;      // Off screen (world mode uses zone bounds)
       const zone = State.world?.currentZone;
       if (zone) {
         const margin = 200;
@@ -391,13 +440,78 @@ export const Bullets = {
       const p = State.player;
       const dist = Math.hypot(b.x - p.x, b.y - p.y);
       if (dist < b.size + 15) {
+        State.enemyBullets.splice(i, 1);
+        if (Player.rollDodge()) continue;
+        ItemEffects.trigger('struck', { bullet: b });
         Player.takeDamage(b.damage);
         if (b.dot) Player.applyDot(b.dot);
-        State.enemyBullets.splice(i, 1);
       }
     }
   },
   
+  // ── Secondary weapon projectiles ──
+  
+  // Turn a homing projectile toward the nearest living enemy
+  _steerHoming(b, dt) {
+    let target = null;
+    let best = b.homing.range || 600;
+    for (const e of State.enemies) {
+      if (e.dead) continue;
+      const d = Math.hypot(e.x - b.x, e.y - b.y);
+      if (d < best) { best = d; target = e; }
+    }
+    if (!target) return;
+    
+    const speed = Math.hypot(b.vx, b.vy);
+    const current = Math.atan2(b.vy, b.vx);
+    let diff = Math.atan2(target.y - b.y, target.x - b.x) - current;
+    diff = ((diff + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+    const maxTurn = (b.homing.turnRate || 4) * dt;
+    const ang = current + Math.max(-maxTurn, Math.min(maxTurn, diff));
+    b.vx = Math.cos(ang) * speed;
+    b.vy = Math.sin(ang) * speed;
+  },
+  
+  // Returns true when the mine detonated
+  _updateMine(b, dt) {
+    const m = b.mine;
+    const drag = Math.pow(0.05, dt);
+    b.vx *= drag;
+    b.vy *= drag;
+    
+    if (m.armTime > 0) {
+      m.armTime -= dt;
+      return false;
+    }
+    
+    for (const e of State.enemies) {
+      if (e.dead) continue;
+      if (Math.hypot(e.x - b.x, e.y - b.y) < m.triggerRadius + (e.size || 0)) {
+        this.explode(b.x, b.y, m.blastRadius, b.damage, null, '#ff4400');
+        const AudioM = State.modules?.Audio;
+        if (AudioM?.mineExplosion) AudioM.mineExplosion();
+        return true;
+      }
+    }
+    return false;
+  },
+  
+  // AoE damage around a point; kills pay out rewards like bullet kills
+  explode(x, y, radius, damage, exclude = null, color = '#ffaa00') {
+    const Particles = State.modules?.Particles;
+    if (Particles) {
+      Particles.ring(x, y, color, radius);
+      Particles.explosion(x, y, color, 12, radius * 1.5);
+    }
+    for (const e of State.enemies) {
+      if (e.dead || e === exclude) continue;
+      if (Math.hypot(e.x - x, e.y - y) > radius + (e.size || 0)) continue;
+      this.spawnDamageNumber(e.x, e.y, damage, false);
+      const killData = Enemies.damage(e, damage, false);
+      if (killData) this.onEnemyKilled(killData);
+    }
+  },
+  
   // Spawn floating damage number
   spawnDamageNumber(x, y, damage, isCrit) {
     const cfg = State.data.config?.effects?.damageNumbers || {};
@@ -502,7 +616,8 @@ export const Bullets = {
     let scrap = baseScrap;
     if (killData.isElite) scrap *= (cfg?.economy?.eliteScrapMult || 3);
     if (killData.isBoss) scrap *= (cfg?.economy?.bossScrapMult || 10);
-    State.run.scrapEarned += Math.floor(scrap * diffMods.scrapMult * streakXP);
+    const scrapBonus = 1 + (State.player.scrapBonus || 0) / 100;
+    State.run.scrapEarned += Math.floor(scrap * diffMods.scrapMult * streakXP * scrapBonus);
     
     // Loot drop check (pass difficulty boost + streak loot mult)
     this.checkLootDrop(killData, diffMods, streakLoot);
@@ -566,8 +681,9 @@ export const Bullets = {
     if (killData.isElite) dropChance = cfg.eliteDropChance || 0.25;
     if (killData.isBoss) dropChance = cfg.bossDropChance || 1.0;
 
-    // Apply luck
+    // Apply luck + loot bonus (Mastery fortune)
     dropChance *= (1 + (State.player.luck || 0) * 0.02);
+    dropChance *= (1 + (State.player.lootBonus || 0) / 100);
     
     // Apply streak loot multiplier to drop chance
     dropChance *= streakLootMult;
@@ -597,7 +713,8 @@ export const Bullets = {
       State.meta.pity.killsSinceUnique++;
     }
 
-    if (Math.random() < dropChance) {
+    // Loot rolls come from the zone's seeded stream (LootRNG)
+    if (LootRNG.random() < dropChance) {
       // Pre-roll rarity so the pickup has the correct color BEFORE collection
       const ilvl = State.run.currentDepth || State.meta.level || 1;
       let preRolledRarity = null;
@@ -605,12 +722,12 @@ export const Bullets = {
         preRolledRarity = 'legendary';
       } else if (killData.isElite) {
         // Elite floor = rare, can roll higher
-        const roll = Math.random();
+        const roll = LootRNG.random();
         if (roll < 0.05) preRolledRarity = 'legendary';
         else if (roll < 0.20) preRolledRarity = 'epic';
         else preRolledRarity = 'rare';
       } else {
-        const roll = Math.random();
+        const roll = LootRNG.random();
         if (roll < 0.005) preRolledRarity = 'legendary';
         else if (roll < 0.03) preRolledRarity = 'epic';
         else if (roll < 0.12) preRolledRarity = 'rare';
@@ -642,13 +759,10 @@ export const Bullets = {
         if (curIdx < rareIdx) preRolledRarity = 'rare';
       }
       
-      State.pickups.push({
-        type: 'item',
+      // Rolled from this drop's seed and run through the loot filter
+      State.modules?.Pickups?.dropItem({
         x: killData.x,
         y: killData.y,
-        vx: (Math.random() - 0.5) * 50,
-        vy: -50 + Math.random() * 30,
-        life: 10,
         rarity: preRolledRarity,
         rarityFloor: killData.isElite ? 'rare' : null,
         ilvl: ilvl,
@@ -859,6 +973,28 @@ export const Bullets = {
           ctx.fill();
           break;
         }
+        case 'mine': {
+          // Blinking proximity mine: dim while arming, pulsing red when live
+          const armed = !b.mine || b.mine.armTime <= 0;
+          const blink = armed ? 0.6 + Math.sin(t * 10) * 0.4 : 0.3;
+          ctx.fillStyle = '#442222';
+          ctx.beginPath();
+          ctx.arc(b.x, b.y, s, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.fillStyle = `rgba(255,60,30,${blink})`;
+          ctx.shadowColor = '#ff3300';
+          ctx.shadowBlur = armed ? 10 : 0;
+          ctx.beginPath();
+          ctx.arc(b.x, b.y, s * 0.45, 0, Math.PI * 2);
+          ctx.fill();
+          if (armed && b.mine) {
+            ctx.strokeStyle = 'rgba(255,60,30,0.15)';
+            ctx.beginPath();
+            ctx.arc(b.x, b.y, b.mine.triggerRadius, 0, Math.PI * 2);
+            ctx.stroke();
+          }
+          break;
+        }
         case 'nova': {
           // Pulsing energy sphere
           const pulse = 0.8 + Math.sin(t * 15 + b.x) * 0.3;
@@ -9,8 +9,9 @@
 // ============================================================
 
 import { State } from './State.js';
-import { getConfig, getRandomAffix } from './DataLoader.js';
+import { getConfig } from './DataLoader.js';
 import Items from './Items.js';
+import { LootRNG } from './LootRNG.js';
 
 const RARITY_ORDER = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
 const RARITY_RANK  = { common: 0, uncommon: 1, rare: 2, epic: 3, legendary: 4, mythic: 5 };
@@ -145,6 +146,11 @@ export const Crafting = {
     if (c.notUnique && item.isUnique) {
       return { ok: false, reason: 'Cannot craft unique items' };
     }
+    // Locked / favorite items are off limits for recipes that destroy or reroll them
+    if (c.notLocked) {
+      const guard = Items.canDestroy(item);
+      if (!guard.ok) return guard;
+    }
     if (c.minRarity) {
       if ((RARITY_RANK[item.rarity] ?? 0) < (RARITY_RANK[c.minRarity] ?? 0)) {
         return { ok: false, reason: 'Item rarity too low (min: ' + c.minRarity + ')' };
@@ -159,8 +165,7 @@ export const Crafting = {
       return { ok: false, reason: 'Item needs at least ' + c.minAffixes + ' affix(es)' };
     }
     if (c.mustHaveRoom) {
-      const rarityData = State.data.rarities?.[item.rarity];
-      const maxAffixes = rarityData?.maxAffixes || 1;
+      const maxAffixes = Items.getAffixLimits(item.rarity).total;
       if ((item.affixes?.length || 0) >= maxAffixes) {
         return { ok: false, reason: 'Item has no room for more affixes' };
       }
@@ -194,25 +199,7 @@ export const Crafting = {
     this._deductCost(costs);
 
     // Reroll affixes
-    const rarityData = State.data.rarities?.[item.rarity];
-    const maxAffixes = rarityData?.maxAffixes || 1;
-    const numAffixes = Math.floor(Math.random() * (maxAffixes + 1));
-    const usedStats = new Set();
-    const ilvlMult = 1 + ((item.ilvl || 1) - 1) * 0.03;
-
-    item.affixes = [];
-    for (let i = 0; i < numAffixes; i++) {
-      const type = i < numAffixes / 2 ? 'prefix' : 'suffix';
-      const affix = getRandomAffix(item.rarity, type);
-      if (affix && !usedStats.has(affix.stat)) {
-        usedStats.add(affix.stat);
-        const value = affix.range[0] + Math.random() * (affix.range[1] - affix.range[0]);
-        item.affixes.push({
-          id: affix.id, name: affix.name, stat: affix.stat,
-          value: Math.round(value * ilvlMult * 10) / 10, type
-        });
-      }
-    }
+    LootRNG.run(LootRNG.craftSeed(item, 'reroll_affixes'), () => Items.rollAffixes(item));
 
     // Rebuild name
     const baseData = State.data.items;
@@ -254,7 +241,7 @@ export const Crafting = {
 
     // Roll success
     const successChance = recipe.successChance?.[item.rarity] ?? 0.5;
-    const success = Math.random() < successChance;
+    const success = LootRNG.run(LootRNG.craftSeed(item, 'upgrade_rarity'), () => LootRNG.random() < successChance);
 
     ensureCraftMeta();
     State.meta.craftStats.totalCrafts++;
@@ -307,14 +294,9 @@ export const Crafting = {
 
     this._deductCost(costs);
 
-    // Pick a new affix that doesn't duplicate existing stats
-    const usedStats = new Set((item.affixes || []).map(a => a.stat));
-    const prefixCount = (item.affixes || []).filter(a => a.type === 'prefix').length;
-    const suffixCount = (item.affixes || []).filter(a => a.type === 'suffix').length;
-    const type = prefixCount <= suffixCount ? 'prefix' : 'suffix';
-
-    const affix = getRandomAffix(item.rarity, type);
-    if (!affix || usedStats.has(affix.stat)) {
+    // Roll onto a side with room, skipping groups the item already has
+    const affix = LootRNG.run(LootRNG.craftSeed(item, 'add_affix'), () => Items.rollAffix(item));
+    if (!affix) {
       // Refund half cost on bad luck
       for (const [currency, amount] of Object.entries(costs)) {
         this._setCurrency(currency, this._getCurrency(currency) + Math.floor(amount * 0.5));
@@ -322,13 +304,6 @@ export const Crafting = {
       return { ok: false, reason: 'No compatible affix available (50% refund)' };
     }
 
-    const ilvlMult = 1 + ((item.ilvl || 1) - 1) * 0.03;
-    const value = affix.range[0] + Math.random() * (affix.range[1] - affix.range[0]);
-    item.affixes.push({
-      id: affix.id, name: affix.name, stat: affix.stat,
-      value: Math.round(value * ilvlMult * 10) / 10, type
-    });
-
     // Rebuild name
     const baseData = State.data.items;
     let baseName = item.name;
@@ -382,7 +357,8 @@ export const Crafting = {
 
     // Boost all stats by 10-20%
     const boostRange = recipe.boostRange || [0.10, 0.20];
-    const boost = boostRange[0] + Math.random() * (boostRange[1] - boostRange[0]);
+    const boost = LootRNG.run(LootRNG.craftSeed(item, 'enchant_boost'),
+      () => boostRange[0] + LootRNG.random() * (boostRange[1] - boostRange[0]));
 
     for (const stat of Object.keys(item.stats)) {
       item.stats[stat] = Math.round(item.stats[stat] * (1 + boost) * 10) / 10;
@@ -418,13 +394,15 @@ export const Crafting = {
     if (!yields) return { ok: false, reason: 'No salvage yield for rarity: ' + item.rarity };
 
     const gained = {};
-    for (const [currency, range] of Object.entries(yields)) {
-      const amount = Math.floor(range[0] + Math.random() * (range[1] - range[0] + 1));
-      if (amount > 0) {
-        this._setCurrency(currency, this._getCurrency(currency) + amount);
-        gained[currency] = amount;
+    LootRNG.run(LootRNG.craftSeed(item, 'salvage_advanced'), () => {
+      for (const [currency, range] of Object.entries(yields)) {
+        const amount = Math.floor(range[0] + LootRNG.random() * (range[1] - range[0] + 1));
+        if (amount > 0) {
+          this._setCurrency(currency, this._getCurrency(currency) + amount);
+          gained[currency] = amount;
+        }
       }
-    }
+    });
 
     // Unequip if equipped
     for (const [slot, id] of Object.entries(State.meta.equipment || {})) {
@@ -7,6 +7,7 @@
 // Fetches all game data from /data/ folder and populates State.data
 
 import { State } from './State.js';
+import { LootRNG } from './LootRNG.js';
 
 const DATA_FILES = [
   'config',
@@ -108,22 +109,66 @@ export function getItemData(itemId) {
   return null;
 }
 
-// Get random affix for rarity
-export function getRandomAffix(rarity, type = 'prefix') {
-  const affixes = State.data.affixes?.[type === 'prefix' ? 'prefixes' : 'suffixes'];
-  if (!affixes) return null;
-  
-  const allAffixes = [];
-  for (const category of Object.values(affixes)) {
-    for (const affix of category) {
-      if (affix.tiers.includes(rarity)) {
-        allAffixes.push(affix);
-      }
+const RARITY_RANK = { common: 0, uncommon: 1, rare: 2, epic: 3, legendary: 4, mythic: 5 };
+
+// Affix families of one type ('prefix' | 'suffix') as [{ id, type, stat, group, tiers, ... }]
+export function getAffixFamilies(type = 'prefix') {
+  const families = State.data.affixes?.[type === 'prefix' ? 'prefixes' : 'suffixes'];
+  if (!families) return [];
+  return Object.entries(families).map(([id, family]) => ({ id, type, ...family }));
+}
+
+// Family + tier behind a rolled affix id (tooltips, saves without tier info)
+export function findAffixTier(affixId) {
+  for (const type of ['prefix', 'suffix']) {
+    for (const family of getAffixFamilies(type)) {
+      const tier = (family.tiers || []).find(t => t.id === affixId);
+      if (tier) return { family, tier };
     }
   }
-  
-  if (allAffixes.length === 0) return null;
-  return allAffixes[Math.floor(Math.random() * allAffixes.length)];
+  return null;
+}
+
+// Pick a random affix tier of the given type for an item.
+// Families are filtered by slot ("slots": ["drone"]), minRarity and
+// options.excludeGroups; tiers by options.ilvl (minIlvl), then picked by weight.
+// Returns { id, name, stat, tier, range, group, type } or null if nothing fits
+export function getRandomAffix(rarity, type = 'prefix', slot = null, options = {}) {
+  const ilvl = options.ilvl || 1;
+  const excludeGroups = options.excludeGroups || new Set();
+  const rank = RARITY_RANK[rarity] ?? 0;
+
+  const pool = [];
+  let total = 0;
+  for (const family of getAffixFamilies(type)) {
+    if (family.slots && !family.slots.includes(slot)) continue;
+    if (family.minRarity && rank < (RARITY_RANK[family.minRarity] ?? 0)) continue;
+    if (excludeGroups.has(family.group || family.stat)) continue;
+    for (const tier of family.tiers || []) {
+      if (ilvl < (tier.minIlvl || 1)) continue;
+      pool.push({ family, tier });
+      total += tier.weight || 1;
+    }
+  }
+  if (pool.length === 0) return null;
+
+  let roll = LootRNG.random() * total;
+  let picked = pool[pool.length - 1];
+  for (const entry of pool) {
+    roll -= entry.tier.weight || 1;
+    if (roll <= 0) { picked = entry; break; }
+  }
+
+  const { family, tier } = picked;
+  return {
+    id: tier.id,
+    name: tier.name,
+    stat: family.stat,
+    tier: tier.tier,
+    range: tier.range,
+    group: family.group || family.stat,
+    type
+  };
 }
 
-export default { loadAllData, getData, getConfig, getAllItems, getItemData, getRandomAffix };
+export default { loadAllData, getData, getConfig, getAllItems, getItemData, getAffixFamilies, findAffixTier, getRandomAffix };
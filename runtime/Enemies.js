@@ -6,6 +6,8 @@
 // ============================================================
 
 import { State } from './State.js';
+import { ItemEffects } from './ItemEffects.js';
+import { BossAbilities } from './BossAbilities.js';
 
 // Lightweight sprite cache (no global asset pipeline required)
 const _spriteCache = {};
@@ -18,6 +20,231 @@ function getSprite(path) {
   return img;
 }
 
+// ── Exploration AI (enemies.json "aiBehaviors") ──
+// Every enemy runs a behaviour: named states with a movement mode, a list of
+// abilities and transitions. The state's `mode` (patrol / alert / aggro /
+// return) is mirrored to e.aiState, which World, Audio and BossAbilities read.
+
+// Used when enemies.json has no aiBehaviors block
+const FALLBACK_BEHAVIOR = {
+  initial: 'patrol',
+  always: [],
+  states: {
+    patrol: { mode: 'patrol', move: 'patrol', abilities: [], transitions: [{ to: 'engage', when: { playerWithin: 'aggroRange' } }] },
+    engage: {
+      mode: 'aggro', move: 'pursue', abilities: ['shoot'],
+      transitions: [{ to: 'leash', when: { playerBeyond: 'disengageRange' } }]
+    },
+    leash: {
+      mode: 'return', move: 'home', abilities: [],
+      transitions: [
+        { to: 'engage', when: { playerWithin: 'aggroRange' } },
+        { to: 'patrol', when: { homeWithin: 'returnThreshold' } }
+      ]
+    }
+  }
+};
+
+// Movement per state. ctx = { p, distP, distH, zone }
+const AI_MOVES = {
+  patrol(e, dt) {
+    const t = Enemies._patrolTarget(e, dt);
+    Enemies._steerTo(e, t.x, t.y, e.speed * (e.isBoss ? 0.40 : 0.32));
+  },
+  home(e) {
+    Enemies._steerTo(e, e.homeX, e.homeY, e.speed * (e.isBoss ? 0.85 : 0.70));
+  },
+  pursue(e, dt, ctx) {
+    Enemies._pursue(e, dt, ctx);
+  },
+  // Run straight away from the player
+  flee(e, dt, ctx) {
+    const d = ctx.distP || 1;
+    const sp = e.speed * (e.isBoss ? 0.85 : 0.70);
+    e.vx = (e.x - ctx.p.x) / d * sp;
+    e.vy = (e.y - ctx.p.y) / d * sp;
+  },
+  stop(e) {
+    e.vx = 0;
+    e.vy = 0;
+  },
+  // Pinned to the spawn point (turrets)
+  anchor(e) {
+    e.vx = 0;
+    e.vy = 0;
+    e.x = e.homeX || e.x;
+    e.y = e.homeY || e.y;
+  },
+  // Follow and heal an ally (repair drone)
+  tether(e, dt, ctx) {
+    Enemies.updateRepairDroneAI(e, dt, ctx.zone);
+  }
+};
+
+// Abilities a state can list. `attack` abilities only run while the
+// player is within attackRange.
+const AI_ABILITIES = {
+  // Cloaker: invisible until the player gets close
+  cloak: {
+    run(e, dt, p, dist) {
+      const wasCloaked = e._cloaked;
+      e._cloaked = dist > (e._uncloakRange || 120);
+      // Uncloak SFX when transitioning visible
+      if (wasCloaked && !e._cloaked) {
+        const AudioC = State.modules?.Audio;
+        if (AudioC) AudioC.uncloak();
+      }
+    }
+  },
+
+  shoot: {
+    attack: true,
+    run(e, dt) {
+      e.shootTimer -= dt;
+      if (e.shootTimer <= 0) {
+        // Light jitter to avoid perfectly deterministic bullet streams
+        e.shootTimer = e.shootInterval + Math.random() * 0.35;
+        Enemies.shoot(e);
+      }
+    }
+  },
+
+  // Sniper: telegraphed windup then high-velocity shot
+  aimShot: {
+    attack: true,
+    run(e, dt, p) {
+      const aim = e.aim;
+      if (!aim) return;
+      if (aim.state === 'cooldown') {
+        e.shootTimer -= dt;
+        if (e.shootTimer <= 0) {
+          aim.state = 'windup';
+          aim.t = 0;
+          // Cache the angle at start (reduces jitter)
+          aim.lastAngle = Math.atan2(p.y - e.y, p.x - e.x);
+        }
+        return;
+      }
+
+      if (aim.state === 'windup') {
+        aim.t += dt;
+        // Track target slowly during windup for fairness
+        const targetAngle = Math.atan2(p.y - e.y, p.x - e.x);
+        const trackRate = 4.0; // rad/s
+        const delta = ((targetAngle - aim.lastAngle + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+        aim.lastAngle += Math.max(-trackRate * dt, Math.min(trackRate * dt, delta));
+
+        if (aim.t >= aim.windup) {
+          // Fire
+          Enemies.shootSniper(e, aim.lastAngle);
+          // Reset cooldown
+          aim.state = 'cooldown';
+          aim.t = 0;
+          e.shootTimer = e.shootInterval + Math.random() * 0.35;
+        }
+      }
+    }
+  },
+
+  // Turret: burst fire (3 shots rapid, then pause)
+  burstFire: {
+    attack: true,
+    run(e, dt) {
+      e.shootTimer -= dt;
+      if (e._burstRemaining > 0) {
+        e._burstTimer -= dt;
+        if (e._burstTimer <= 0) {
+          Enemies.shoot(e);
+          e._burstRemaining--;
+          e._burstTimer = e._burstDelay || 0.15;
+        }
+        return; // don't start a new burst mid-burst
+      }
+      if (e.shootTimer <= 0) {
+        e.shootTimer = e.shootInterval + Math.random() * 0.35;
+        e._burstRemaining = (e._burstCount || 3) - 1; // -1 because we fire the first now
+        e._burstTimer = e._burstDelay || 0.15;
+        Enemies.shoot(e);
+      }
+    }
+  },
+
+  // Bomber: drop mines behind itself
+  layMines: {
+    attack: true,
+    run(e, dt) {
+      e._mineTimer -= dt;
+      if (e._mineTimer > 0) return;
+      e._mineTimer = 2.5 + Math.random();
+      const zone = State.world?.currentZone;
+      if (!zone || !zone.obstacles) return;
+      for (let m = 0; m < (e._mineCount || 1); m++) {
+        zone.obstacles.push({
+          x: e.x + (Math.random() - 0.5) * 40,
+          y: e.y + (Math.random() - 0.5) * 40,
+          type: 'mine', radius: 12, rotation: 0,
+          destructible: true, hp: 6,
+          damage: e._mineDamage || 12,
+          destroyed: false
+        });
+      }
+      // Brief VFX
+      const Particles = State.modules?.Particles;
+      if (Particles) Particles.flash(e.x, e.y, '#ff6633', 6);
+    }
+  },
+
+  // Summoner: spawn minions periodically
+  summon: {
+    attack: true,
+    run(e, dt) {
+      // Clean dead summons from tracking
+      e._summonIds = (e._summonIds || []).filter(id => State.enemies.some(en => en.id === id && !en.dead));
+      e._summonCount = e._summonIds.length;
+
+      e._summonTimer -= dt;
+      if (e._summonTimer > 0 || e._summonCount >= (e._summonMax || 3)) return;
+      e._summonTimer = 6 + Math.random() * 2;
+      const ang = Math.random() * Math.PI * 2;
+      const sx = e.x + Math.cos(ang) * (e.size * 2.5);
+      const sy = e.y + Math.sin(ang) * (e.size * 2.5);
+      const minion = Enemies.spawn(e._summonType || 'grunt', sx, sy, false, false);
+      if (minion) {
+        minion.hp *= 0.6;
+        minion.maxHP *= 0.6;
+        minion.xp = Math.floor(minion.xp * 0.3);
+        minion.homeX = e.x;
+        minion.homeY = e.y;
+        minion.aiState = 'aggro';
+        e._summonIds.push(minion.id);
+      }
+      const Particles = State.modules?.Particles;
+      if (Particles) {
+        Particles.ring(e.x, e.y, '#cc44ff', e.size * 1.5);
+        Particles.flash(sx, sy, '#cc44ff', 8);
+      }
+      const AudioS = State.modules?.Audio;
+      if (AudioS) AudioS.summon();
+    }
+  },
+
+  // Shielder: orient barrier toward player
+  projectBarrier: {
+    attack: true,
+    run(e, dt, p) {
+      e._barrierAngle = Math.atan2(p.y - e.y, p.x - e.x);
+      // Regen barrier slowly
+      e._barrierRegenTimer += dt;
+      if (e._barrierRegenTimer > 3 && e._barrierHP < e._barrierMaxHP) {
+        e._barrierHP = Math.min(e._barrierMaxHP, e._barrierHP + e._barrierMaxHP * 0.1 * dt);
+      }
+    }
+  }
+};
+
+// Resolved behaviours by id, rebuilt when the enemy data changes
+let _behaviorCache = { source: null, byId: {} };
+
 export const Enemies = {
   // Spawn an enemy
   spawn(type, x, y, isElite = false, isBoss = false) {
@@ -60,6 +287,9 @@ export const Enemies = {
       isBoss: isBoss,
       pattern: enemyData.pattern,
       abilities: Array.isArray(enemyData.abilities) ? enemyData.abilities.slice() : [],
+      phases: isBoss ? (enemyData.phases || 3) : 0,
+      abilityTuning: enemyData.abilityTuning || null,
+      behavior: enemyData.ai || 'default',
       patternTime: 0,
       shootTimer: shootInterval * (0.5 + Math.random() * 0.8),
       shootInterval: shootInterval,
@@ -144,6 +374,9 @@ if (enemy.abilities.includes('projectBarrier')) {
   enemy._barrierAngle = 0;
   enemy._barrierRegenTimer = 0;
 }
+
+// Boss attack patterns (BossAbilities.js)
+if (isBoss) BossAbilities.init(enemy);
 State.enemies.push(enemy);
     return enemy;
   },
@@ -251,12 +484,18 @@ State.enemies.push(enemy);
     // Per-frame heal budgets (prevents stacking exploits)
     const healBudget = Object.create(null);
     this._healBudget = healBudget;
+    BossAbilities.beginFrame();
 
     for (const e of State.enemies) {
       if (e.dead) continue;
 
       if (inWorld) {
         this.updateExplorationAI(e, dt, zone);
+        // Bosses hold still while a pattern winds up / fires or while stunned
+        if (e._rooted) {
+          e.vx = 0;
+          e.vy = 0;
+        }
 
         // Integrate velocity in world coords
         e.x += e.vx * dt;
@@ -267,7 +506,7 @@ State.enemies.push(enemy);
         e.x = Math.max(margin, Math.min(zone.width - margin, e.x));
         e.y = Math.max(margin, Math.min(zone.height - margin, e.y));
 
-        // Combat behavior (aggro only)
+        // Abilities of the current AI state (shooting, mines, cloak, ...)
         this.updateExplorationShooting(e, dt);
       } else {
         // Wave mode
@@ -295,42 +534,51 @@ State.enemies.push(enemy);
     State.enemies = State.enemies.filter(e => !e.dead);
   },
 
-  // Exploration AI: patrol at spawn point, aggro in range, return when player leaves
-  updateExplorationAI(e, dt, zone) {
-    const p = State.player;
-
-    // Repair drone overrides base AI
-    if (e.abilities && e.abilities.includes('repairTether')) {
-      this.updateRepairDroneAI(e, dt, zone);
-      return;
-    }
+  // ── Exploration AI state machine ──
+  // Behaviour definition for an enemy (enemies.json aiBehaviors[e.ai]).
+  // "extends" copies the parent's states; a child state replaces the
+  // parent's fields it names. Unknown ids fall back to "default".
+  getBehavior(id) {
+    const defs = State.data.enemies?.aiBehaviors;
+    if (!defs) return FALLBACK_BEHAVIOR;
+    if (_behaviorCache.source !== defs) _behaviorCache = { source: defs, byId: {} };
+    const key = defs[id] ? id : 'default';
+    if (!_behaviorCache.byId[key]) _behaviorCache.byId[key] = this._resolveBehavior(defs, key, 0);
+    return _behaviorCache.byId[key];
+  },
 
-    // Turret: completely stationary, only rotates to face player
-    if (e.abilities && e.abilities.includes('stationary')) {
-      e.vx = 0; e.vy = 0;
-      e.x = e.homeX || e.x;
-      e.y = e.homeY || e.y;
-      const distP = Math.hypot(p.x - e.x, p.y - e.y);
-      e.aiState = distP < (e.aggroRange || 400) ? 'aggro' : 'patrol';
-      return;
+  _resolveBehavior(defs, id, depth) {
+    const def = defs[id];
+    if (!def || typeof def !== 'object') return FALLBACK_BEHAVIOR;
+    const base = (def.extends && depth < 8) ? this._resolveBehavior(defs, def.extends, depth + 1) : null;
+
+    const states = {};
+    for (const [name, state] of Object.entries(base?.states || {})) states[name] = { ...state };
+    for (const [name, state] of Object.entries(def.states || {})) states[name] = { ...(states[name] || {}), ...state };
+    const always = def.always || base?.always || [];
+    for (const state of Object.values(states)) {
+      state.transitions = state.transitions || [];
+      // Abilities the state runs each frame ("always" first)
+      state.run = [...always, ...(state.abilities || [])].filter(a => {
+        if (AI_ABILITIES[a]) return true;
+        console.warn(`[ENEMIES] Behaviour ${id}: unknown ability "${a}"`);
+        return false;
+      });
     }
 
-    // Cloaker: update visibility based on distance
-    if (e.abilities && e.abilities.includes('cloak')) {
-      const distP = Math.hypot(p.x - e.x, p.y - e.y);
-      const wasCloaked = e._cloaked;
-      e._cloaked = distP > (e._uncloakRange || 120);
-      // Uncloak SFX when transitioning visible
-      if (wasCloaked && !e._cloaked) {
-        const AudioC = State.modules?.Audio;
-        if (AudioC) AudioC.uncloak();
-      }
-    }
+    let initial = def.initial || base?.initial;
+    if (!states[initial]) initial = Object.keys(states)[0];
+    if (!initial) return FALLBACK_BEHAVIOR;
+    return { id, initial, always, states };
+  },
 
+  // Patrol / range defaults (normally set in World.spawnEnemy)
+  _initExplorationAI(e) {
+    if (e._aiReady) return;
+    e._aiReady = true;
     const tune = State.data.config?.exploration || {};
     const aggroMult = (typeof tune.enemyAggroRangeMult === 'number') ? tune.enemyAggroRangeMult : 1.0;
 
-    // Lazy init for safety (should be set in World.spawnEnemy)
     if (e.homeX == null || e.homeY == null) {
       e.homeX = e.x;
       e.homeY = e.y;
@@ -350,118 +598,200 @@ State.enemies.push(enemy);
     if (!e.leashRange) e.leashRange = Math.max(e.aggroRange * 2.2, e.patrolRadius * 5);
     if (!e.returnThreshold) e.returnThreshold = Math.max(40, e.size * 1.2);
     if (e.wanderTimer == null) e.wanderTimer = 0;
+  },
+
+  // Current state definition. Other systems write e.aiState directly
+  // (World leashes despawning enemies, summons start in aggro), so a
+  // mismatch moves the machine to the first state with that mode.
+  _aiSync(e, behavior) {
+    if (!e.ai || !behavior.states[e.ai.state]) {
+      e.ai = { state: behavior.initial, t: 0 };
+    }
+    if (e.aiState && behavior.states[e.ai.state].mode !== e.aiState) {
+      const match = Object.keys(behavior.states).find(s => behavior.states[s].mode === e.aiState);
+      if (match) {
+        e.ai = { state: match, t: 0 };
+        if (behavior.states[match].move === 'pursue') e.patternState = null;
+      }
+    }
+    const state = behavior.states[e.ai.state];
+    e.aiState = state.mode || 'patrol';
+    return state;
+  },
+
+  // Transition conditions (all must hold). Range values are numbers or
+  // the name of an enemy field ("aggroRange", "leashRange", ...).
+  _aiCondition(e, when, ctx) {
+    if (!when) return true;
+    for (const [key, value] of Object.entries(when)) {
+      const range = typeof value === 'number' ? value : (e[value] ?? 0);
+      switch (key) {
+        case 'playerWithin': if (!(ctx.distP <= range)) return false; break;
+        case 'playerBeyond': if (!(ctx.distP > range)) return false; break;
+        case 'homeWithin':   if (!(ctx.distH <= range)) return false; break;
+        case 'homeBeyond':   if (!(ctx.distH > range)) return false; break;
+        case 'after':        if (e.ai.t < value) return false; break;
+        case 'hpBelow':      if (!(e.hp < e.maxHP * value)) return false; break;
+        case 'hpAbove':      if (!(e.hp > e.maxHP * value)) return false; break;
+        default: return false; // unknown condition never fires
+      }
+    }
+    return true;
+  },
+
+  updateExplorationAI(e, dt, zone) {
+    const behavior = this.getBehavior(e.behavior);
 
+    // Boss swarm interceptor: orbits its boss (BossAbilities drone_swarm),
+    // which also decides its aiState
+    if (e.interceptor) {
+      BossAbilities.steerInterceptor(e, dt);
+      this._aiSync(e, behavior);
+      return;
+    }
+
+    this._initExplorationAI(e);
     e.patrolTimer += dt;
 
-    const dxP = p.x - e.x;
-    const dyP = p.y - e.y;
-    const distP = Math.hypot(dxP, dyP);
-    const dxH = e.homeX - e.x;
-    const dyH = e.homeY - e.y;
-    const distH = Math.hypot(dxH, dyH);
-
-    // State transitions
-    if (distP <= e.aggroRange) {
-      e.aiState = 'aggro';
-    } else if (e.aiState === 'aggro' && (distP > e.disengageRange || distH > e.leashRange)) {
-      e.aiState = 'return';
-    } else if (e.aiState === 'return' && distH <= e.returnThreshold) {
-      e.aiState = 'patrol';
-      e.vx = 0;
-      e.vy = 0;
+    const p = State.player;
+    const ctx = {
+      p, zone,
+      distP: Math.hypot(p.x - e.x, p.y - e.y),
+      distH: Math.hypot(e.homeX - e.x, e.homeY - e.y)
+    };
+
+    let state = this._aiSync(e, behavior);
+    e.ai.t += dt;
+
+    // First matching transition wins. A state entered this frame can only
+    // be left again by a timed ("after") exit, so alert: { after: 0 } passes
+    // straight through while range checks wait for the next frame.
+    for (let hop = 0; hop < 4; hop++) {
+      const next = state.transitions.find(tr => behavior.states[tr.to]
+        && (hop === 0 || tr.when?.after != null)
+        && this._aiCondition(e, tr.when, ctx));
+      if (!next) break;
+      e.ai = { state: next.to, t: 0 };
+      state = behavior.states[next.to];
+      // Every engagement starts its movement pattern from the first step
+      if (state.move === 'pursue') e.patternState = null;
+      // Arriving home: settle before patrolling again
+      if (e.aiState === 'return' && state.mode === 'patrol') {
+        e.vx = 0;
+        e.vy = 0;
+      }
+      e.aiState = state.mode || 'patrol';
     }
 
-    // Movement
-    const patrolSpeed = e.speed * (e.isBoss ? 0.40 : 0.32);
-    const returnSpeed = e.speed * (e.isBoss ? 0.85 : 0.70);
-    const chaseSpeed = e.speed * (e.isBoss ? 1.05 : (e.isElite ? 0.95 : 0.90));
+    (AI_MOVES[state.move] || AI_MOVES.stop)(e, dt, ctx);
+  },
 
-    let tx = e.x;
-    let ty = e.y;
-    let desiredSpeed = patrolSpeed;
-
-    if (e.aiState === 'patrol') {
-      switch (e.patrol) {
-        case 'circle': {
-          e.patrolAngle += dt * 0.9 * e.patrolDir;
-          tx = e.homeX + Math.cos(e.patrolAngle) * e.patrolRadius;
-          ty = e.homeY + Math.sin(e.patrolAngle) * e.patrolRadius;
-          break;
-        }
-        case 'line': {
-          e.patrolAngle += dt * 1.1 * e.patrolDir;
-          tx = e.homeX + Math.sin(e.patrolAngle) * e.patrolRadius;
-          ty = e.homeY + Math.sin(e.patrolAngle * 0.5) * (e.patrolRadius * 0.25);
-          break;
-        }
-        case 'wander': {
-          e.wanderTimer -= dt;
-          if (!e.wanderTarget || e.wanderTimer <= 0) {
-            const a = Math.random() * Math.PI * 2;
-            const r = Math.random() * e.patrolRadius;
-            e.wanderTarget = {
-              x: e.homeX + Math.cos(a) * r,
-              y: e.homeY + Math.sin(a) * r
-            };
-            e.wanderTimer = 1.2 + Math.random() * 2.2;
-          }
-          tx = e.wanderTarget.x;
-          ty = e.wanderTarget.y;
-          break;
-        }
-        case 'static':
-        default: {
-          // Slight hover-bob without net drift
-          tx = e.homeX + Math.sin(e.patrolTimer * 1.7) * 12;
-          ty = e.homeY + Math.cos(e.patrolTimer * 1.3) * 10;
-          break;
+  // Patrol target around the spawn point (e.patrol: circle / line / wander / static)
+  _patrolTarget(e, dt) {
+    switch (e.patrol) {
+      case 'circle': {
+        e.patrolAngle += dt * 0.9 * e.patrolDir;
+        return {
+          x: e.homeX + Math.cos(e.patrolAngle) * e.patrolRadius,
+          y: e.homeY + Math.sin(e.patrolAngle) * e.patrolRadius
+        };
+      }
+      case 'line': {
+        e.patrolAngle += dt * 1.1 * e.patrolDir;
+        return {
+          x: e.homeX + Math.sin(e.patrolAngle) * e.patrolRadius,
+          y: e.homeY + Math.sin(e.patrolAngle * 0.5) * (e.patrolRadius * 0.25)
+        };
+      }
+      case 'wander': {
+        e.wanderTimer -= dt;
+        if (!e.wanderTarget || e.wanderTimer <= 0) {
+          const a = Math.random() * Math.PI * 2;
+          const r = Math.random() * e.patrolRadius;
+          e.wanderTarget = {
+            x: e.homeX + Math.cos(a) * r,
+            y: e.homeY + Math.sin(a) * r
+          };
+          e.wanderTimer = 1.2 + Math.random() * 2.2;
         }
+        return e.wanderTarget;
       }
-    } else if (e.aiState === 'return') {
-      tx = e.homeX;
-      ty = e.homeY;
-      desiredSpeed = returnSpeed;
-    } else if (e.aiState === 'aggro') {
-      desiredSpeed = chaseSpeed;
-
-      // Patrol-like spaceship behavior: approach, then strafe/orbit
-      const orbitDist = e.isBoss ? 260 : (e.isElite ? 200 : 170);
-      if (distP > 0.001) {
-        const ux = dxP / distP;
-        const uy = dyP / distP;
-        const px = -uy;
-        const py = ux;
-
-        // Too close -> back off
-        const minDist = e.size * 2.6;
-        const tooClose = distP < minDist;
-
-        const orbitBias = distP < orbitDist ? 1.0 : 0.45;
-        const jitter = Math.sin(e.patrolTimer * 1.6) * 0.25;
-
-        const dirX = (tooClose ? -ux : ux) + px * (orbitBias * e.patrolDir) + px * jitter;
-        const dirY = (tooClose ? -uy : uy) + py * (orbitBias * e.patrolDir) + py * jitter;
-        const d = Math.hypot(dirX, dirY) || 1;
-
-        e.vx = (dirX / d) * desiredSpeed;
-        e.vy = (dirY / d) * desiredSpeed;
-        return;
+      case 'static':
+      default: {
+        // Slight hover-bob without net drift
+        return {
+          x: e.homeX + Math.sin(e.patrolTimer * 1.7) * 12,
+          y: e.homeY + Math.cos(e.patrolTimer * 1.3) * 10
+        };
       }
     }
+  },
 
-    // Steer towards target (patrol/return)
+  _steerTo(e, tx, ty, speed) {
     const dx = tx - e.x;
     const dy = ty - e.y;
     const dist = Math.hypot(dx, dy);
     if (dist > 2) {
-      e.vx = (dx / dist) * desiredSpeed;
-      e.vy = (dy / dist) * desiredSpeed;
+      e.vx = (dx / dist) * speed;
+      e.vy = (dy / dist) * speed;
     } else {
       e.vx *= 0.85;
       e.vy *= 0.85;
     }
   },
 
+  // Patrol-like spaceship behavior: approach, then strafe/orbit
+  _pursue(e, dt, ctx) {
+    const chaseSpeed = e.speed * (e.isBoss ? 1.05 : (e.isElite ? 0.95 : 0.90));
+    const distP = ctx.distP;
+    if (distP <= 0.001) {
+      this._steerTo(e, e.x, e.y, chaseSpeed);
+      return;
+    }
+
+    const orbitDist = e.isBoss ? 260 : (e.isElite ? 200 : 170);
+    const ux = (ctx.p.x - e.x) / distP;
+    const uy = (ctx.p.y - e.y) / distP;
+    const px = -uy;
+    const py = ux;
+
+    // Too close -> back off
+    const minDist = e.size * 2.6;
+    const tooClose = distP < minDist;
+
+    // Data-driven pattern, relative to the player: forward = toward them,
+    // sideways = orbit direction. Inside orbit range the forward part turns
+    // into orbiting (keeps spacing) unless the step targets the player.
+    // Too close always backs off, player-targeting steps included.
+    const step = this._patternStep(e, dt);
+    if (step) {
+      let forward = step.dy || 0;
+      let side = step.dx || 0;
+      if (tooClose) {
+        forward = -1;
+        if (step.target) side = 0;
+      } else if (!step.target && distP < orbitDist && forward > 0) {
+        side += Math.sign(side || 1) * forward;
+        forward = 0;
+      }
+      const v = this._stepVelocity(e, step, chaseSpeed, ux, uy,
+        px * e.patrolDir, py * e.patrolDir, { forward, side, unit: true, chase: !tooClose });
+      e.vx = v.vx;
+      e.vy = v.vy;
+      return;
+    }
+
+    const orbitBias = distP < orbitDist ? 1.0 : 0.45;
+    const jitter = Math.sin(e.patrolTimer * 1.6) * 0.25;
+
+    const dirX = (tooClose ? -ux : ux) + px * (orbitBias * e.patrolDir) + px * jitter;
+    const dirY = (tooClose ? -uy : uy) + py * (orbitBias * e.patrolDir) + py * jitter;
+    const d = Math.hypot(dirX, dirY) || 1;
+
+    e.vx = (dirX / d) * chaseSpeed;
+    e.vy = (dirY / d) * chaseSpeed;
+  },
+
   
 // Support AI: repair drone tethers to a nearby ally and heals it (capped per target per second)
 updateRepairDroneAI(e, dt, zone) {
@@ -528,140 +858,23 @@ updateRepairDroneAI(e, dt, zone) {
 },
 
 updateExplorationShooting(e, dt) {
-    // Boss ability ticks (shield timer, periodic adds)
-    if (e.isBoss) this._tickBossAbilities(e, dt);
-
-    if (e.aiState !== 'aggro') return;
-    const p = State.player;
-    const dist = Math.hypot(p.x - e.x, p.y - e.y);
-    if (dist > e.attackRange) return;
-
-    // Sniper special (aimShot): telegraphed windup then high-velocity shot
-    if (e.abilities && e.abilities.includes('aimShot') && e.aim) {
-      const aim = e.aim;
-      if (aim.state === 'cooldown') {
-        e.shootTimer -= dt;
-        if (e.shootTimer <= 0) {
-          aim.state = 'windup';
-          aim.t = 0;
-          // Cache the angle at start (reduces jitter)
-          aim.lastAngle = Math.atan2(p.y - e.y, p.x - e.x);
-        }
-        return;
-      }
-
-      if (aim.state === 'windup') {
-        aim.t += dt;
-        // Track target slowly during windup for fairness
-        const targetAngle = Math.atan2(p.y - e.y, p.x - e.x);
-        const trackRate = 4.0; // rad/s
-        const delta = ((targetAngle - aim.lastAngle + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
-        aim.lastAngle += Math.max(-trackRate * dt, Math.min(trackRate * dt, delta));
-
-        if (aim.t >= aim.windup) {
-          // Fire
-          this.shootSniper(e, aim.lastAngle);
-          // Reset cooldown
-          aim.state = 'cooldown';
-          aim.t = 0;
-          e.shootTimer = e.shootInterval + Math.random() * 0.35;
-        }
-        return;
-      }
-    }
-
-    e.shootTimer -= dt;
-
-    // ── Bomber: lay mines while in aggro ──
-    if (e.abilities && e.abilities.includes('layMines')) {
-      e._mineTimer -= dt;
-      if (e._mineTimer <= 0) {
-        e._mineTimer = 2.5 + Math.random();
-        const zone = State.world?.currentZone;
-        if (zone && zone.obstacles) {
-          for (let m = 0; m < (e._mineCount || 1); m++) {
-            zone.obstacles.push({
-              x: e.x + (Math.random() - 0.5) * 40,
-              y: e.y + (Math.random() - 0.5) * 40,
-              type: 'mine', radius: 12, rotation: 0,
-              destructible: true, hp: 6,
-              damage: e._mineDamage || 12,
-              destroyed: false
-            });
-          }
-          // Brief VFX
-          const Particles = State.modules?.Particles;
-          if (Particles) Particles.flash(e.x, e.y, '#ff6633', 6);
-        }
-      }
-    }
-
-    // ── Summoner: spawn minions periodically ──
-    if (e.abilities && e.abilities.includes('summon')) {
-      // Clean dead summons from tracking
-      e._summonIds = (e._summonIds || []).filter(id => State.enemies.some(en => en.id === id && !en.dead));
-      e._summonCount = e._summonIds.length;
-
-      e._summonTimer -= dt;
-      if (e._summonTimer <= 0 && e._summonCount < (e._summonMax || 3)) {
-        e._summonTimer = 6 + Math.random() * 2;
-        const ang = Math.random() * Math.PI * 2;
-        const sx = e.x + Math.cos(ang) * (e.size * 2.5);
-        const sy = e.y + Math.sin(ang) * (e.size * 2.5);
-        const minion = this.spawn(e._summonType || 'grunt', sx, sy, false, false);
-        if (minion) {
-          minion.hp *= 0.6;
-          minion.maxHP *= 0.6;
-          minion.xp = Math.floor(minion.xp * 0.3);
-          minion.homeX = e.x;
-          minion.homeY = e.y;
-          minion.aiState = 'aggro';
-          e._summonIds.push(minion.id);
-        }
-        const Particles = State.modules?.Particles;
-        if (Particles) {
-          Particles.ring(e.x, e.y, '#cc44ff', e.size * 1.5);
-          Particles.flash(sx, sy, '#cc44ff', 8);
-        }
-        const AudioS = State.modules?.Audio;
-        if (AudioS) AudioS.summon();
-      }
-    }
-
-    // ── Turret: burst fire (3 shots rapid, then pause) ──
-    if (e.abilities && e.abilities.includes('stationary')) {
-      if (e._burstRemaining > 0) {
-        e._burstTimer -= dt;
-        if (e._burstTimer <= 0) {
-          this.shoot(e);
-          e._burstRemaining--;
-          e._burstTimer = e._burstDelay || 0.15;
-        }
-        return; // don't do normal shoot during burst
-      }
-    }
-
-    // ── Shielder: orient barrier toward player ──
-    if (e.abilities && e.abilities.includes('projectBarrier')) {
-      e._barrierAngle = Math.atan2(p.y - e.y, p.x - e.x);
-      // Regen barrier slowly
-      e._barrierRegenTimer += dt;
-      if (e._barrierRegenTimer > 3 && e._barrierHP < e._barrierMaxHP) {
-        e._barrierHP = Math.min(e._barrierMaxHP, e._barrierHP + e._barrierMaxHP * 0.1 * dt);
-      }
+    // Boss ability ticks (periodic adds, attack patterns)
+    if (e.isBoss) {
+      this._tickBossAbilities(e, dt);
+      if (BossAbilities.update(e, dt)) return;
     }
 
-    if (e.shootTimer <= 0) {
-      // Light jitter to avoid perfectly deterministic bullet streams
-      e.shootTimer = e.shootInterval + Math.random() * 0.35;
+    const behavior = this.getBehavior(e.behavior);
+    const state = this._aiSync(e, behavior);
+    if (state.run.length === 0) return;
 
-      // Turret: start burst
-      if (e.abilities && e.abilities.includes('stationary')) {
-        e._burstRemaining = (e._burstCount || 3) - 1; // -1 because we fire the first now
-        e._burstTimer = e._burstDelay || 0.15;
-      }
-
-      this.shoot(e);
+    const p = State.player;
+    const dist = Math.hypot(p.x - e.x, p.y - e.y);
+    const inRange = dist <= e.attackRange;
+    for (const id of state.run) {
+      const ability = AI_ABILITIES[id];
+      if (ability.attack && !inRange) continue;
+      ability.run(e, dt, p, dist);
     }
   },
 
@@ -684,35 +897,91 @@ updateExplorationShooting(e, dt) {
     });
   },
   
-  // Apply movement pattern
+  // ── Movement patterns (enemies.json "patterns") ──
+  // A pattern is a list of steps run in order ("loop": true restarts it,
+  // otherwise the last step holds). Step fields:
+  //   dx, dy    - direction; dy is "forward" (down the screen in waves, toward
+  //               the player in exploration), dx is sideways. In waves the length
+  //               scales the speed; in exploration only the direction counts
+  //   speed     - speed multiplier (default 1)
+  //   target    - "player": head straight for the player
+  //   stop      - hold position
+  //   shoot     - fire as soon as the step starts
+  //   duration  - seconds, -1 = forever
+  getPattern(name) {
+    return State.data.enemies?.patterns?.[name] || null;
+  },
+
+  // Advance the enemy's pattern clock. Returns the active step, or null
+  // if its pattern has no step data (caller falls back to built-in movement).
+  _patternStep(e, dt) {
+    const pattern = this.getPattern(e.pattern);
+    const steps = pattern?.movement;
+    if (!Array.isArray(steps) || steps.length === 0) return null;
+
+    if (!e.patternState || e.patternState.name !== e.pattern) {
+      e.patternState = { name: e.pattern, index: 0, t: 0, entered: false };
+    }
+    const ps = e.patternState;
+    ps.t += dt;
+
+    let step = steps[Math.min(ps.index, steps.length - 1)];
+    for (let guard = 0; guard < steps.length; guard++) {
+      const duration = typeof step.duration === 'number' ? step.duration : -1;
+      if (duration < 0 || ps.t < duration) break;
+      if (ps.index < steps.length - 1) ps.index++;
+      else if (pattern.loop) ps.index = 0;
+      else break; // hold the last step
+      ps.t -= duration;
+      ps.entered = false;
+      step = steps[ps.index];
+    }
+
+    if (!ps.entered) {
+      ps.entered = true;
+      if (step.shoot) e.shootTimer = Math.min(e.shootTimer, 0);
+    }
+    return step;
+  },
+
+  // Velocity for a step. (fx, fy) = unit forward axis, (lx, ly) = unit sideways axis.
+  // opts: forward / side override the step's dy / dx; unit scales (forward, side)
+  // to length 1 so step.speed is the only speed multiplier (exploration - waves
+  // keep the raw length, dy: 2 = twice as fast down the screen); chase: false
+  // ignores target: "player".
+  _stepVelocity(e, step, baseSpeed, fx, fy, lx, ly, opts = {}) {
+    if (step.stop) return { vx: 0, vy: 0 };
+    const sp = baseSpeed * (typeof step.speed === 'number' ? step.speed : 1);
+    if (step.target === 'player' && opts.chase !== false) {
+      const p = State.player;
+      const d = Math.hypot(p.x - e.x, p.y - e.y);
+      if (d < 10) return { vx: 0, vy: 0 };
+      return { vx: (p.x - e.x) / d * sp, vy: (p.y - e.y) / d * sp };
+    }
+    let forward = opts.forward ?? (step.dy || 0);
+    let side = opts.side ?? (step.dx || 0);
+    if (opts.unit) {
+      const len = Math.hypot(forward, side);
+      if (len > 0) {
+        forward /= len;
+        side /= len;
+      }
+    }
+    return {
+      vx: (lx * side + fx * forward) * sp,
+      vy: (ly * side + fy * forward) * sp
+    };
+  },
+
+  // Wave mode: run the enemy's pattern in screen space
   applyPattern(e, dt, canvas) {
-    switch (e.pattern) {
-      case 'zigzag':
-        e.vy = e.speed * 0.5;
-        e.vx = Math.sin(e.patternTime * 4) * e.speed;
-        break;
-      case 'dive':
-        e.vy = e.patternTime < 1.5 ? e.speed * 0.3 : e.speed * 2;
-        break;
-      case 'snake':
-        e.vy = e.speed * 0.5;
-        e.vx = Math.sin(e.patternTime * 3) * e.speed * 0.8;
-        break;
-      case 'charge':
-        if (e.patternTime > 1) {
-          const p = State.player;
-          const dx = p.x - e.x, dy = p.y - e.y;
-          const dist = Math.hypot(dx, dy);
-          if (dist > 10) {
-            e.vx = (dx / dist) * e.speed * 1.5;
-            e.vy = (dy / dist) * e.speed * 1.5;
-          }
-        } else {
-          e.vy = e.speed * 0.2;
-        }
-        break;
-      default:
-        e.vy = e.speed;
+    const step = this._patternStep(e, dt);
+    if (step) {
+      const v = this._stepVelocity(e, step, e.speed, 0, 1, 1, 0);
+      e.vx = v.vx;
+      e.vy = v.vy;
+    } else {
+      e.vy = e.speed;
     }
     
     // Keep on screen
@@ -745,8 +1014,8 @@ updateExplorationShooting(e, dt) {
   damage(enemy, amount, isCrit = false) {
     if (enemy.dead) return false;
 
-    // Boss shield phase: reduce damage by 80%
-    if (enemy._shieldPhase) amount *= 0.2;
+    // Boss shield soaks damage (broken shield: bonus damage)
+    if (enemy.isBoss) amount = BossAbilities.absorb(enemy, amount);
 
     enemy.hp -= amount;
     State.run.stats.damageDealt += amount;
@@ -784,7 +1053,6 @@ updateExplorationShooting(e, dt) {
       boss._phaseThresholds = [];
       boss._abilityCooldowns = {};
       boss._shieldPhase = false;
-      boss._shieldTimer = 0;
       boss._enraged = false;
       boss._addTimer = 0;
       // Generate thresholds: e.g. 3 phases → [0.66, 0.33, 0] 
@@ -822,19 +1090,16 @@ updateExplorationShooting(e, dt) {
 
     const abilities = boss.abilities || [];
 
-    // Shield phase (phase 2+)
-    if (abilities.includes('shield_phase') && phase === 2) {
-      boss._shieldPhase = true;
-      boss._shieldTimer = 4; // 4 seconds of shield
-    }
+    // Attack patterns (shield_phase raises its shield here)
+    BossAbilities.onPhase(boss, phase);
 
-    // Spawn adds
-    if (abilities.includes('spawn_adds') || abilities.includes('drone_swarm')) {
+    // Spawn adds (drone_swarm launches its own interceptors)
+    if (abilities.includes('spawn_adds')) {
       this._bossSpawnAdds(boss, phase);
     }
 
-    // Enrage on final phase
-    if (phase >= (boss.phases || 3)) {
+    // Enrage on final phase (rage_mode bosses rage their own way)
+    if (phase >= (boss.phases || 3) && !abilities.includes('rage_mode')) {
       boss._enraged = true;
       boss.speed *= 1.35;
       boss.shootInterval = Math.max(0.2, boss.shootInterval * 0.6);
@@ -866,16 +1131,8 @@ updateExplorationShooting(e, dt) {
   _tickBossAbilities(boss, dt) {
     if (!boss._phaseInit) return;
 
-    // Shield phase timer
-    if (boss._shieldPhase && boss._shieldTimer > 0) {
-      boss._shieldTimer -= dt;
-      if (boss._shieldTimer <= 0) {
-        boss._shieldPhase = false;
-      }
-    }
-
-    // Periodic add spawning (every 8s in aggro, phase 3+)
-    if (boss._currentPhase >= 3 && boss.aiState === 'aggro') {
+    // Periodic add spawning (every 8s in aggro, phase 3+; swarm bosses top up their own)
+    if (boss._currentPhase >= 3 && boss.aiState === 'aggro' && !boss.abilities.includes('drone_swarm')) {
       boss._addTimer = (boss._addTimer || 0) + dt;
       if (boss._addTimer > 8) {
         boss._addTimer = 0;
@@ -950,6 +1207,9 @@ updateExplorationShooting(e, dt) {
       else AudioMod.hitEnemy();
     }
 
+    // Item effects: on-kill triggers
+    ItemEffects.trigger('kill', { enemy, x: enemy.x, y: enemy.y });
+
     return { x: enemy.x, y: enemy.y, xp: enemy.xp, isElite: enemy.isElite, isBoss: enemy.isBoss, bossType: enemy.bossType || enemy.type || null };
   },
   
@@ -990,6 +1250,9 @@ updateExplorationShooting(e, dt) {
         ctx.restore();
       }
 
+      // --- Boss pattern telegraphs / beams ---
+      if (e.isBoss) BossAbilities.draw(ctx, e);
+
       // --- Repair tether ---
       if (e.abilities && e.abilities.includes('repairTether') && e.tether && e.tether.targetId) {
         const target = State.enemies.find(o => o.id === e.tether.targetId && !o.dead);
@@ -1048,6 +1311,8 @@ updateExplorationShooting(e, dt) {
       if (e.abilities && e.abilities.includes('cloak') && e._cloaked) {
         ctx.globalAlpha = e._cloakAlpha || 0.08;
       }
+      // Boss collapsing / re-forming (teleport)
+      if (e._drawScale != null) ctx.scale(e._drawScale, e._drawScale);
 
       // ====== TYPE-SPECIFIC RENDERING ======
       if (e.isBoss) {
@@ -75,10 +75,10 @@ export const Input = {
         input.shift = true;
         break;
       case 'KeyG': {
-        // Cycle drone type: combat → shield → repair → off → combat
+        // Cycle through the equipped drone's modes → off → first mode
         const drone = State.player.drone;
-        if (!drone) break;
-        const types = ['combat', 'shield', 'repair'];
+        if (!drone || !drone.modes || drone.modes.length === 0) break;
+        const types = drone.modes;
         if (drone.active) {
           const idx = types.indexOf(drone.type);
           if (idx >= types.length - 1) {
@@ -88,7 +88,7 @@ export const Input = {
           }
         } else {
           drone.active = true;
-          drone.type = 'combat';
+          drone.type = types[0];
         }
         const AudioD = State.modules?.Audio;
         if (AudioD) AudioD.droneSwitch();
@@ -105,6 +105,11 @@ export const Input = {
         break;
       }
       
+      case 'KeyP':
+        // Suspend run: snapshot the zone and return to the hub
+        if (State.scene === 'combat') window.Game?.suspendRun?.();
+        break;
+      
       // Active abilities
       case 'KeyQ':
       case 'Digit1':
@@ -118,6 +123,9 @@ export const Input = {
       case 'Digit3':
         if (!input.ability3) input.ability3 = true;
         break;
+      case 'KeyC':
+        input.secondary = true;
+        break;
     }
   },
   
@@ -163,6 +171,9 @@ export const Input = {
       case 'Digit3':
         input.ability3 = false;
         break;
+      case 'KeyC':
+        input.secondary = false;
+        break;
     }
   },
   
@@ -177,12 +188,16 @@ export const Input = {
   onMouseDown(e) {
     if (e.button === 0) { // Left click
       State.input.fire = true;
+    } else if (e.button === 2) { // Right click: secondary weapon
+      State.input.secondary = true;
     }
   },
   
   onMouseUp(e) {
     if (e.button === 0) {
       State.input.fire = false;
+    } else if (e.button === 2) {
+      State.input.secondary = false;
     }
   },
   
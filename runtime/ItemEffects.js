@@ -0,0 +1,428 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// ItemEffects.js - Trigger/Effect System for Unique Items
+// ============================================================
+// Uniques declare special mechanics in data (uniques.json):
+//   "effects": [{ "trigger": "fire", "type": "aoeShot", "every": 5, ... }]
+// Gameplay code calls into the hooks below; each equipped effect
+// whose trigger matches runs its handler:
+//   fire   - Player.fire()        ctx: { bullets }
+//   hit    - Bullets hit, before damage is applied   ctx: { bullet, enemy, damage } (damage is mutable)
+//   kill   - Enemies.kill()       ctx: { enemy, x, y }
+//   dash   - Player dash start    ctx: {}
+//   fatal  - Player.takeDamage() when HP hits 0   ctx: { prevented } (set true to survive)
+//   lowHP  - held while HP% is under the effect's threshold (modifiers only)
+//   struck - Bullets: an enemy projectile reaches the player   ctx: { bullet }
+//   combat - held while fighting (an enemy is aggroed, or a wave is on screen)
+//   tick   - timed effects only (no event)
+// Handlers with update(fx, dt, state) are ticked every frame whatever their
+// trigger; modifiers read that state.
+// Active set bonuses contribute their "effects" the same way.
+// Damage dealt by effects does not fire hooks again (no chain reactions).
+
+import { State } from './State.js';
+import { Items } from './Items.js';
+
+// Effect handlers by type. run(fx, ctx, state) for event triggers,
+// modify(fx) -> { stat: mult } for held triggers, describe(fx) for tooltips.
+const EFFECT_TYPES = {
+  aoeShot: {
+    run(fx, ctx, state) {
+      state.shots = (state.shots || 0) + 1;
+      if (state.shots % (fx.every || 5) !== 0) return;
+      for (const b of ctx.bullets || []) {
+        b.burst = { radius: fx.radius || 150, damagePct: fx.damagePct || 100 };
+      }
+    },
+    describe: fx => `Every ${fx.every || 5}th shot explodes (${fx.radius || 150}px, ${fx.damagePct || 100}% damage)`
+  },
+  // Shots become instant beams: every enemy within `width` of the line out to
+  // `length` takes the shot's damage
+  beam: {
+    run(fx, ctx) {
+      const width = fx.width || 40;
+      const length = fx.length || 800;
+      const Particles = State.modules?.Particles;
+      for (const b of ctx.bullets || []) {
+        const speed = Math.hypot(b.vx, b.vy) || 1;
+        const dx = b.vx / speed;
+        const dy = b.vy / speed;
+        for (const e of State.enemies || []) {
+          if (e.dead) continue;
+          const along = (e.x - b.x) * dx + (e.y - b.y) * dy;
+          if (along < -(e.size || 0) || along > length + (e.size || 0)) continue;
+          const across = Math.abs((e.x - b.x) * dy - (e.y - b.y) * dx);
+          if (across > width / 2 + (e.size || 0)) continue;
+          ItemEffects.hurt(e, b.damage, b.isCrit);
+          State.modules?.Bullets?.spawnDamageNumber(e.x, e.y, b.damage, b.isCrit);
+        }
+        for (let d = 0; d <= length; d += 40) {
+          Particles?.trail(b.x + dx * d, b.y + dy * d, '#ff66ff', width / 8);
+        }
+        const idx = State.bullets.indexOf(b);
+        if (idx !== -1) State.bullets.splice(idx, 1);
+      }
+    },
+    describe: fx => `Fires a ${fx.length || 800}px beam that hits every enemy in its line`
+  },
+  pierceDamage: {
+    run(fx, ctx) {
+      if (ctx.bullet?.hits > 0) ctx.damage *= 1 + ctx.bullet.hits * (fx.percent || 0) / 100;
+    },
+    describe: fx => `Each pierce adds +${fx.percent}% damage`
+  },
+  proximityDamage: {
+    run(fx, ctx) {
+      const p = State.player;
+      if (Math.hypot(ctx.enemy.x - p.x, ctx.enemy.y - p.y) <= (fx.range || 150)) {
+        ctx.damage *= 1 + (fx.percent || 0) / 100;
+      }
+    },
+    describe: fx => `+${fx.percent}% damage to enemies within ${fx.range || 150}px`
+  },
+  berserk: {
+    run(fx, ctx) {
+      const p = State.player;
+      const missing = p.maxHP > 0 ? Math.max(0, 1 - p.hp / p.maxHP) : 0;
+      ctx.damage *= 1 + missing * (fx.maxBonus || 0) / 100;
+    },
+    describe: fx => `Up to +${fx.maxBonus}% damage based on missing HP`
+  },
+  fireRateMult: {
+    modify: fx => ({ fireRate: fx.mult || 1 }),
+    describe: fx => `Fire rate ×${fx.mult} below ${fx.threshold || 30}% HP`
+  },
+  // Percent bonuses that build up during combat: nothing for `delay` seconds,
+  // then linear over `rampTime` seconds (0 = all at once)
+  combatRamp: {
+    modify(fx) {
+      const t = ItemEffects.combatTime - (fx.delay || 0);
+      if (t < 0) return {};
+      const k = fx.rampTime > 0 ? Math.min(1, t / fx.rampTime) : 1;
+      const mods = {};
+      for (const stat of ['fireRate', 'speed', 'cooldown']) {
+        if (fx[stat]) mods[stat] = 1 + k * fx[stat] / 100;
+      }
+      return mods;
+    },
+    describe: fx => {
+      const parts = [];
+      if (fx.fireRate) parts.push(`+${fx.fireRate}% fire rate`);
+      if (fx.speed) parts.push(`+${fx.speed}% speed`);
+      if (fx.cooldown) parts.push(`${fx.cooldown}% cooldowns`);
+      const when = fx.delay ? `after ${fx.delay}s in combat` : 'in combat';
+      return fx.rampTime > 0 ? `${parts.join(', ')} ${when}, building over ${fx.rampTime}s` : `${parts.join(', ')} ${when}`;
+    }
+  },
+  // Every `interval` seconds: a `duration` window of fire rate x mult (+ invulnerability)
+  overdrive: {
+    update(fx, dt, state) {
+      if (state.window > 0) {
+        state.window = Math.max(0, state.window - dt);
+        return;
+      }
+      state.timer = (state.timer || 0) + dt;
+      if (state.timer < (fx.interval || 30)) return;
+      state.timer = 0;
+      state.window = fx.duration || 5;
+      const p = State.player;
+      if (fx.invuln) p._effectInvuln = Math.max(p._effectInvuln || 0, state.window);
+      const Particles = State.modules?.Particles;
+      if (Particles) {
+        Particles.ring(p.x, p.y, '#66ffee', 60);
+        Particles.text(p.x, p.y - 30, 'OVERDRIVE', '#66ffee', 16);
+      }
+    },
+    modify: (fx, state) => (state.window > 0 ? { fireRate: fx.fireRateMult || 1 } : {}),
+    describe: fx => `Every ${fx.interval || 30}s: ${fx.duration || 5}s of ×${fx.fireRateMult || 1} fire rate${fx.invuln ? ' + invulnerability' : ''}`
+  },
+  killExplosion: {
+    run(fx, ctx) {
+      const dmg = State.player.damage * (fx.damagePct || 100) / 100;
+      ItemEffects.explode(ctx.x, ctx.y, fx.radius || 80, dmg, ctx.enemy, '#aa66ff');
+    },
+    describe: fx => `Kills explode (${fx.radius || 80}px, ${fx.damagePct || 100}% damage)`
+  },
+  dashInvuln: {
+    run(fx) {
+      const p = State.player;
+      p._effectInvuln = Math.max(p._effectInvuln || 0, fx.duration || 0.5);
+    },
+    describe: fx => `Dash grants ${fx.duration || 0.5}s invulnerability`
+  },
+  // Rewind to where the ship was `seconds` ago (HP + shield too), `uses` per zone
+  rewind: {
+    update(fx, dt, state) {
+      const p = State.player;
+      state.history = state.history || [];
+      state.clock = (state.clock || 0) + dt;
+      state.sample = (state.sample || 0) - dt;
+      if (state.sample <= 0) {
+        state.sample = 0.25;
+        state.history.push({ t: state.clock, x: p.x, y: p.y, hp: p.hp, shield: p.shield });
+        const keep = (fx.seconds || 5) + 1;
+        while (state.history.length > 1 && state.clock - state.history[1].t >= keep) state.history.shift();
+      }
+      const zone = State.world?.currentZone || null;
+      if (state.zone !== zone) {
+        state.zone = zone;
+        state.used = 0;
+      }
+    },
+    run(fx, ctx, state) {
+      if (ctx.prevented || (state.used || 0) >= (fx.uses || 1) || !state.history?.length) return;
+      const target = state.clock - (fx.seconds || 5);
+      const snap = state.history.find(h => h.t >= target) || state.history[0];
+      const p = State.player;
+      ctx.prevented = true;
+      state.used = (state.used || 0) + 1;
+      state.history = [];
+      p.x = snap.x;
+      p.y = snap.y;
+      p.vx = 0;
+      p.vy = 0;
+      p.hp = Math.max(1, Math.min(p.maxHP, snap.hp));
+      p.shield = Math.min(p.maxShield, snap.shield);
+      const Particles = State.modules?.Particles;
+      if (Particles) {
+        Particles.ring(p.x, p.y, '#ffcc66', 80);
+        Particles.text(p.x, p.y - 30, 'REWIND', '#ffcc66', 16);
+      }
+    },
+    describe: fx => `On death, rewind ${fx.seconds || 5}s (${fx.uses || 1}× per zone)`
+  },
+  // Enemy projectiles that reach you build charge; full charge releases a nova
+  chargeNova: {
+    run(fx, ctx, state) {
+      state.charge = (state.charge || 0) + 1;
+      if (state.charge < (fx.hits || 12)) return;
+      state.charge = 0;
+      const p = State.player;
+      ItemEffects.explode(p.x, p.y, fx.radius || 250, fx.damage || 200, null, '#cc66ff');
+    },
+    describe: fx => `Every ${fx.hits || 12} projectiles that hit you release a ${fx.radius || 250}px nova (${fx.damage || 200} damage)`
+  },
+  // Damaging trail behind the moving ship
+  damageTrail: {
+    update(fx, dt, state) {
+      const p = State.player;
+      const life = fx.life || 1.2;
+      state.points = (state.points || []).filter(pt => (pt.life -= dt) > 0);
+      state.drop = (state.drop || 0) - dt;
+      if (state.drop <= 0 && Math.hypot(p.vx || 0, p.vy || 0) > 40) {
+        state.drop = 0.08;
+        state.points.push({ x: p.x, y: p.y, life });
+        State.modules?.Particles?.trail(p.x, p.y, '#66ccff', (fx.width || 30) / 6);
+      }
+      if (state.points.length === 0) return;
+      const half = (fx.width || 30) / 2;
+      for (const e of State.enemies || []) {
+        if (e.dead) continue;
+        if (state.points.some(pt => Math.hypot(e.x - pt.x, e.y - pt.y) <= half + (e.size || 0))) {
+          ItemEffects.hurt(e, (fx.dps || 15) * dt);
+        }
+      }
+    },
+    describe: fx => `Moving leaves a trail dealing ${fx.dps || 15} damage/s`
+  },
+  // Enemies close by lose % max HP per second; so does the ship (never below 1 HP)
+  damageAura: {
+    update(fx, dt) {
+      const p = State.player;
+      const radius = fx.radius || 200;
+      for (const e of State.enemies || []) {
+        if (e.dead || Math.hypot(e.x - p.x, e.y - p.y) > radius + (e.size || 0)) continue;
+        const pct = (fx.percent || 5) * (e.isBoss ? (fx.bossMult ?? 0.2) : 1);
+        ItemEffects.hurt(e, e.maxHP * pct / 100 * dt);
+      }
+      if (fx.selfPercent && p.hp > 1) {
+        p.hp = Math.max(1, p.hp - p.maxHP * fx.selfPercent / 100 * dt);
+      }
+    },
+    describe: fx => `Enemies within ${fx.radius || 200}px lose ${fx.percent || 5}% max HP/s` +
+      (fx.selfPercent ? `; you lose ${fx.selfPercent}%/s` : '')
+  },
+  // Weapons lock for `duration` seconds every `interval` seconds
+  overheat: {
+    update(fx, dt, state) {
+      state.timer = (state.timer || 0) + dt;
+      if (state.timer < (fx.interval || 15)) return;
+      state.timer = 0;
+      const p = State.player;
+      p._effectOverheat = Math.max(p._effectOverheat || 0, fx.duration || 2);
+      State.modules?.Particles?.text(p.x, p.y - 30, 'OVERHEAT', '#ff6633', 14);
+    },
+    describe: fx => `Overheats for ${fx.duration || 2}s every ${fx.interval || 15}s (no firing)`
+  },
+  fatalSave: {
+    run(fx, ctx, state) {
+      if (ctx.prevented || (state.cooldown || 0) > 0) return;
+      const p = State.player;
+      ctx.prevented = true;
+      p.hp = 1;
+      p.shield = Math.max(p.shield, p.maxShield * (fx.shieldPct || 25) / 100);
+      state.cooldown = fx.cooldown || 60;
+      const Particles = State.modules?.Particles;
+      if (Particles) {
+        Particles.ring(p.x, p.y, '#00ccff', 70);
+        Particles.text(p.x, p.y - 30, 'FATAL SAVE', '#00ccff', 16);
+      }
+    },
+    describe: fx => `Fatal damage restores ${fx.shieldPct || 25}% shield (${fx.cooldown || 60}s cooldown)`
+  }
+};
+
+// Held triggers: condition that keeps the effect active
+const CONDITIONS = {
+  lowHP: fx => {
+    const p = State.player;
+    return p.maxHP > 0 && (p.hp / p.maxHP) * 100 < (fx.threshold || 30);
+  },
+  combat: () => ItemEffects.combatTime > 0
+};
+
+// Fighting: an enemy is chasing the player (exploration) or a wave is alive
+function inCombat() {
+  const enemies = State.enemies || [];
+  if (!State.world?.currentZone) return enemies.some(e => !e.dead);
+  return enemies.some(e => !e.dead && e.aiState === 'aggro');
+}
+
+// Effect list declared by a unique's data entry
+function findUniqueEffects(uniqueId) {
+  const uniques = State.data.uniques || {};
+  for (const [category, entries] of Object.entries(uniques)) {
+    if (category.startsWith('_') || category === 'sets') continue;
+    if (entries && typeof entries === 'object' && entries[uniqueId]) return entries[uniqueId].effects || [];
+  }
+  for (const set of Object.values(uniques.sets || {})) {
+    if (set?.pieces?.[uniqueId]) return set.pieces[uniqueId].effects || [];
+  }
+  return [];
+}
+
+export const ItemEffects = {
+  active: [],      // [{ key, fx, source }] from equipped items
+  _state: {},      // per-effect runtime state (counters, cooldowns), keyed by effect key
+  combatTime: 0,   // seconds of uninterrupted combat (combat trigger)
+  _resolving: false,
+
+  // Effects an item carries (resolved from data so balance changes reach old items)
+  forItem(item) {
+    if (!item) return [];
+    if (Array.isArray(item.effects)) return item.effects;
+    return item.uniqueId ? findUniqueEffects(item.uniqueId) : [];
+  },
+
+  // Rebuild the active list from equipment (called by Stats.calculate)
+  refresh() {
+    const m = State.meta;
+    this.active = [];
+    for (const [slotId, itemId] of Object.entries(m.equipment || {})) {
+      if (!itemId) continue;
+      const item = m.stash.find(i => i.id === itemId);
+      this.forItem(item).forEach((fx, idx) => {
+        if (!EFFECT_TYPES[fx.type]) {
+          console.warn('[EFFECTS] Unknown effect type: ' + fx.type);
+          return;
+        }
+        this.active.push({ key: item.id + ':' + idx, fx, source: item.name || slotId });
+      });
+    }
+    for (const set of Items.getEquippedSets()) {
+      for (const bonus of set.bonuses) {
+        if (!bonus.active) continue;
+        (bonus.effects || []).forEach((fx, idx) => {
+          if (!EFFECT_TYPES[fx.type]) return;
+          this.active.push({ key: `set:${set.id}:${bonus.count}:${idx}`, fx, source: set.name });
+        });
+      }
+    }
+  },
+
+  // New run: counters and cooldowns start fresh
+  reset() {
+    this._state = {};
+    this.combatTime = 0;
+    State.player._effectInvuln = 0;
+    State.player._effectOverheat = 0;
+  },
+
+  // Tick cooldowns + timed states (Player.update)
+  update(dt) {
+    const p = State.player;
+    if (p._effectInvuln > 0) p._effectInvuln = Math.max(0, p._effectInvuln - dt);
+    if (p._effectOverheat > 0) p._effectOverheat = Math.max(0, p._effectOverheat - dt);
+    for (const state of Object.values(this._state)) {
+      if (state.cooldown > 0) state.cooldown = Math.max(0, state.cooldown - dt);
+    }
+    this.combatTime = inCombat() ? this.combatTime + dt : 0;
+    for (const { key, fx } of this.active) {
+      const handler = EFFECT_TYPES[fx.type];
+      if (handler.update) handler.update(fx, dt, this._state[key] || (this._state[key] = {}));
+    }
+  },
+
+  // Run every active effect bound to an event hook
+  trigger(hook, ctx = {}) {
+    if (this._resolving || this.active.length === 0) return ctx;
+    for (const { key, fx } of this.active) {
+      if (fx.trigger !== hook) continue;
+      const handler = EFFECT_TYPES[fx.type];
+      if (!handler.run) continue;
+      const state = this._state[key] || (this._state[key] = {});
+      handler.run(fx, ctx, state);
+    }
+    return ctx;
+  },
+
+  // Product of all held-trigger multipliers for a stat (e.g. 'fireRate', 'speed')
+  getMult(stat) {
+    let mult = 1;
+    for (const { key, fx } of this.active) {
+      const handler = EFFECT_TYPES[fx.type];
+      if (!handler.modify) continue;
+      const condition = CONDITIONS[fx.trigger];
+      if (condition && !condition(fx)) continue;
+      mult *= handler.modify(fx, this._state[key] || {})[stat] || 1;
+    }
+    return mult;
+  },
+
+  // AoE damage from an effect (Bullets.explode, with hooks muted)
+  explode(x, y, radius, damage, exclude = null, color = '#ffaa00') {
+    const Bullets = State.modules?.Bullets;
+    if (!Bullets) return;
+
+    this._resolving = true;
+    try {
+      Bullets.explode(x, y, radius, damage, exclude, color);
+    } finally {
+      this._resolving = false;
+    }
+  },
+
+  // Damage from an effect (no numbers, hooks muted)
+  hurt(enemy, amount, isCrit = false) {
+    const Enemies = State.modules?.Enemies;
+    if (!Enemies || amount <= 0) return;
+    this._resolving = true;
+    try {
+      const killData = Enemies.damage(enemy, amount, isCrit);
+      if (killData) State.modules?.Bullets?.onEnemyKilled(killData);
+    } finally {
+      this._resolving = false;
+    }
+  },
+
+  // Tooltip lines for an item
+  describe(item) {
+    return this.forItem(item)
+      .filter(fx => EFFECT_TYPES[fx.type])
+      .map(fx => fx.description || EFFECT_TYPES[fx.type].describe(fx));
+  }
+};
+
+export default ItemEffects;
@@ -8,7 +8,9 @@
 // ============================================================
 
 import { State } from './State.js';
-import { getItemData, getRandomAffix, getConfig } from './DataLoader.js';
+import { getItemData, getRandomAffix, findAffixTier, getConfig } from './DataLoader.js';
+import { LootRNG } from './LootRNG.js';
+import { StashTabs } from './StashTabs.js';
 
 // ── Pity tracker (in-memory, saved via State.meta.pity) ──
 function ensurePity() {
@@ -23,6 +25,26 @@ function ensurePity() {
   }
 }
 
+// ── Pity deferral: ground drops only count once collected or salvaged ──
+// A guarantee a deferred roll forced is reserved by its pickup until then
+let deferPity = false;
+let deferredGuarantee = null;
+
+function guaranteePending(kind) {
+  return (State.pickups || []).some(pk => pk.pityGuarantee === kind);
+}
+
+// ── Set pieces flattened to { pieceId: { ...piece, setId } } ──
+function getSetPieces(sets) {
+  const pieces = {};
+  for (const [setId, set] of Object.entries(sets || {})) {
+    for (const [pieceId, piece] of Object.entries(set?.pieces || {})) {
+      pieces[pieceId] = { ...piece, icon: piece.icon || set.icon, setId };
+    }
+  }
+  return pieces;
+}
+
 // ── Pity thresholds (overridable via config.json loot.pity) ──
 function getPityConfig() {
   return {
@@ -66,6 +88,18 @@ export const Items = {
       if ((RANK[rarity] ?? 0) < (RANK[rarityFloor] ?? 0)) rarity = rarityFloor;
     }
 
+    // Rarity upgrade (Infinity Chip): +N tiers, within what the base can roll
+    const upgrade = State.player?.rarityUpgrade || 0;
+    if (!forceRarity && upgrade > 0) {
+      const ORDER = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
+      const allowed = baseData.rarities || ORDER;
+      for (let i = ORDER.indexOf(rarity) + 1, steps = 0; i < ORDER.length && steps < upgrade; i++) {
+        if (!allowed.includes(ORDER[i])) continue;
+        rarity = ORDER[i];
+        steps++;
+      }
+    }
+
     const rarityData = rarities[rarity];
     if (!rarityData) return null;
 
@@ -93,31 +127,12 @@ export const Items = {
 
     // Roll base stats with rarity x ilvl multiplier
     for (const [stat, range] of Object.entries(baseData.stats || {})) {
-      const base = range[0] + Math.random() * (range[1] - range[0]);
+      const base = range[0] + LootRNG.random() * (range[1] - range[0]);
       item.stats[stat] = Math.round(base * rarityData.powerMult * ilvlMult * 10) / 10;
     }
 
-    // Roll affixes (ilvl gates higher-tier affixes)
-    const numAffixes = Math.floor(Math.random() * (rarityData.maxAffixes + 1));
-    const usedStats = new Set();
-
-    for (let i = 0; i < numAffixes; i++) {
-      const type = i < numAffixes / 2 ? 'prefix' : 'suffix';
-      const affix = getRandomAffix(rarity, type);
-
-      if (affix && !usedStats.has(affix.stat)) {
-        usedStats.add(affix.stat);
-
-        const value = affix.range[0] + Math.random() * (affix.range[1] - affix.range[0]);
-        item.affixes.push({
-          id: affix.id,
-          name: affix.name,
-          stat: affix.stat,
-          value: Math.round(value * ilvlMult * 10) / 10,
-          type: type
-        });
-      }
-    }
+    // Roll affixes (ilvl gates higher tiers, rarity caps prefixes/suffixes)
+    this.rollAffixes(item);
 
     // Build display name
     item.name = this.buildName(baseData.name, item.affixes);
@@ -130,8 +145,8 @@ export const Items = {
     // Calculate power budget for balance tracking
     item.powerBudget = this._calcPowerBudget(item);
 
-    // Track pity
-    this._trackDrop(rarity);
+    // Track pity (deferred rolls apply it later via commitPity)
+    if (!deferPity) this._trackDrop(rarity);
 
     return item;
   },
@@ -145,12 +160,12 @@ export const Items = {
     const fromBoss = options.fromBoss || false;
     const bossType = options.bossType || null;
 
-    // Find eligible uniques (meet minIlvl requirement)
+    // Find eligible uniques (meet minIlvl requirement); set pieces count as uniques
     const eligible = [];
     for (const [category, items] of Object.entries(uniques)) {
       if (category.startsWith('_')) continue;
       if (typeof items !== 'object') continue;
-      for (const [id, data] of Object.entries(items)) {
+      for (const [id, data] of Object.entries(category === 'sets' ? getSetPieces(items) : items)) {
         if (uniqueId && id !== uniqueId) continue;
         if (itemLevel < (data.minIlvl || 1)) continue;
         // Boss-only items only drop from bosses
@@ -198,12 +213,15 @@ export const Items = {
       isUnique: true,
       powerBudget: 0
     };
+    if (picked.setId) item.setId = picked.setId;
 
     item.powerBudget = this._calcPowerBudget(item);
 
-    // Track pity reset
-    ensurePity();
-    State.meta.pity.killsSinceUnique = 0;
+    // Track pity reset (deferred rolls apply it later via commitPity)
+    if (!deferPity) {
+      ensurePity();
+      State.meta.pity.killsSinceUnique = 0;
+    }
 
     return item;
   },
@@ -215,6 +233,7 @@ export const Items = {
     if (!rarities) return allowedRarities?.[0] || 'common';
 
     const luck = State.player?.luck || 0;
+    const lootBonus = State.player?.lootBonus || 0;
 
     // ilvl gating: certain rarities only available at higher ilvls
     const RARITY_MIN_ILVL = {
@@ -239,6 +258,7 @@ export const Items = {
       // Luck bonus: +2% per point for non-common
       if (rarity !== 'common') {
         weight *= (1 + luck * 0.02);
+        weight *= (1 + lootBonus / 100);
       }
       // ilvl bonus: gradually increase rare+ weights at high ilvl
       if (rarity !== 'common' && ilvlVal > 10) {
@@ -249,7 +269,7 @@ export const Items = {
     }
 
     // Roll
-    let roll = Math.random() * total;
+    let roll = LootRNG.random() * total;
     for (const [rarity, weight] of Object.entries(weights)) {
       roll -= weight;
       if (roll <= 0) return rarity;
@@ -268,17 +288,19 @@ export const Items = {
     const pity = State.meta.pity;
 
     // Legendary pity
-    if (pity.killsSinceLegendary >= pityCfg.legendaryGuarantee) {
+    if (pity.killsSinceLegendary >= pityCfg.legendaryGuarantee && !guaranteePending('legendary')) {
       if ((RANK[rolledRarity] ?? 0) < RANK.legendary) {
         console.log('[PITY] Legendary guaranteed after ' + pity.killsSinceLegendary + ' drops');
+        if (deferPity) deferredGuarantee = 'legendary';
         return 'legendary';
       }
     }
 
     // Rare pity
-    if (pity.killsSinceRare >= pityCfg.rareGuarantee) {
+    if (pity.killsSinceRare >= pityCfg.rareGuarantee && !guaranteePending('rare')) {
       if ((RANK[rolledRarity] ?? 0) < RANK.rare) {
         console.log('[PITY] Rare guaranteed after ' + pity.killsSinceRare + ' drops');
+        if (deferPity) deferredGuarantee = 'rare';
         return 'rare';
       }
     }
@@ -286,6 +308,43 @@ export const Items = {
     return rolledRarity;
   },
 
+  // Roll with fn() without touching pity; pity still gates the roll.
+  // Returns { item, guarantee }: the pity guarantee ('rare', 'legendary',
+  // 'unique') the roll forced, which the caller's pickup reserves as
+  // pityGuarantee so later drops don't force it again
+  rollDeferred(fn) {
+    deferPity = true;
+    deferredGuarantee = null;
+    try {
+      const item = fn();
+      return { item, guarantee: item ? deferredGuarantee : null };
+    } finally {
+      deferPity = false;
+      deferredGuarantee = null;
+    }
+  },
+
+  // Apply the pity update a deferred roll skipped (drop collected or salvaged)
+  commitPity(item) {
+    if (!item) return;
+    if (item.isUnique) {
+      ensurePity();
+      State.meta.pity.killsSinceUnique = 0;
+    } else {
+      this._trackDrop(item.rarity);
+    }
+  },
+
+  // A deferred drop the player never got (filtered out or expired) still
+  // counts toward pity, but resets nothing
+  missPity() {
+    ensurePity();
+    const pity = State.meta.pity;
+    pity.killsSinceRare++;
+    pity.killsSinceLegendary++;
+    pity.killsSinceUnique++;
+  },
+
   _trackDrop(rarity) {
     ensurePity();
     const RANK = { common: 0, uncommon: 1, rare: 2, epic: 3, legendary: 4, mythic: 5 };
@@ -323,6 +382,9 @@ export const Items = {
     for (const [stat, val] of Object.entries(item.stats || {})) {
       budget += Math.abs(val) * (W[stat] || 1.0);
     }
+    for (const [stat, val] of Object.entries(this.getImplicits(item))) {
+      budget += Math.abs(val) * (W[stat] || 1.0);
+    }
     for (const affix of item.affixes || []) {
       budget += Math.abs(affix.value) * (W[affix.stat] || 1.0);
     }
@@ -335,7 +397,7 @@ export const Items = {
     let total = 0;
     for (const item of list) total += weightFn(item);
     if (total <= 0) return list[0];
-    let roll = Math.random() * total;
+    let roll = LootRNG.random() * total;
     for (const item of list) {
       roll -= weightFn(item);
       if (roll <= 0) return item;
@@ -343,6 +405,81 @@ export const Items = {
     return list[list.length - 1];
   },
 
+  // ── Implicits ──
+  // Fixed modifiers of an item's base type (items.json "implicits").
+  // Resolved from data, so affix rerolls never touch them; uniques have none.
+  getImplicits(item) {
+    if (!item || item.isUnique) return {};
+    return getItemData(item.baseId)?.implicits || {};
+  },
+
+  // ── Affixes ──
+  // Prefix/suffix caps for a rarity (rarities.json maxAffixes / maxPrefixes / maxSuffixes)
+  getAffixLimits(rarity) {
+    const data = State.data.rarities?.[rarity] || {};
+    const total = data.maxAffixes || 1;
+    return {
+      total,
+      prefix: data.maxPrefixes ?? Math.ceil(total / 2),
+      suffix: data.maxSuffixes ?? Math.ceil(total / 2)
+    };
+  },
+
+  // Exclusive group of a rolled affix (items from older saves carry no group)
+  getAffixGroup(affix) {
+    return affix.group || findAffixTier(affix.id)?.family.group || affix.stat;
+  },
+
+  // Add one random affix to an item. type: 'prefix' | 'suffix' | null (any side with room).
+  // Returns the new affix, or null if the item is full or nothing compatible is left
+  rollAffix(item, type = null) {
+    if (!Array.isArray(item.affixes)) item.affixes = [];
+    const limits = this.getAffixLimits(item.rarity);
+    if (item.affixes.length >= limits.total) return null;
+
+    const count = t => item.affixes.filter(a => a.type === t).length;
+    const sides = (type ? [type] : ['prefix', 'suffix']).filter(t => count(t) < limits[t]);
+    if (!type && LootRNG.random() < 0.5) sides.reverse();
+
+    const excludeGroups = new Set(item.affixes.map(a => this.getAffixGroup(a)));
+    for (const side of sides) {
+      const affix = getRandomAffix(item.rarity, side, item.slot, { ilvl: item.ilvl || 1, excludeGroups });
+      if (!affix) continue;
+
+      const [min, max] = affix.range;
+      const rolled = {
+        id: affix.id,
+        name: affix.name,
+        stat: affix.stat,
+        value: Math.round((min + LootRNG.random() * (max - min)) * 10) / 10,
+        type: side,
+        tier: affix.tier,
+        group: affix.group
+      };
+      item.affixes.push(rolled);
+      return rolled;
+    }
+    return null;
+  },
+
+  // Replace an item's affixes with a fresh roll (0..maxAffixes)
+  rollAffixes(item) {
+    item.affixes = [];
+    const limits = this.getAffixLimits(item.rarity);
+    const numAffixes = Math.floor(LootRNG.random() * (limits.total + 1));
+    for (let i = 0; i < numAffixes; i++) {
+      if (!this.rollAffix(item)) break;
+    }
+    return item.affixes;
+  },
+
+  // Tier + roll range of an affix for tooltips: { tier, range } (null if unknown)
+  getAffixTierInfo(affix) {
+    const found = findAffixTier(affix.id);
+    if (found) return { tier: found.tier.tier, range: found.tier.range };
+    return affix.tier ? { tier: affix.tier, range: null } : null;
+  },
+
   // Build item name
   buildName(baseName, affixes) {
     const prefix = affixes.find(a => a.type === 'prefix');
@@ -370,14 +507,18 @@ export const Items = {
     const pityCfg = getPityConfig();
     const uniqueChance = getConfig('loot.uniqueDropChance', 0.005);
     const pityUniqueTriggered = pityCfg.enabled
-      && State.meta.pity.killsSinceUnique >= pityCfg.uniqueGuarantee;
+      && State.meta.pity.killsSinceUnique >= pityCfg.uniqueGuarantee
+      && !guaranteePending('unique');
 
-    if (pityUniqueTriggered || Math.random() < uniqueChance) {
+    if (pityUniqueTriggered || LootRNG.random() < uniqueChance) {
       const unique = this.generateUnique(null, itemLevel, {
         fromBoss: dropContext.fromBoss || false,
         bossType: dropContext.bossType || null
       });
-      if (unique) return unique;
+      if (unique) {
+        if (deferPity && pityUniqueTriggered) deferredGuarantee = 'unique';
+        return unique;
+      }
     }
 
     // Normal generation
@@ -389,22 +530,48 @@ export const Items = {
     }
     if (allIds.length === 0) return null;
 
-    const randomId = allIds[Math.floor(Math.random() * allIds.length)];
+    const randomId = allIds[Math.floor(LootRNG.random() * allIds.length)];
     return this.generate(randomId, forceRarity, rarityFloor, itemLevel);
   },
 
   // ── Stash management ──
+  // Capacity comes from the stash tabs (StashTabs)
   addToStash(item) {
-    const maxSlots = getConfig('stash.baseSlots', 56);
-    if (State.meta.stash.length >= maxSlots) {
-      console.warn('Stash is full!');
+    const slot = StashTabs.assign(item);
+    if (!slot.ok) {
+      console.warn('[STASH] ' + slot.reason);
       return false;
     }
     State.meta.stash.push(item);
     if (State.run.stats) State.run.stats.itemsFound++;
+    State.modules?.SaveScheduler?.markDirty('stash');
     return true;
   },
 
+  // ── Lock / favorite ──
+  // Both flags protect an item from sell, salvage and destructive recipes
+  canDestroy(item) {
+    if (item?.locked) return { ok: false, reason: 'Item is locked' };
+    if (item?.favorite) return { ok: false, reason: 'Item is a favorite' };
+    return { ok: true };
+  },
+
+  toggleLock(itemId) {
+    const item = State.meta.stash.find(i => i.id === itemId);
+    if (!item) return { ok: false, reason: 'Item not found' };
+    item.locked = !item.locked;
+    State.modules?.SaveScheduler?.markDirty('stash');
+    return { ok: true, locked: item.locked };
+  },
+
+  toggleFavorite(itemId) {
+    const item = State.meta.stash.find(i => i.id === itemId);
+    if (!item) return { ok: false, reason: 'Item not found' };
+    item.favorite = !item.favorite;
+    State.modules?.SaveScheduler?.markDirty('stash');
+    return { ok: true, favorite: item.favorite };
+  },
+
   removeFromStash(itemId) {
     const index = State.meta.stash.findIndex(i => i.id === itemId);
     if (index !== -1) {
@@ -414,19 +581,27 @@ export const Items = {
     return false;
   },
 
-  equip(itemId) {
-    const item = State.meta.stash.find(i => i.id === itemId);
-    if (!item) return false;
-
+  // Equipment slot an item goes into: its own slot, or for modules the
+  // slot already holding it, else the first empty module slot
+  getTargetSlot(item) {
     let slot = item.slot;
     if (item.slot === 'module' || (item.slot && item.slot.startsWith('module'))) {
+      const equipment = State.meta.equipment || {};
       const slots = ['module1', 'module2', 'module3'];
+      const held = slots.find(s => equipment[s] === item.id);
+      if (held) return held;
       for (const s of slots) {
-        if (!State.meta.equipment[s]) { slot = s; break; }
+        if (!equipment[s]) { slot = s; break; }
       }
     }
+    return slot;
+  },
 
-    State.meta.equipment[slot] = itemId;
+  equip(itemId) {
+    const item = State.meta.stash.find(i => i.id === itemId);
+    if (!item) return false;
+
+    State.meta.equipment[this.getTargetSlot(item)] = itemId;
     return true;
   },
 
@@ -441,6 +616,11 @@ export const Items = {
   sell(itemId) {
     const item = State.meta.stash.find(i => i.id === itemId);
     if (!item) return 0;
+    const guard = this.canDestroy(item);
+    if (!guard.ok) {
+      console.warn('[ITEMS] ' + guard.reason);
+      return 0;
+    }
 
     for (const [slot, id] of Object.entries(State.meta.equipment)) {
       if (id === itemId) State.meta.equipment[slot] = null;
@@ -451,17 +631,79 @@ export const Items = {
     return item.value;
   },
 
+  // ── Equipment sets ──
+  // Set id of an item (stored on new drops, looked up by uniqueId for older ones)
+  getSetId(item) {
+    if (!item) return null;
+    if (item.setId) return item.setId;
+    if (!item.uniqueId) return null;
+    const piece = getSetPieces(State.data.uniques?.sets)[item.uniqueId];
+    return piece ? piece.setId : null;
+  },
+
+  // Progress of one set: { id, name, icon, equipped, total, pieces: [...], bonuses: [...] }
+  getSetProgress(setId) {
+    const set = State.data.uniques?.sets?.[setId];
+    if (!set) return null;
+
+    // A piece counts once, even if two copies are equipped
+    const equippedPieces = new Set();
+    for (const itemId of Object.values(State.meta.equipment || {})) {
+      if (!itemId) continue;
+      const item = State.meta.stash.find(i => i.id === itemId);
+      if (item && this.getSetId(item) === setId) equippedPieces.add(item.uniqueId || item.baseId);
+    }
+
+    const pieces = Object.entries(set.pieces || {}).map(([id, piece]) => ({
+      id, name: piece.name, slot: piece.slot, equipped: equippedPieces.has(id)
+    }));
+    const equipped = pieces.filter(p => p.equipped).length;
+    const bonuses = Object.entries(set.bonuses || {})
+      .map(([count, bonus]) => ({ count: Number(count), ...bonus, active: equipped >= Number(count) }))
+      .sort((a, b) => a.count - b.count);
+
+    return {
+      id: setId,
+      name: (set.name || setId).replace(/ Set$/, ''),
+      icon: set.icon || '',
+      equipped,
+      total: pieces.length,
+      pieces,
+      bonuses
+    };
+  },
+
+  // Sets with at least one equipped piece
+  getEquippedSets() {
+    const result = [];
+    for (const setId of Object.keys(State.data.uniques?.sets || {})) {
+      const progress = this.getSetProgress(setId);
+      if (progress && progress.equipped > 0) result.push(progress);
+    }
+    return result;
+  },
+
+  // All stat contributions of an item: base stats + implicits + affixes
+  getTotalStats(item) {
+    const totals = {};
+    if (!item) return totals;
+    const add = (stat, value) => { totals[stat] = Math.round(((totals[stat] || 0) + value) * 10) / 10; };
+    for (const [stat, value] of Object.entries(item.stats || {})) add(stat, value);
+    for (const [stat, value] of Object.entries(this.getImplicits(item))) add(stat, value);
+    for (const affix of item.affixes || []) add(affix.stat, affix.value);
+    return totals;
+  },
+
+  // Per-stat diff of two items (item1 = current, may be null): { stat: { old, new, change } }
   compare(item1, item2) {
-    if (!item1 || !item2) return null;
+    if (!item2) return null;
+    const s1 = this.getTotalStats(item1);
+    const s2 = this.getTotalStats(item2);
     const diff = {};
-    const allStats = new Set([
-      ...Object.keys(item1.stats || {}),
-      ...Object.keys(item2.stats || {})
-    ]);
-    for (const stat of allStats) {
-      const v1 = item1.stats?.[stat] || 0;
-      const v2 = item2.stats?.[stat] || 0;
-      if (v1 !== v2) diff[stat] = { old: v1, new: v2, change: v2 - v1 };
+    for (const stat of new Set([...Object.keys(s1), ...Object.keys(s2)])) {
+      const v1 = s1[stat] || 0;
+      const v2 = s2[stat] || 0;
+      if (v1 !== v2) diff[stat] = { old: v1, new: v2, change: Math.round((v2 - v1) * 10) / 10 };
     }
     return diff;
   },
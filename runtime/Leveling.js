@@ -8,7 +8,7 @@
 import { State } from './State.js';
 import { getConfig } from './DataLoader.js';
 import Stats from './Stats.js';
-import { autoSave } from './Save.js';
+import { SaveScheduler } from './SaveScheduler.js';
 
 export const Leveling = {
   // Calculate XP required for a level
@@ -38,6 +38,7 @@ export const Leveling = {
     // Add to meta and run tracking
     State.meta.xp += amount;
     State.run.xpEarned += amount;
+    SaveScheduler.markDirty('progress');
     
     // Check for level ups
     let leveledUp = false;
@@ -85,8 +86,8 @@ export const Leveling = {
     const Audio = State.modules?.Audio;
     if (Audio) Audio.levelUp();
 
-    // Auto save
-    autoSave();
+    // Auto save (debounced, written at the next safe point)
+    SaveScheduler.markDirty('progress');
     
     return {
       level: State.meta.level,
@@ -125,21 +126,8 @@ export const Leveling = {
     if (isBoss) xp *= 5;
     else if (isElite) xp *= 2;
     
-    // XP bonus from skills/equipment + mastery
-    let xpBonus = 0; // TODO: Get from stats system
-    try {
-      if (State.meta.mastery && State.meta.mastery.trees.efficiency > 0) {
-        // Inline calc to avoid circular import
-        const pts = State.meta.mastery.trees.efficiency;
-        const dimStart = 50;
-        let bonus = 0;
-        for (let i = 0; i < pts; i++) {
-          bonus += i < dimStart ? 0.3 : Math.max(0.05, 0.3 - (i - dimStart) * 0.02);
-        }
-        xpBonus += bonus;
-      }
-    } catch (e) { /* mastery not available */ }
-    xp *= (1 + xpBonus / 100);
+    // XP bonus from the stat pipeline (Mastery efficiency, ...)
+    xp *= (1 + (State.player.xpBonus || 0) / 100);
     
     return Math.floor(xp);
   },
@@ -191,7 +179,7 @@ export const Leveling = {
     
     // Recalculate stats
     Stats.calculate();
-    autoSave();
+    SaveScheduler.markDirty('skills');
     
     const skill = State.data.skills[treeId].skills[skillId];
     console.log(` Learned ${skill.name} (Rank ${State.meta.skills[treeId][skillId]})`);
@@ -214,7 +202,7 @@ export const Leveling = {
     State.meta.statPoints--;
     
     Stats.calculate();
-    autoSave();
+    SaveScheduler.markDirty('stats');
     
     const stat = State.data.pilotStats[statId];
     console.log(` ${stat.name} increased to ${State.meta.stats[statId]}`);
@@ -0,0 +1,212 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// Loadouts.js - Named Equipment Loadouts
+// ============================================================
+// A loadout stores one item id per slot (slots.json), the weapon
+// type and the drone mode. Kept in State.meta.loadouts:
+//   { list: [{ id, name, equipment, weaponType, droneMode }], active, pending, nextId }
+// In the hub a loadout is applied at once; during a run it is
+// queued and applied when the next zone loads (World.loadZone).
+// Items that were sold or salvaged since saving are reported as
+// missing - their slot keeps whatever is equipped now.
+
+import { State } from './State.js';
+import { getConfig } from './DataLoader.js';
+
+function ensureLoadouts() {
+  if (!State.meta.loadouts || !Array.isArray(State.meta.loadouts.list)) {
+    State.meta.loadouts = { list: [], active: null, pending: null, nextId: 1 };
+  }
+  return State.meta.loadouts;
+}
+
+function markDirty() {
+  State.modules?.SaveScheduler?.markDirty('equipment');
+}
+
+// Slot ids from slots.json (falls back to whatever is equipped)
+function slotIds() {
+  const slots = State.data.slots;
+  return slots ? Object.keys(slots) : Object.keys(State.meta.equipment || {});
+}
+
+// Does the item fit this slot? Modules fit any module slot
+function fitsSlot(item, slot) {
+  if (item.slot === slot) return true;
+  return slot.startsWith('module') && (item.slot === 'module' || item.slot?.startsWith('module'));
+}
+
+export const Loadouts = {
+
+  getAll() {
+    return ensureLoadouts().list;
+  },
+
+  get(loadoutId) {
+    return this.getAll().find(l => l.id === loadoutId) || null;
+  },
+
+  getActiveId() {
+    return ensureLoadouts().active;
+  },
+
+  getPendingId() {
+    return ensureLoadouts().pending;
+  },
+
+  // Current ship setup as loadout fields
+  _capture() {
+    const equipment = {};
+    for (const slot of slotIds()) equipment[slot] = State.meta.equipment?.[slot] || null;
+    const drone = State.player.drone;
+    return {
+      equipment,
+      weaponType: State.player.weaponType || 'laser',
+      droneMode: drone?.active ? drone.type : null
+    };
+  },
+
+  // Save the current setup as a new loadout
+  saveCurrent(name) {
+    const data = ensureLoadouts();
+    const max = getConfig('loadouts.max', 6);
+    if (data.list.length >= max) return { ok: false, reason: `Loadout limit reached (${max})` };
+
+    const loadout = {
+      id: 'loadout_' + Date.now().toString(36) + '_' + (data.nextId++),
+      name: String(name || '').trim().slice(0, 20) || 'Loadout ' + (data.list.length + 1),
+      ...this._capture()
+    };
+    data.list.push(loadout);
+    data.active = loadout.id;
+    markDirty();
+    return { ok: true, loadout };
+  },
+
+  // Replace a loadout's contents with the current setup
+  overwrite(loadoutId) {
+    const loadout = this.get(loadoutId);
+    if (!loadout) return { ok: false, reason: 'Loadout not found' };
+    Object.assign(loadout, this._capture());
+    ensureLoadouts().active = loadout.id;
+    markDirty();
+    return { ok: true, loadout };
+  },
+
+  rename(loadoutId, name) {
+    const loadout = this.get(loadoutId);
+    const clean = String(name || '').trim().slice(0, 20);
+    if (!loadout) return { ok: false, reason: 'Loadout not found' };
+    if (!clean) return { ok: false, reason: 'Name is empty' };
+    loadout.name = clean;
+    markDirty();
+    return { ok: true };
+  },
+
+  remove(loadoutId) {
+    const data = ensureLoadouts();
+    const before = data.list.length;
+    data.list = data.list.filter(l => l.id !== loadoutId);
+    if (data.list.length === before) return { ok: false, reason: 'Loadout not found' };
+    if (data.active === loadoutId) data.active = null;
+    if (data.pending === loadoutId) data.pending = null;
+    markDirty();
+    return { ok: true };
+  },
+
+  // Slots whose stored item is gone from the stash: [{ slot, itemId }]
+  getMissing(loadout) {
+    const stashIds = new Set((State.meta.stash || []).map(i => i.id));
+    return Object.entries(loadout.equipment || {})
+      .filter(([, itemId]) => itemId && !stashIds.has(itemId))
+      .map(([slot, itemId]) => ({ slot, itemId }));
+  },
+
+  // Hub: swap now. In a run: queue for the next zone.
+  select(loadoutId) {
+    const loadout = this.get(loadoutId);
+    if (!loadout) return { ok: false, reason: 'Loadout not found' };
+
+    if (State.run.active) {
+      const data = ensureLoadouts();
+      data.pending = data.pending === loadoutId ? null : loadoutId;
+      markDirty();
+      return { ok: true, queued: data.pending === loadoutId, missing: this.getMissing(loadout) };
+    }
+    return this.apply(loadoutId);
+  },
+
+  // Equip every slot of a loadout. Returns { ok, missing: [{ slot, itemId }] }
+  apply(loadoutId) {
+    const loadout = this.get(loadoutId);
+    if (!loadout) return { ok: false, reason: 'Loadout not found' };
+
+    const equipment = State.meta.equipment;
+    const missing = this.getMissing(loadout);
+    const missingSlots = new Set(missing.map(m => m.slot));
+
+    for (const slot of slotIds()) {
+      if (missingSlots.has(slot)) continue;
+      const itemId = loadout.equipment?.[slot] || null;
+      if (!itemId) {
+        equipment[slot] = null;
+        continue;
+      }
+      const item = State.meta.stash.find(i => i.id === itemId);
+      if (!fitsSlot(item, slot)) {
+        missing.push({ slot, itemId });
+        continue;
+      }
+      // An item can only sit in one slot
+      for (const [other, id] of Object.entries(equipment)) {
+        if (id === itemId && other !== slot) equipment[other] = null;
+      }
+      equipment[slot] = itemId;
+    }
+
+    // Stats first: the drone's modes come from the equipped drone item
+    State.modules?.Stats?.calculate();
+
+    const p = State.player;
+    if (loadout.weaponType && p.weaponDefs?.[loadout.weaponType] && p.weaponType !== loadout.weaponType) {
+      const Player = State.modules?.Player;
+      if (State.run.active && Player?.switchWeapon) Player.switchWeapon(loadout.weaponType);
+      else p.weaponType = loadout.weaponType;
+    }
+
+    const drone = p.drone;
+    if (drone?.modes?.length) {
+      if (loadout.droneMode === null) {
+        drone.active = false;
+      } else if (drone.modes.includes(loadout.droneMode)) {
+        drone.active = true;
+        drone.type = loadout.droneMode;
+      }
+    }
+
+    const data = ensureLoadouts();
+    data.active = loadout.id;
+    if (data.pending === loadout.id) data.pending = null;
+    markDirty();
+
+    if (missing.length > 0) {
+      console.warn(`[LOADOUT] ${loadout.name}: ${missing.length} item(s) missing (${missing.map(m => m.slot).join(', ')})`);
+    } else {
+      console.log(`[LOADOUT] Equipped ${loadout.name}`);
+    }
+    return { ok: true, loadout, missing };
+  },
+
+  // Zone loaded: equip the queued loadout (World.loadZone)
+  applyPending() {
+    const data = ensureLoadouts();
+    if (!data.pending) return null;
+    const result = this.apply(data.pending);
+    data.pending = null;
+    return result;
+  }
+};
+
+export default Loadouts;
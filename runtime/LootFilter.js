@@ -0,0 +1,204 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// LootFilter.js - User Loot Filter Rules
+// ============================================================
+// Rules live in State.meta.lootFilter and are checked top-down;
+// the first enabled rule whose conditions all match decides:
+//   show      - normal drop (also the result when nothing matches)
+//   hide      - the drop is never spawned
+//   highlight - beam in the rule color (+ optional sound)
+//   salvage   - on pickup the item becomes crafting currency
+// Conditions (all optional, empty = any):
+//   rarities[], slots[], bases[], affixStats[], minIlvl, maxIlvl
+// Drops are judged when they spawn (Pickups.dropItem) and again
+// when collected, so rule edits between the two still apply.
+// ============================================================
+
+import { State } from './State.js';
+import { getConfig } from './DataLoader.js';
+import { LootRNG } from './LootRNG.js';
+
+export const FILTER_ACTIONS = ['show', 'hide', 'highlight', 'salvage'];
+
+function ensureFilter() {
+  if (!State.meta.lootFilter || !Array.isArray(State.meta.lootFilter.rules)) {
+    const defaults = getConfig('lootFilter.defaultRules', []);
+    State.meta.lootFilter = {
+      enabled: true,
+      rules: defaults.map((rule, i) => ({ id: 'rule_default_' + i, ...JSON.parse(JSON.stringify(rule)) })),
+      nextId: 1
+    };
+  }
+  return State.meta.lootFilter;
+}
+
+function markDirty() {
+  State.modules?.SaveScheduler?.markDirty('lootFilter');
+}
+
+// Empty / missing list = no restriction
+const listMatches = (list, value) => !Array.isArray(list) || list.length === 0 || list.includes(value);
+
+export const LootFilter = {
+
+  getFilter() {
+    return ensureFilter();
+  },
+
+  getRules() {
+    return ensureFilter().rules;
+  },
+
+  // ── Matching ──
+  matches(rule, item) {
+    const m = rule.match || {};
+    if (!listMatches(m.rarities, item.rarity)) return false;
+    if (!listMatches(m.slots, item.slot)) return false;
+    if (!listMatches(m.bases, item.baseId)) return false;
+    if (Array.isArray(m.affixStats) && m.affixStats.length > 0) {
+      const stats = (item.affixes || []).map(a => a.stat);
+      if (!m.affixStats.some(stat => stats.includes(stat))) return false;
+    }
+    const ilvl = item.ilvl || 1;
+    if (m.minIlvl && ilvl < m.minIlvl) return false;
+    if (m.maxIlvl && ilvl > m.maxIlvl) return false;
+    return true;
+  },
+
+  // Verdict for an item: { action, rule } (rule null = no match)
+  evaluate(item) {
+    const filter = ensureFilter();
+    if (!item || !filter.enabled) return { action: 'show', rule: null };
+    for (const rule of filter.rules) {
+      if (!rule.enabled) continue;
+      if (this.matches(rule, item)) {
+        return { action: FILTER_ACTIONS.includes(rule.action) ? rule.action : 'show', rule };
+      }
+    }
+    return { action: 'show', rule: null };
+  },
+
+  // ── Salvage ──
+  // Roll and pay out crafting currency for an item. Returns { currency: amount }
+  salvage(item) {
+    // Yields per rarity (config.json lootFilter.salvage): { currency: [min, max] }
+    const yields = getConfig('lootFilter.salvage.' + item.rarity, {});
+    const gained = {};
+    for (const [currency, range] of Object.entries(yields)) {
+      const amount = Math.floor(range[0] + LootRNG.random() * (range[1] - range[0] + 1));
+      if (amount <= 0) continue;
+      gained[currency] = amount;
+      switch (currency) {
+        // Scrap found in a run is banked with the rest of the run's scrap
+        case 'scrap':
+          if (State.run.active) State.run.scrapEarned += amount;
+          else State.meta.scrap = (State.meta.scrap || 0) + amount;
+          break;
+        case 'voidShard':
+          State.meta.voidShards = (State.meta.voidShards || 0) + amount;
+          break;
+        case 'cosmicDust':
+          State.meta.cosmicDust = (State.meta.cosmicDust || 0) + amount;
+          break;
+      }
+    }
+    if (State.run.active) State.run.stats.itemsSalvaged++;
+    return gained;
+  },
+
+  // ── Editing (hub) ──
+  setEnabled(enabled) {
+    ensureFilter().enabled = !!enabled;
+    markDirty();
+  },
+
+  addRule(rule = {}) {
+    const filter = ensureFilter();
+    const created = {
+      id: 'rule_' + Date.now().toString(36) + '_' + (filter.nextId++),
+      name: rule.name || 'New Rule',
+      enabled: rule.enabled ?? true,
+      match: { rarities: [], slots: [], bases: [], affixStats: [], minIlvl: 0, maxIlvl: 0, ...(rule.match || {}) },
+      action: rule.action || 'highlight',
+      color: rule.color || '#ffcc00',
+      sound: rule.sound ?? false
+    };
+    filter.rules.push(created);
+    markDirty();
+    return created;
+  },
+
+  // Patch a rule: top-level fields or match fields ({ match: { ... } } is merged)
+  updateRule(ruleId, patch) {
+    const rule = this.getRules().find(r => r.id === ruleId);
+    if (!rule) return { ok: false, reason: 'Rule not found' };
+    const { match, ...rest } = patch;
+    Object.assign(rule, rest);
+    if (match) rule.match = { ...(rule.match || {}), ...match };
+    markDirty();
+    return { ok: true, rule };
+  },
+
+  removeRule(ruleId) {
+    const filter = ensureFilter();
+    const before = filter.rules.length;
+    filter.rules = filter.rules.filter(r => r.id !== ruleId);
+    if (filter.rules.length === before) return { ok: false, reason: 'Rule not found' };
+    markDirty();
+    return { ok: true };
+  },
+
+  // Rules are evaluated top-down, so order matters
+  moveRule(ruleId, dir) {
+    const rules = this.getRules();
+    const i = rules.findIndex(r => r.id === ruleId);
+    const j = i + dir;
+    if (i < 0 || j < 0 || j >= rules.length) return { ok: false, reason: 'Cannot move' };
+    [rules[i], rules[j]] = [rules[j], rules[i]];
+    markDirty();
+    return { ok: true };
+  },
+
+  resetDefaults() {
+    State.meta.lootFilter = null;
+    ensureFilter();
+    markDirty();
+  },
+
+  // How many stash items the current rules would hide / salvage (hub preview).
+  // Locked / favorite items are never touched by bulk actions.
+  previewStash() {
+    const counts = { show: 0, hide: 0, highlight: 0, salvage: 0 };
+    for (const item of State.meta.stash || []) {
+      if (item.locked || item.favorite) continue;
+      counts[this.evaluate(item).action]++;
+    }
+    return counts;
+  },
+
+  // Option lists for the rule editor
+  getOptions() {
+    const slots = new Set();
+    const bases = [];
+    for (const category of Object.values(State.data.items || {})) {
+      for (const [id, base] of Object.entries(category)) {
+        slots.add(base.slot);
+        bases.push({ id, name: base.name });
+      }
+    }
+    const affixStats = new Set();
+    for (const group of [State.data.affixes?.prefixes, State.data.affixes?.suffixes]) {
+      for (const family of Object.values(group || {})) affixStats.add(family.stat);
+    }
+    return {
+      rarities: Object.keys(State.data.rarities || {}),
+      slots: [...slots],
+      bases,
+      affixStats: [...affixStats]
+    };
+  }
+};
+
+export default LootFilter;
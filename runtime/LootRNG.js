@@ -0,0 +1,92 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// LootRNG.js - Seeded Random Streams for Loot + Crafting
+// ============================================================
+// All loot rolls go through LootRNG.random() instead of Math.random:
+//   zone stream - setZone(zoneSeed): kill drop chances + rarity pre-rolls
+//   drop seed   - nextDrop(): dropSeed(zoneSeed, index), stored on the
+//                 pickup; the item is rolled from it on collection
+//   craft seed  - craftSeed(item, recipe): item id + craft count
+// run(seed, fn) scopes random() to one seed, so "zone seed X, drop N"
+// always yields the same item for the same rarity/ilvl/pity state.
+// Outside any stream (hub debug, starter items) it falls back to Math.random.
+
+import { State } from './State.js';
+import { SeededRandom } from './world/SeededRandom.js';
+
+const LOOT_SALT = 0x1007AB1E;
+
+// 32-bit hash of two integers (murmur3 finalizer)
+function mixSeed(a, b) {
+  let h = ((a >>> 0) ^ Math.imul((b >>> 0) + 0x9E3779B9, 0x85EBCA6B)) >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85EBCA6B);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xC2B2AE35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+export const LootRNG = {
+  zoneSeed: null,     // seed of the zone being played (null in the hub)
+  dropCounter: 0,     // item drops handed out in this zone
+  _zone: null,        // zone stream
+  _scoped: null,      // stream of the innermost run() call
+
+  // Zone entered: restart the streams from its seed.
+  // dropCounter is passed when a suspended zone is restored.
+  setZone(zoneSeed, dropCounter = 0) {
+    this.zoneSeed = zoneSeed >>> 0;
+    this.dropCounter = dropCounter;
+    this._zone = new SeededRandom(mixSeed(this.zoneSeed, LOOT_SALT));
+  },
+
+  // Back in the hub: no zone stream
+  clear() {
+    this.zoneSeed = null;
+    this.dropCounter = 0;
+    this._zone = null;
+  },
+
+  // Next float [0, 1) from the active stream
+  random() {
+    const rng = this._scoped || this._zone;
+    return rng ? rng.next() : Math.random();
+  },
+
+  // Seed of drop #index in a zone (reproduce reported drops with run())
+  dropSeed(zoneSeed, index) {
+    return mixSeed(mixSeed(zoneSeed, LOOT_SALT), index);
+  },
+
+  // Claim the next drop of the current zone: { seed, index }
+  // Without a zone the seed is random (index -1) but still replayable
+  nextDrop() {
+    if (this.zoneSeed === null) {
+      return { seed: (Math.random() * 0x100000000) >>> 0, index: -1 };
+    }
+    const index = this.dropCounter++;
+    return { seed: this.dropSeed(this.zoneSeed, index), index };
+  },
+
+  // Seed for one crafting action (same item + recipe + craft count = same result)
+  craftSeed(item, recipeId) {
+    const crafts = State.meta.craftStats?.totalCrafts || 0;
+    return mixSeed(SeededRandom.fromString(item.id + ':' + recipeId), crafts);
+  },
+
+  // Run fn with random() drawing from a stream seeded by `seed`
+  run(seed, fn) {
+    const prev = this._scoped;
+    this._scoped = new SeededRandom(seed);
+    try {
+      return fn();
+    } finally {
+      this._scoped = prev;
+    }
+  }
+};
+
+export default LootRNG;
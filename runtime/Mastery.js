@@ -22,6 +22,7 @@ const MASTERY_TREES = {
     icon: '\uD83D\uDD25',
     description: '+0.5% damage per point (diminishing)',
     stat: 'damage',
+    stats: ['damage'],
     baseBonus: 0.5,       // % per point
     diminishStart: 50,    // points before diminishing kicks in
     diminishRate: 0.02    // bonus reduction per point above start
@@ -31,6 +32,7 @@ const MASTERY_TREES = {
     icon: '\uD83D\uDEE1\uFE0F',
     description: '+0.4% max HP and shield per point',
     stat: 'maxHP',
+    stats: ['maxHP', 'shieldCap'],
     baseBonus: 0.4,
     diminishStart: 60,
     diminishRate: 0.015
@@ -40,6 +42,7 @@ const MASTERY_TREES = {
     icon: '\u26A1',
     description: '+0.3% speed and fire rate per point',
     stat: 'speed',
+    stats: ['speed', 'fireRate'],
     baseBonus: 0.3,
     diminishStart: 40,
     diminishRate: 0.025
@@ -48,7 +51,8 @@ const MASTERY_TREES = {
     name: 'Fortune',
     icon: '\uD83C\uDF40',
     description: '+0.5% item drop chance and rarity weight per point',
-    stat: 'luck',
+    stat: 'lootBonus',
+    stats: ['lootBonus'],
     baseBonus: 0.5,
     diminishStart: 40,
     diminishRate: 0.03
@@ -58,6 +62,7 @@ const MASTERY_TREES = {
     icon: '\u2699\uFE0F',
     description: '+0.3% XP and scrap gain per point',
     stat: 'xpBonus',
+    stats: ['xpBonus', 'scrapBonus'],
     baseBonus: 0.3,
     diminishStart: 50,
     diminishRate: 0.02
@@ -97,11 +102,9 @@ export const Mastery = {
     ensureMastery();
     const m = State.meta.mastery;
 
-    // Efficiency bonus
-    const effBonus = this.getBonusPercent('efficiency');
-    amount = Math.floor(amount * (1 + effBonus / 100));
-
-    m.xp += amount;
+    // Efficiency is already in the amount (Stats xpBonus -> Leveling.getKillXP)
+    m.xp += Math.floor(amount);
+    State.modules?.SaveScheduler?.markDirty('progress');
 
     let leveledUp = false;
     while (true) {
@@ -171,7 +174,9 @@ export const Mastery = {
     const bonuses = {};
     for (const [id, tree] of Object.entries(MASTERY_TREES)) {
       bonuses[id] = {
+        name: tree.name,
         stat: tree.stat,
+        stats: tree.stats || [tree.stat],
         percent: this.getBonusPercent(id)
       };
     }
@@ -7,6 +7,12 @@
 
 import { State } from './State.js';
 import { Items } from './Items.js';
+import { LootRNG } from './LootRNG.js';
+import { LootFilter } from './LootFilter.js';
+import { AntiExploit } from './AntiExploit.js';
+
+// Float text icons for salvage yields
+const SALVAGE_ICONS = { scrap: '\uD83D\uDCB0', cosmicDust: '\u2728', voidShard: '\uD83D\uDCA0' };
 
 export const Pickups = {
   // Update all pickups
@@ -15,6 +21,12 @@ export const Pickups = {
     const zone = State.world?.currentZone;
     const inWorld = !!zone;
     
+    // Scavenger drone widens the magnet
+    const drone = p.drone;
+    const magnetR = (drone?.active && drone.type === 'scavenge')
+      ? Math.max(p.pickupRadius, drone.collectRange || 0)
+      : p.pickupRadius;
+    
     for (let i = State.pickups.length - 1; i >= 0; i--) {
       const pk = State.pickups[i];
 
@@ -50,6 +62,7 @@ export const Pickups = {
       pk.life -= dt;
       if (pk.life <= 0) {
         State.pickups.splice(i, 1);
+        if (pk.item) Items.missPity();
         continue;
       }
       
@@ -58,8 +71,8 @@ export const Pickups = {
       const dy = p.y - pk.y;
       const dist = Math.hypot(dx, dy);
       
-      if (dist > 0.001 && dist < p.pickupRadius) {
-        const pull = (p.pickupRadius - dist) / p.pickupRadius * 500;
+      if (dist > 0.001 && dist < magnetR) {
+        const pull = (magnetR - dist) / magnetR * 500;
         pk.x += (dx / dist) * pull * dt;
         pk.y += (dy / dist) * pull * dt;
       }
@@ -99,6 +112,52 @@ export const Pickups = {
     });
   },
   
+  // Spawn an item drop. The item is rolled right away from the drop's
+  // seed (LootRNG) so the loot filter can judge it before it appears.
+  // Pity resets only once the drop is collected or salvaged; hidden or
+  // expired drops just count toward it (Items.rollDeferred / missPity).
+  // config: { x, y, vx, vy, life, rarity, rarityFloor, ilvl, fromBoss, bossType }
+  // Returns the pickup, or null if the filter hid it
+  dropItem(config) {
+    const drop = LootRNG.nextDrop();
+    const { item, guarantee } = LootRNG.run(drop.seed, () => Items.rollDeferred(() => Items.generateRandom(config.rarity, config.rarityFloor || null, config.ilvl, {
+      fromBoss: config.fromBoss || false,
+      bossType: config.bossType || null
+    })));
+    if (!item) return null;
+    AntiExploit.onLootDrop(LootRNG.zoneSeed, drop.index, item.rarity);
+
+    const verdict = LootFilter.evaluate(item);
+    if (verdict.action === 'hide') {
+      Items.missPity();
+      return null;
+    }
+
+    const pickup = {
+      type: 'item',
+      x: config.x,
+      y: config.y,
+      vx: config.vx ?? (Math.random() - 0.5) * 50,
+      vy: config.vy ?? -50 + Math.random() * 30,
+      life: config.life || 10,
+      lifespan: config.life || 10,
+      rarity: item.rarity,
+      ilvl: item.ilvl,
+      item,
+      pityGuarantee: guarantee,
+      lootSeed: drop.seed,
+      dropIndex: drop.index,
+      filter: verdict.action,
+      highlight: verdict.action === 'highlight' ? (verdict.rule.color || '#ffcc00') : null
+    };
+    State.pickups.push(pickup);
+
+    if (verdict.action === 'highlight' && verdict.rule.sound) {
+      State.modules?.Audio?.poiReward?.();
+    }
+    return pickup;
+  },
+  
   // Collect a pickup
   collect(pickup) {
     const Audio = State.modules?.Audio;
@@ -110,33 +169,50 @@ export const Pickups = {
         if (Audio) Audio.pickupScrap();
         break;
         
-      case 'scrap':
-        State.run.scrapEarned += pickup.value;
+      case 'scrap': {
+        const scrapValue = Math.floor(pickup.value * (1 + (State.player.scrapBonus || 0) / 100));
+        State.run.scrapEarned += scrapValue;
         this.spawnCollectEffect(pickup.x, pickup.y, '#ffd700');
-        this.spawnFloatText(pickup.x, pickup.y, `+${pickup.value}\uD83D\uDCB0`, '#ffd700');
+        this.spawnFloatText(pickup.x, pickup.y, `+${scrapValue}\uD83D\uDCB0`, '#ffd700');
         if (Audio) Audio.pickupScrap();
         break;
+      }
         
-      case 'item':
-        const item = Items.generateRandom(pickup.rarity, pickup.rarityFloor, pickup.ilvl, {
+      case 'item': {
+        // Rolled at drop time (dropItem); asteroid caches roll on pickup
+        const item = pickup.item || Items.generateRandom(pickup.rarity, pickup.rarityFloor, pickup.ilvl, {
           fromBoss: pickup.fromBoss,
           bossType: pickup.bossType
         });
-        if (item) {
-          const added = Items.addToStash(item);
-          if (added) {
-            this.spawnCollectEffect(pickup.x, pickup.y, State.data.rarities[item.rarity]?.color || '#ffffff');
-            this.spawnFloatText(pickup.x, pickup.y, item.name, State.data.rarities[item.rarity]?.color || '#ffffff');
-            if (window.UI) window.UI.renderStash();
-            if (Audio) Audio.pickupItem();
-          } else {
-            const scrapValue = item.value;
-            State.run.scrapEarned += scrapValue;
-            this.spawnFloatText(pickup.x, pickup.y, `FULL! +${scrapValue}\uD83D\uDCB0`, '#ff8800');
-            if (Audio) Audio.pickupScrap();
-          }
+        if (!item) break;
+        if (pickup.item) Items.commitPity(item);
+
+        // Re-check: rules may have changed since the drop appeared. The player
+        // already saw this one, so a rule that now hides it keeps it instead.
+        const verdict = LootFilter.evaluate(item);
+        if (verdict.action === 'salvage') {
+          const gained = LootFilter.salvage(item);
+          const text = Object.entries(gained).map(([c, n]) => `+${n} ${SALVAGE_ICONS[c] || c}`).join(' ');
+          this.spawnCollectEffect(pickup.x, pickup.y, '#888888');
+          this.spawnFloatText(pickup.x, pickup.y, `\u267B ${text || item.name}`, '#aaaaaa');
+          if (Audio) Audio.pickupScrap();
+          break;
+        }
+
+        const added = Items.addToStash(item);
+        if (added) {
+          this.spawnCollectEffect(pickup.x, pickup.y, State.data.rarities[item.rarity]?.color || '#ffffff');
+          this.spawnFloatText(pickup.x, pickup.y, item.name, State.data.rarities[item.rarity]?.color || '#ffffff');
+          if (window.UI) window.UI.renderStash();
+          if (Audio) Audio.pickupItem();
+        } else {
+          const scrapValue = item.value;
+          State.run.scrapEarned += scrapValue;
+          this.spawnFloatText(pickup.x, pickup.y, `FULL! +${scrapValue}\uD83D\uDCB0`, '#ff8800');
+          if (Audio) Audio.pickupScrap();
         }
         break;
+      }
         
       case 'health':
         const healed = pickup.value || 25;
@@ -290,6 +366,17 @@ export const Pickups = {
             ctx.globalAlpha = Math.min(1, pk.life * 2);
           }
           
+          // Loot filter highlight: tall beam in the rule's color
+          if (pk.highlight) {
+            const beamGrad = ctx.createLinearGradient(0, drawY - 220, 0, drawY);
+            beamGrad.addColorStop(0, 'rgba(0,0,0,0)');
+            beamGrad.addColorStop(1, pk.highlight);
+            ctx.fillStyle = beamGrad;
+            ctx.globalAlpha = Math.min(1, pk.life * 2) * (0.45 + Math.sin(now * 0.006) * 0.15);
+            ctx.fillRect(pk.x - 5, drawY - 220, 10, 220);
+            ctx.globalAlpha = Math.min(1, pk.life * 2);
+          }
+          
           // Diamond shape (with bounce offset)
           ctx.fillStyle = rarityColor;
           ctx.beginPath();
@@ -347,6 +434,14 @@ export const Pickups = {
               ctx.fillText(label, pk.x, drawY - sz - 6);
             }
           }
+          
+          // Marked for auto-salvage by the loot filter
+          if (pk.filter === 'salvage') {
+            ctx.fillStyle = '#aaaaaa';
+            ctx.font = 'bold 11px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('\u267B', pk.x + sz + 4, drawY + sz + 4);
+          }
           break;
           
         case 'health':
@@ -9,6 +9,9 @@ import { State } from './State.js';
 import { Input } from './Input.js';
 import { Bullets } from './Bullets.js';
 import { Particles } from './Particles.js';
+import { ItemEffects } from './ItemEffects.js';
+import { getItemData } from './DataLoader.js';
+import { BossAbilities } from './BossAbilities.js';
 
 export const Player = {
   _hitFlash: 0,
@@ -18,6 +21,9 @@ export const Player = {
     const p = State.player;
     const cfg = State.data.config?.player || {};
 
+    // Boss time-slow field: the whole ship runs slower inside it
+    if (explorationMode) dt *= BossAbilities.timeScaleAt(p.x, p.y);
+
     // ========== CORRUPTION DOT ==========
     if (p.dotT && p.dotT > 0) {
       p.dotT -= dt;
@@ -33,10 +39,11 @@ export const Player = {
     const deadzone = cfg.deadzone || 0.1;
 
     if (Math.abs(move.dx) > deadzone || Math.abs(move.dy) > deadzone) {
-      const targetVX = move.dx * p.speed;
-      const targetVY = move.dy * p.speed;
-      p.vx += (targetVX - p.vx) * Math.min(1, accel * dt / p.speed);
-      p.vy += (targetVY - p.vy) * Math.min(1, accel * dt / p.speed);
+      const speed = p.speed * ItemEffects.getMult('speed');
+      const targetVX = move.dx * speed;
+      const targetVY = move.dy * speed;
+      p.vx += (targetVX - p.vx) * Math.min(1, accel * dt / speed);
+      p.vy += (targetVY - p.vy) * Math.min(1, accel * dt / speed);
     } else {
       p.vx *= friction;
       p.vy *= friction;
@@ -73,17 +80,22 @@ export const Player = {
       p.angle = Input.getAimAngle(p.x, p.y);
     }
 
+    // ========== ITEM EFFECTS (cooldowns, timed states) ==========
+    ItemEffects.update(dt);
+
     // ========== SHOOTING ==========
     p.fireCooldown -= dt;
-    if (State.input.fire && p.fireCooldown <= 0) {
+    // Overheat (item effect) locks the guns
+    if (State.input.fire && p.fireCooldown <= 0 && !(p._effectOverheat > 0)) {
       this.fire();
       p.fireCooldown = 1 / this.getWeaponFireRate();
     }
+    this.updateSecondary(dt);
 
     // ========== SHIELD REGEN ==========
     p.shieldRegenDelay -= dt;
     if (p.shieldRegenDelay <= 0 && p.shield < p.maxShield) {
-      const regenRate = cfg.shieldRegenRate || 5;
+      const regenRate = (cfg.shieldRegenRate || 5) * (p.shieldRegenMult || 1);
       p.shield = Math.min(p.maxShield, p.shield + regenRate * dt);
     }
     
@@ -157,12 +169,13 @@ export const Player = {
     const bSpd = p.bulletSpeed * (wDef.bulletSpeed || 1);
     const pierce = p.piercing + (wDef.piercing || 0);
 
+    const spawned = [];
     for (const angle of angles) {
       // Gatling: random spread jitter
       const jitter = wType === 'gatling' ? (Math.random() - 0.5) * 0.12 : 0;
       const a = angle + jitter;
       
-      Bullets.spawn({
+      spawned.push(Bullets.spawn({
         x: p.x + Math.cos(a) * 20,
         y: p.y + Math.sin(a) * 20,
         vx: Math.cos(a) * bSpd,
@@ -172,8 +185,9 @@ export const Player = {
         isPlayer: true,
         crit: Math.random() * 100 < p.critChance,
         bulletType: wDef.bulletType || 'laser'
-      });
+      }));
     }
+    ItemEffects.trigger('fire', { bullets: spawned });
 
     Particles.spawn(p.x + Math.cos(p.angle) * 22, p.y + Math.sin(p.angle) * 22, 'muzzle');
     const muzzleX = p.x + Math.cos(p.angle) * 22;
@@ -185,6 +199,86 @@ export const Player = {
     if (Audio) Audio.shootLaser();
   },
   
+  // ============ SECONDARY WEAPON ============
+  // Right mouse / C fires the item in the 'secondary' slot. Behaviour comes
+  // from the item's data ("secondary" block), damage from its rolled stats.
+  getSecondary() {
+    const itemId = State.meta.equipment?.secondary;
+    if (!itemId) return null;
+    const item = State.meta.stash.find(i => i.id === itemId);
+    const def = item ? getItemData(item.baseId)?.secondary : null;
+    return def ? { item, def } : null;
+  },
+
+  updateSecondary(dt) {
+    const p = State.player;
+    if (p.secondaryCooldown > 0) p.secondaryCooldown = Math.max(0, p.secondaryCooldown - dt);
+    if (!State.input.secondary || p.secondaryCooldown > 0) return;
+
+    const sec = this.getSecondary();
+    if (!sec) return;
+    this.fireSecondary(sec);
+    p.secondaryMaxCooldown = (sec.def.cooldown || 1.5) * ItemEffects.getMult('cooldown');
+    p.secondaryCooldown = p.secondaryMaxCooldown;
+  },
+
+  fireSecondary({ item, def }) {
+    const p = State.player;
+    const stats = item.stats || {};
+    const damage = Math.max(1, Math.floor(stats.damage || 10));
+    const crit = Math.random() * 100 < p.critChance;
+    const dmg = crit ? Math.floor(damage * p.critDamage / 100) : damage;
+
+    if (def.behavior === 'homing') {
+      const count = def.projectiles || 1;
+      const speed = def.speed || 420;
+      for (let i = 0; i < count; i++) {
+        // Launch fanned out to the sides; tracking bends them onto targets
+        const a = p.angle + (count > 1 ? (i / (count - 1) - 0.5) * 1.2 : 0);
+        Bullets.spawn({
+          x: p.x + Math.cos(a) * 16,
+          y: p.y + Math.sin(a) * 16,
+          vx: Math.cos(a) * speed,
+          vy: Math.sin(a) * speed,
+          damage: dmg,
+          size: 5,
+          crit,
+          bulletType: 'missile',
+          homing: { turnRate: (def.turnRate || 6) * (stats.tracking || 50) / 100 },
+          blast: def.blastRadius ? { radius: def.blastRadius, damagePct: def.blastDamagePct || 50 } : null
+        });
+      }
+    } else if (def.behavior === 'mine') {
+      const count = Math.max(1, Math.round(stats.mineCount || 1));
+      for (let i = 0; i < count; i++) {
+        // Dropped behind the ship, scattered
+        const a = p.angle + Math.PI + (Math.random() - 0.5) * 1.4;
+        const toss = 80 + Math.random() * 80;
+        Bullets.spawn({
+          x: p.x, y: p.y,
+          vx: Math.cos(a) * toss + p.vx * 0.3,
+          vy: Math.sin(a) * toss + p.vy * 0.3,
+          damage: dmg,
+          size: 7,
+          crit,
+          bulletType: 'mine',
+          mine: { armTime: def.armTime || 0.5, triggerRadius: def.triggerRadius || 70, blastRadius: def.blastRadius || 110 },
+          life: def.life || 12
+        });
+      }
+      // Oldest mines go first when over the limit
+      const mines = State.bullets.filter(b => b.mine);
+      const excess = mines.length - (def.maxActive || 8);
+      for (let i = 0; i < excess; i++) State.bullets.splice(State.bullets.indexOf(mines[i]), 1);
+    } else {
+      return;
+    }
+
+    Particles.flash(p.x, p.y, '#ff8800', 6);
+    const Audio = State.modules?.Audio;
+    if (Audio) Audio.shootLaser();
+  },
+  
   // Switch weapon type
   switchWeapon(newType) {
     const p = State.player;
@@ -208,14 +302,28 @@ export const Player = {
   getWeaponFireRate() {
     const p = State.player;
     const wDef = p.weaponDefs?.[p.weaponType || 'laser'] || {};
-    return p.fireRate * (wDef.fireRate || 1);
+    return p.fireRate * (wDef.fireRate || 1) * ItemEffects.getMult('fireRate');
+  },
+
+  // Seconds after a hit before the shield regenerates (reduced by shieldRegenDelay mods)
+  getShieldRegenDelay() {
+    const base = State.data.config?.player?.shieldRegenDelay || 3;
+    return base * (1 - (State.player.shieldDelayReduction || 0) / 100);
+  },
+
+  // Chance to evade an enemy projectile (dodgeChance, percent)
+  rollDodge() {
+    const p = State.player;
+    if (!(p.dodgeChance > 0) || Math.random() * 100 >= p.dodgeChance) return false;
+    Particles.text(p.x, p.y - 25, 'DODGE', '#aaddff', 12);
+    return true;
   },
 
   takeDamage(amount) {
     const p = State.player;
     
-    // Dash invulnerability
-    if (p._dashInvuln) return;
+    // Dash invulnerability (+ item effect invulnerability)
+    if (p._dashInvuln || p._effectInvuln > 0) return;
     
     // Corruption objective: incoming damage scales with corruption level
     const obj = State.run?.objective;
@@ -231,13 +339,13 @@ export const Player = {
       p.shield -= shieldDmg;
       amount -= shieldDmg;
       if (amount <= 0) {
-        p.shieldRegenDelay = State.data.config?.player?.shieldRegenDelay || 3;
+        p.shieldRegenDelay = this.getShieldRegenDelay();
         return;
       }
     }
 
     p.hp -= amount;
-    p.shieldRegenDelay = State.data.config?.player?.shieldRegenDelay || 3;
+    p.shieldRegenDelay = this.getShieldRegenDelay();
     this._hitFlash = 0.15;
     Particles.spawn(p.x, p.y, 'playerHit');
 
@@ -247,6 +355,8 @@ export const Player = {
 
     if (p.hp <= 0) {
       p.hp = 0;
+      // Item effects get one chance to prevent death
+      if (ItemEffects.trigger('fatal', { prevented: false }).prevented) return;
       Particles.spawn(p.x, p.y, 'explosion');
       if (Audio) Audio.explosionBig();
     }
@@ -288,7 +398,7 @@ export const Player = {
       input.ability1 = false; // consume press
       ab.dash.active = true;
       ab.dash.duration = 0.15;
-      ab.dash.cooldown = ab.dash.maxCooldown;
+      ab.dash.cooldown = ab.dash.maxCooldown * ItemEffects.getMult('cooldown');
       
       // Burst forward in aim direction
       const dashSpeed = p.speed * 4;
@@ -305,6 +415,7 @@ export const Player = {
         }
       }
       if (AudioA?.portalEnter) AudioA.portalEnter(); // whoosh reuse
+      ItemEffects.trigger('dash');
     }
     
     // Dash invuln: player takes no damage while active
@@ -315,7 +426,7 @@ export const Player = {
       input.ability2 = false;
       ab.shield.active = true;
       ab.shield.duration = 0.3;
-      ab.shield.cooldown = ab.shield.maxCooldown;
+      ab.shield.cooldown = ab.shield.maxCooldown * ItemEffects.getMult('cooldown');
       
       // Grant temp shield (50% of maxHP)
       const shieldGain = Math.floor(p.maxHP * 0.5);
@@ -348,7 +459,7 @@ export const Player = {
       input.ability3 = false;
       ab.orbital.active = true;
       ab.orbital.duration = 0.8;
-      ab.orbital.cooldown = ab.orbital.maxCooldown;
+      ab.orbital.cooldown = ab.orbital.maxCooldown * ItemEffects.getMult('cooldown');
       ab.orbital._radius = 0; // grows over duration
       ab.orbital._hitSet = new Set(); // track already-hit enemies
       
@@ -440,47 +551,63 @@ export const Player = {
     // Orbit around player
     const orbitSpeed = drone.type === 'shield' ? 1.5 : 2.2;
     this._droneAngle += dt * orbitSpeed;
-    const orbitR = 45;
+    const orbitR = drone.orbitRadius || 45;
     drone.x = p.x + Math.cos(this._droneAngle) * orbitR;
     drone.y = p.y + Math.sin(this._droneAngle) * orbitR;
 
+    // Jammed (boss laser): keeps orbiting but does nothing
+    if (drone._jammed > 0) {
+      drone._jammed -= dt;
+      return;
+    }
+
     if (drone.type === 'combat') {
-      // Auto-fire at nearest enemy
+      // Auto-fire (every drone in the swarm) at the chosen target
       this._droneFireTimer -= dt;
       if (this._droneFireTimer <= 0) {
-        let nearest = null;
-        let nearDist = 350; // max range
-        for (const e of State.enemies) {
-          if (e.dead) continue;
-          const d = Math.hypot(e.x - drone.x, e.y - drone.y);
-          if (d < nearDist) { nearDist = d; nearest = e; }
-        }
-        if (nearest) {
-          const ang = Math.atan2(nearest.y - drone.y, nearest.x - drone.x);
+        let fired = false;
+        for (const pos of this.getDronePositions()) {
+          const target = this._pickDroneTarget(pos, drone.targeting);
+          if (!target) continue;
+          const ang = Math.atan2(target.y - pos.y, target.x - pos.x);
           const spd = 500;
-          Bullets.spawn({
-            x: drone.x, y: drone.y,
+          const crit = Math.random() * 100 < (drone.critChance || 0);
+          const base = p.damage * (drone.damagePct || 0.25) + (drone.flatDamage || 0);
+          const bullet = Bullets.spawn({
+            x: pos.x, y: pos.y,
             vx: Math.cos(ang) * spd,
             vy: Math.sin(ang) * spd,
-            damage: Math.max(1, Math.floor(p.damage * (drone.damagePct || 0.25))),
+            damage: Math.max(1, Math.floor(crit ? base * p.critDamage / 100 : base)),
             piercing: 0,
             isPlayer: true,
-            crit: false,
+            crit,
             bulletType: 'gatling'
           });
-          this._droneFireTimer = drone.fireRate || 0.5;
+          if (drone.healOnKillPct) bullet.healOnKillPct = drone.healOnKillPct;
+          fired = true;
         }
+        if (fired) this._droneFireTimer = 1 / (drone.shotsPerSec || 2);
       }
     } else if (drone.type === 'shield') {
-      // Absorb nearby enemy bullets
+      // Absorb nearby enemy bullets until the drone's shield is spent, then recharge
+      if (drone.shieldHP <= 0 && drone.shieldCap > 0) {
+        drone._rechargeTimer = (drone._rechargeTimer || 0) + dt;
+        if (drone._rechargeTimer >= (drone.rechargeTime || 5)) {
+          drone._rechargeTimer = 0;
+          drone.shieldHP = drone.shieldCap;
+        }
+        return;
+      }
       for (let i = State.enemyBullets.length - 1; i >= 0; i--) {
         const b = State.enemyBullets[i];
         const d = Math.hypot(b.x - drone.x, b.y - drone.y);
         if (d < 20) {
           State.enemyBullets.splice(i, 1);
           drone.absorbed = (drone.absorbed || 0) + 1;
+          if (drone.shieldCap > 0) drone.shieldHP -= b.damage || 10;
           // Small flash
           Particles.spawn(b.x, b.y, 'muzzle');
+          if (drone.shieldHP <= 0) break;
         }
       }
     } else if (drone.type === 'repair') {
@@ -488,13 +615,50 @@ export const Player = {
       drone._healTimer = (drone._healTimer || 0) + dt;
       if (drone._healTimer >= 1) {
         drone._healTimer = 0;
-        const healAmt = Math.max(1, Math.floor(p.maxHP * (drone.healPct || 0.02)));
+        const healAmt = Math.max(1, Math.floor(drone.healPerSec || p.maxHP * 0.01));
         if (p.hp < p.maxHP) {
           p.hp = Math.min(p.maxHP, p.hp + healAmt);
           Particles.trail(drone.x, drone.y, '#00ff88', 3);
         }
       }
+      // Emergency repair burst below the HP threshold
+      if (drone._burstCooldown > 0) drone._burstCooldown -= dt;
+      if (drone.burstPct > 0 && !(drone._burstCooldown > 0) && p.hp > 0 &&
+          p.hp / p.maxHP * 100 < (drone.burstThreshold || 35)) {
+        p.hp = Math.min(p.maxHP, p.hp + p.maxHP * drone.burstPct / 100);
+        drone._burstCooldown = drone.burstCooldown || 20;
+        Particles.ring(p.x, p.y, '#00ff88', 50);
+        Particles.text(p.x, p.y - 30, 'REPAIR BURST', '#00ff88', 14);
+      }
+    }
+  },
+
+  // World positions of the drone and its swarm mates (evenly spaced on the orbit)
+  getDronePositions() {
+    const p = State.player;
+    const drone = p.drone;
+    const count = drone.count || 1;
+    const orbitR = drone.orbitRadius || 45;
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+      const a = this._droneAngle + (i / count) * Math.PI * 2;
+      positions.push({ x: p.x + Math.cos(a) * orbitR, y: p.y + Math.sin(a) * orbitR });
     }
+    return positions;
+  },
+
+  // 'nearest' (default) or 'strongest' (highest HP) enemy within range
+  _pickDroneTarget(pos, targeting) {
+    let best = null;
+    let bestScore = -Infinity;
+    for (const e of State.enemies) {
+      if (e.dead) continue;
+      const d = Math.hypot(e.x - pos.x, e.y - pos.y);
+      if (d > 350) continue; // max range
+      const score = targeting === 'strongest' ? e.hp : -d;
+      if (score > bestScore) { bestScore = score; best = e; }
+    }
+    return best;
   },
 
   drawDrone(ctx) {
@@ -506,54 +670,74 @@ export const Player = {
     const dx = drone.x;
     const dy = drone.y;
 
-    ctx.save();
-    ctx.translate(dx, dy);
-
-    if (drone.type === 'combat') {
-      // Small aggressive triangle
-      ctx.rotate(this._droneAngle * 2);
-      ctx.fillStyle = '#ff8844';
-      ctx.shadowColor = '#ff6622';
-      ctx.shadowBlur = 6;
-      ctx.beginPath();
-      ctx.moveTo(0, -8); ctx.lineTo(-6, 6); ctx.lineTo(6, 6);
-      ctx.closePath();
-      ctx.fill();
-      ctx.shadowBlur = 0;
-    } else if (drone.type === 'shield') {
-      // Blue hex shield icon
-      ctx.rotate(t * 1.5);
-      ctx.strokeStyle = '#44aaff';
-      ctx.lineWidth = 2;
-      ctx.shadowColor = '#44aaff';
-      ctx.shadowBlur = 8;
-      ctx.beginPath();
-      for (let i = 0; i < 6; i++) {
-        const a = i * Math.PI / 3;
-        i === 0 ? ctx.moveTo(Math.cos(a) * 8, Math.sin(a) * 8)
-          : ctx.lineTo(Math.cos(a) * 8, Math.sin(a) * 8);
+    // Swarm mates (combat drones with droneCount > 1)
+    const positions = drone.type === 'combat' ? this.getDronePositions() : [{ x: dx, y: dy }];
+    for (const pos of positions) {
+      ctx.save();
+      ctx.translate(pos.x, pos.y);
+      if (drone._jammed > 0) ctx.globalAlpha = 0.3 + Math.abs(Math.sin(t * 20)) * 0.3;
+
+      if (drone.type === 'combat') {
+        // Small aggressive triangle
+        ctx.rotate(this._droneAngle * 2);
+        ctx.fillStyle = '#ff8844';
+        ctx.shadowColor = '#ff6622';
+        ctx.shadowBlur = 6;
+        ctx.beginPath();
+        ctx.moveTo(0, -8); ctx.lineTo(-6, 6); ctx.lineTo(6, 6);
+        ctx.closePath();
+        ctx.fill();
+        ctx.shadowBlur = 0;
+      } else if (drone.type === 'shield') {
+        // Blue hex shield icon
+        ctx.rotate(t * 1.5);
+        ctx.strokeStyle = '#44aaff';
+        ctx.lineWidth = 2;
+        ctx.shadowColor = '#44aaff';
+        ctx.shadowBlur = 8;
+        ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+          const a = i * Math.PI / 3;
+          i === 0 ? ctx.moveTo(Math.cos(a) * 8, Math.sin(a) * 8)
+            : ctx.lineTo(Math.cos(a) * 8, Math.sin(a) * 8);
+        }
+        ctx.closePath();
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+      } else if (drone.type === 'repair') {
+        // Green cross
+        ctx.rotate(t);
+        ctx.fillStyle = '#44ff88';
+        ctx.shadowColor = '#00ff44';
+        ctx.shadowBlur = 6;
+        ctx.fillRect(-7, -2, 14, 4);
+        ctx.fillRect(-2, -7, 4, 14);
+        ctx.shadowBlur = 0;
+      } else if (drone.type === 'scavenge') {
+        // Gold ring with a scanning dot
+        ctx.strokeStyle = '#ffcc44';
+        ctx.lineWidth = 2;
+        ctx.shadowColor = '#ffaa00';
+        ctx.shadowBlur = 6;
+        ctx.beginPath();
+        ctx.arc(0, 0, 6, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = '#ffee88';
+        ctx.beginPath();
+        ctx.arc(Math.cos(t * 4) * 6, Math.sin(t * 4) * 6, 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
       }
-      ctx.closePath();
-      ctx.stroke();
-      ctx.shadowBlur = 0;
-    } else if (drone.type === 'repair') {
-      // Green cross
-      ctx.rotate(t);
-      ctx.fillStyle = '#44ff88';
-      ctx.shadowColor = '#00ff44';
-      ctx.shadowBlur = 6;
-      ctx.fillRect(-7, -2, 14, 4);
-      ctx.fillRect(-2, -7, 4, 14);
-      ctx.shadowBlur = 0;
-    }
 
-    ctx.restore();
+      ctx.restore();
+    }
 
     // Connection line to player
     ctx.save();
     ctx.globalAlpha = 0.12;
     ctx.strokeStyle = drone.type === 'combat' ? '#ff8844' :
-      drone.type === 'shield' ? '#44aaff' : '#44ff88';
+      drone.type === 'shield' ? '#44aaff' :
+      drone.type === 'scavenge' ? '#ffcc44' : '#44ff88';
     ctx.lineWidth = 1;
     ctx.setLineDash([3, 4]);
     ctx.beginPath();
@@ -4,62 +4,306 @@
 // ============================================================
 // SAVE.js - Persistence Layer
 // ============================================================
-// Handles saving/loading meta state to LocalStorage
+// Handles saving/loading meta state through a storage adapter
+// (SaveStorage.js: localStorage, IndexedDB or in-memory).
+// Each save slot (pilot profile) has its own save key + backup key;
+// the slot registry lists profiles and caches a summary for the picker.
 
-import { State } from './State.js';
+import { State, resetMeta } from './State.js';
+import { SAVE_VERSION, createReport, reportHasChanges, runMigrations, repairMeta } from './SaveMigrations.js';
+import { createEnvelope, verifyEnvelope, encodeShareCode, decodeShareCode, isShareCode } from './SaveTransfer.js';
+import { createStorage, createLocalStorageAdapter, createMemoryAdapter, isQuotaError, estimateUsage, KEY_PREFIX } from './SaveStorage.js';
 
 const SAVE_KEY = 'bonzookaa_save_v2';
 const BACKUP_KEY = 'bonzookaa_backup_v2';
+const SLOTS_KEY = 'bonzookaa_slots_v1';
+const ROLLBACK_KEY = 'bonzookaa_rollback_v1';
+
+// The default slot keeps the pre-slot keys, so existing saves load untouched
+const DEFAULT_SLOT = 'default';
+
+// Non-save keys written by other modules that compaction may drop
+const DISPOSABLE_KEYS = ['bonz_last_dump'];
+
+// Bounded histories kept in meta.antiExploit (see AntiExploit.js)
+const AE_COMPACT_LIMITS = { seedHistory: 20, resetLog: 10, evSnapshots: 5, flags: 10 };
 
 // Deep clone helper
 function cloneState(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
+// Storage keys for a slot
+function saveKeyFor(slotId) {
+  return slotId === DEFAULT_SLOT ? SAVE_KEY : SAVE_KEY + '_' + slotId;
+}
+
+function backupKeyFor(slotId) {
+  return slotId === DEFAULT_SLOT ? BACKUP_KEY : BACKUP_KEY + '_' + slotId;
+}
+
+// Pre-import copy of a slot's save (one level of undo)
+function rollbackKeyFor(slotId) {
+  return ROLLBACK_KEY + '_' + slotId;
+}
+
+// Import preview numbers: level, stash size, best depth
+function previewOf(meta) {
+  const hz = meta?.highestZones || {};
+  return {
+    level: meta?.level || 1,
+    stashSize: Array.isArray(meta?.stash) ? meta.stash.length : 0,
+    bestDepth: Math.max(meta?.depth?.bestDepth || 0, hz.normal || 0, hz.risk || 0, hz.chaos || 0),
+    scrap: meta?.scrap || 0
+  };
+}
+
+// Picker summary: level, best zone per difficulty lane, playtime
+function summarize(meta) {
+  const hz = meta?.highestZones || {};
+  return {
+    level: meta?.level || 1,
+    bestZones: {
+      normal: hz.normal || 0,
+      risk: hz.risk || 0,
+      chaos: hz.chaos || 0
+    },
+    playtime: meta?.totalPlaytime || 0
+  };
+}
+
 export const Save = {
-  // Save meta state to LocalStorage
+  // Active storage adapter (replaced by init() once config is loaded)
+  storage: createLocalStorageAdapter(),
+
+  // Last failed write: { time, reason, quota } (shown as a warning banner)
+  lastError: null,
+
+  // Keys re-written after an async quota failure (one retry each)
+  _quotaRetries: new Set(),
+
+  // Slot registry: { active, slots: [{ id, name, created, updated, summary }] }
+  _registry: null,
+
+  // Migration/repair report from the last load (shown in the hub)
+  lastReport: null,
+
+  // ========== STORAGE BACKEND ==========
+  
+  // Pick the adapter from config (save.storage), falling back to
+  // localStorage and finally memory if a backend can't open
+  async init(type = 'auto') {
+    const candidates = [createStorage(type), createLocalStorageAdapter(), createMemoryAdapter()];
+    for (const adapter of candidates) {
+      try {
+        await adapter.init();
+        this.storage = adapter;
+        break;
+      } catch (error) {
+        console.warn('[SAVE] Storage backend ' + adapter.name + ' unavailable:', error);
+      }
+    }
+    this._attachStorage();
+    this._registry = null;
+    if (this.storage.name === 'memory') {
+      this._setError('Browser storage is unavailable - progress will not be kept after closing the tab', false);
+    }
+    console.log('[SAVE] Storage backend: ' + this.storage.name);
+    return this.storage.name;
+  },
+  
+  _attachStorage() {
+    this._quotaRetries.clear();
+    this.storage.onError = (error, mode, key, value) => this._onWriteError(error, mode, key, value);
+    this.storage.onWritten = (mode, key) => this._quotaRetries.delete(key);
+  },
+  
+  getStorageInfo() {
+    return { backend: this.storage.name, bytes: estimateUsage(this.storage) };
+  },
+  
+  // Write a key; on a full storage compact once and retry.
+  // value may be a function so the retry re-serializes compacted meta.
+  // Returns the number of keys compaction removed (0 = no compaction).
+  _write(key, value) {
+    const serialize = () => (typeof value === 'function' ? value() : value);
+    try {
+      this.storage.setItem(key, serialize());
+      return 0;
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      console.warn('[SAVE] Storage quota reached, compacting...');
+      const removed = this.compact();
+      this.storage.setItem(key, serialize());
+      if (removed > 0) this._compactNotice(removed);
+      return removed;
+    }
+  },
+  
+  // Free space: drop disposable keys plus the backups and import
+  // rollbacks of the other pilots (the registry and the active pilot's
+  // save + backup stay), then trim anti-exploit histories in meta.
+  // Returns the number of backup/rollback keys removed.
+  compact() {
+    const activeId = this.getActiveSlotId();
+    const keep = new Set([SLOTS_KEY, saveKeyFor(activeId), backupKeyFor(activeId)]);
+    let removed = 0;
+    
+    for (const key of this.storage.keys()) {
+      if (!key || keep.has(key)) continue;
+      if (DISPOSABLE_KEYS.includes(key)) {
+        this.storage.removeItem(key);
+      } else if (key.startsWith(BACKUP_KEY) || key.startsWith(ROLLBACK_KEY)) {
+        this.storage.removeItem(key);
+        removed++;
+      }
+    }
+    
+    const ae = State.meta.antiExploit;
+    if (ae) {
+      for (const [field, limit] of Object.entries(AE_COMPACT_LIMITS)) {
+        if (Array.isArray(ae[field]) && ae[field].length > limit) ae[field] = ae[field].slice(-limit);
+      }
+    }
+    
+    console.log('[SAVE] Compacted storage: removed ' + removed + ' backup/rollback key(s)');
+    return removed;
+  },
+  
+  // Tell the player what compaction threw away (stays up until dismissed)
+  _compactNotice(removed) {
+    this._setError('Storage was full - deleted ' + removed + ' backup(s) of other pilots / import undo copies to make room.', true);
+    this.lastError.sticky = true;
+  },
+  
+  _setError(reason, quota) {
+    this.lastError = { time: Date.now(), reason, quota };
+    State.modules?.UI?.showSaveWarning?.(this.lastError);
+  },
+  
+  _clearError() {
+    if (!this.lastError || this.lastError.sticky) return;
+    this.lastError = null;
+    State.modules?.UI?.hideSaveWarning?.();
+  },
+  
+  // Async write failures (IndexedDB transactions). A full database gets
+  // the same treatment as a sync quota error: compact, retry the write
+  // once, and if that fails too move the saves to localStorage.
+  _onWriteError(error, mode, key, value) {
+    console.error(' Storage write failed:', error);
+    if (isQuotaError(error) && mode === 'set' && key) {
+      if (!this._quotaRetries.has(key)) {
+        console.warn('[SAVE] Storage quota reached, compacting...');
+        this._quotaRetries.add(key);
+        const removed = this.compact();
+        if (removed > 0) this._compactNotice(removed);
+        // The active save is re-serialized so the trimmed meta is what gets written
+        const retry = key === saveKeyFor(this.getActiveSlotId())
+          ? JSON.stringify({ version: SAVE_VERSION, timestamp: Date.now(), meta: cloneState(State.meta) })
+          : value;
+        this.storage.setItem(key, retry);
+        return;
+      }
+      if (this.storage.name === 'indexedDB') {
+        this._fallbackToLocalStorage();
+        return;
+      }
+    }
+    this._setError(isQuotaError(error)
+      ? 'Storage is full - the last save was not written. Export your save from the Pilot screen.'
+      : 'Saving failed (' + (error?.message || error?.name || 'storage error') + ')', isQuotaError(error));
+  },
+  
+  // IndexedDB stayed full after compacting: copy every key (its cache still
+  // holds the unwritten data) to localStorage and keep saving there
+  async _fallbackToLocalStorage() {
+    const from = this.storage;
+    const to = createLocalStorageAdapter();
+    try {
+      await to.init();
+    } catch (error) {
+      this._setError('Storage is full - the last save was not written. Export your save from the Pilot screen.', true);
+      return false;
+    }
+    // Registry + active save first, so they win if localStorage fills up too
+    const first = [SLOTS_KEY, saveKeyFor(this.getActiveSlotId())];
+    const keys = [...first, ...from.keys().filter(k => k && k.startsWith(KEY_PREFIX) && !first.includes(k))];
+    let failed = 0;
+    for (const key of keys) {
+      const value = from.getItem(key);
+      if (value === null) continue;
+      try {
+        to.setItem(key, value);
+      } catch (error) {
+        failed++;
+      }
+    }
+    this.storage = to;
+    this._attachStorage();
+    this._registry = null;
+    console.warn('[SAVE] IndexedDB is full - switched to localStorage (' + failed + ' key(s) not copied)');
+    if (to.getItem(saveKeyFor(this.getActiveSlotId())) === null) {
+      this._setError('Storage is full - progress could not be saved. Export your save from the Pilot screen or delete unused pilots.', true);
+      return false;
+    }
+    this._setError('Browser database is full - saves moved to local storage' +
+      (failed > 0 ? ' (' + failed + ' older backup(s) dropped)' : ''), false);
+    return true;
+  },
+  
+  // ========== SAVE / LOAD ==========
+  
+  // Save meta state to the active slot
   save() {
     try {
-      const saveData = {
-        version: 2,
-        timestamp: Date.now(),
-        meta: cloneState(State.meta)
-      };
+      const slotId = this.getActiveSlotId();
+      const saveKey = saveKeyFor(slotId);
       
-      // Create backup of previous save
-      const previous = localStorage.getItem(SAVE_KEY);
+      // Create backup of previous save (skipped, not fatal, when storage is full)
+      const previous = this.storage.getItem(saveKey);
       if (previous) {
-        localStorage.setItem(BACKUP_KEY, previous);
+        try {
+          this.storage.setItem(backupKeyFor(slotId), previous);
+        } catch (error) {
+          if (!isQuotaError(error)) throw error;
+          this.storage.removeItem(backupKeyFor(slotId));
+        }
       }
       
-      localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
-      console.log('[SAVE] Game saved');
+      const timestamp = Date.now();
+      const removed = this._write(saveKey, () => JSON.stringify({
+        version: SAVE_VERSION,
+        timestamp,
+        meta: cloneState(State.meta)
+      }));
+      this._touchSlot(slotId, State.meta, timestamp);
+      if (removed === 0) this._clearError();
+      console.log('[SAVE] Game saved (' + slotId + ')');
       return true;
     } catch (error) {
       console.error(' Save failed:', error);
+      this._setError(isQuotaError(error)
+        ? 'Storage is full - progress could not be saved. Export your save from the Pilot screen or delete unused pilots.'
+        : 'Saving failed (' + (error?.message || 'unknown error') + ')', isQuotaError(error));
       return false;
     }
   },
   
-  // Load meta state from LocalStorage
+  // Load meta state from the active slot
   load() {
     try {
-      const data = localStorage.getItem(SAVE_KEY);
+      const data = this.storage.getItem(saveKeyFor(this.getActiveSlotId()));
       if (!data) {
         console.log(' No save file found, using defaults');
         return false;
       }
       
       const parsed = JSON.parse(data);
+      const report = this._applySave(parsed, 'save');
       
-      // Version migration if needed
-      if (parsed.version !== 2) {
-        console.log(' Migrating save from version', parsed.version);
-        this.migrate(parsed);
-      }
-      
-      // Merge loaded data with default state (preserves new properties)
-      this.mergeState(parsed.meta);
+      // Persist repairs right away; the unrepaired save becomes the backup
+      if (reportHasChanges(report)) this.save();
       
       console.log('[FOLDER] Save loaded from', new Date(parsed.timestamp).toLocaleString());
       return true;
@@ -69,14 +313,15 @@ export const Save = {
     }
   },
   
-  // Load backup if main save is corrupted
+  // Load the active slot's backup if its main save is corrupted
   loadBackup() {
     try {
-      const data = localStorage.getItem(BACKUP_KEY);
+      const data = this.storage.getItem(backupKeyFor(this.getActiveSlotId()));
       if (!data) return false;
       
       const parsed = JSON.parse(data);
-      this.mergeState(parsed.meta);
+      resetMeta();
+      this._applySave(parsed, 'backup');
       console.log('[FOLDER] Loaded from backup');
       return true;
     } catch (error) {
@@ -85,6 +330,34 @@ export const Save = {
     }
   },
   
+  // Migrate -> merge -> repair. Throws on saves without a meta object.
+  _applySave(parsed, source) {
+    if (!parsed || !parsed.meta || typeof parsed.meta !== 'object' || Array.isArray(parsed.meta)) {
+      throw new Error('Invalid save format');
+    }
+    
+    const report = createReport(source);
+    runMigrations(parsed, report);
+    
+    // Merge loaded data with default state (preserves new properties)
+    this.mergeState(parsed.meta);
+    
+    // Fix what the merge let through (missing bases, dangling equipment, NaN, ...)
+    repairMeta(State.meta, report);
+    
+    this.lastReport = report;
+    if (reportHasChanges(report)) {
+      console.log('[SAVE] Migrated v' + report.fromVersion + ' -> v' + report.toVersion +
+        ', ' + report.repairs.length + ' repair(s)', report);
+    }
+    return report;
+  },
+  
+  // Hub dismissed the load report
+  dismissReport() {
+    this.lastReport = null;
+  },
+  
   // Merge loaded state with defaults
   mergeState(loaded) {
     // Deep merge: preserves default values for new properties
@@ -102,51 +375,301 @@ export const Save = {
     merge(State.meta, loaded);
   },
   
-  // Handle version migration
+  // Handle version migration (step chain lives in SaveMigrations.js)
   migrate(oldSave) {
-    // v1 -> v2 migration example:
-    if (oldSave.version === 1) {
-      // Add new properties that didn't exist in v1
-      if (!oldSave.meta.settings) {
-        oldSave.meta.settings = State.meta.settings;
-      }
-      oldSave.version = 2;
-    }
+    const report = createReport('migrate');
+    runMigrations(oldSave, report);
+    return report;
   },
   
-  // Delete save (for testing or reset)
+  // Delete the active slot's save (for testing or reset)
   delete() {
-    localStorage.removeItem(SAVE_KEY);
-    localStorage.removeItem(BACKUP_KEY);
-    console.log(' Save deleted');
+    const slotId = this.getActiveSlotId();
+    this.storage.removeItem(saveKeyFor(slotId));
+    this.storage.removeItem(backupKeyFor(slotId));
+    this.storage.removeItem(rollbackKeyFor(slotId));
+    console.log(' Save deleted (' + slotId + ')');
   },
   
-  // Export save as JSON string (for backup)
+  // ========== EXPORT / IMPORT ==========
+  
+  // Export the active slot as a checksummed JSON envelope (SaveTransfer.js)
   export() {
-    const data = localStorage.getItem(SAVE_KEY);
-    return data || null;
+    this.save();
+    const slot = this.getActiveSlot();
+    return JSON.stringify(createEnvelope(State.meta, { pilot: slot?.name || null }));
   },
   
-  // Import save from JSON string
-  import(jsonString) {
+  // Same envelope as a compact base64 share code
+  async exportShareCode() {
+    return encodeShareCode(this.export());
+  },
+  
+  // Verify a file / share code and describe what importing it would overwrite.
+  // Returns { ok, reason } or { ok, save, incoming, current }
+  async previewImport(text) {
+    let jsonString = (text || '').trim();
+    if (!jsonString) return { ok: false, reason: 'Nothing to import' };
+    
+    if (isShareCode(jsonString)) {
+      try {
+        jsonString = await decodeShareCode(jsonString);
+      } catch (error) {
+        return { ok: false, reason: 'Share code is damaged or incomplete' };
+      }
+    }
+    
+    const result = verifyEnvelope(jsonString);
+    if (!result.ok) return result;
+    
+    return {
+      ok: true,
+      save: result.save,
+      incoming: { ...previewOf(result.save.meta), pilot: result.save.pilot || null, timestamp: result.save.timestamp || 0, version: result.save.version },
+      current: { ...previewOf(State.meta), pilot: this.getActiveSlot()?.name || null }
+    };
+  },
+  
+  // Overwrite the active slot with a verified envelope; the old save becomes the rollback
+  applyImport(save) {
+    const slotId = this.getActiveSlotId();
+    let hasRollback = false;
     try {
-      const parsed = JSON.parse(jsonString);
-      if (!parsed.meta) {
-        throw new Error('Invalid save format');
+      this.save();
+      const current = this.storage.getItem(saveKeyFor(slotId));
+      if (current) {
+        this._write(rollbackKeyFor(slotId), JSON.stringify({ time: Date.now(), data: current }));
+        hasRollback = true;
       }
-      localStorage.setItem(SAVE_KEY, jsonString);
+      
+      this._write(saveKeyFor(slotId), JSON.stringify({
+        version: save.version,
+        timestamp: Date.now(),
+        meta: save.meta
+      }));
+      // Apply what was written directly: load() would quietly fall back to
+      // the backup if the imported meta is rejected (throws -> rollback below)
+      resetMeta();
+      this._applySave(JSON.parse(this.storage.getItem(saveKeyFor(slotId))), 'save');
+      this.save(); // refresh slot summary + write migrated version
+      console.log('[SAVE] Imported save into slot ' + slotId);
+      return { ok: true };
+    } catch (error) {
+      console.error(' Import failed:', error);
+      if (hasRollback) this.rollbackImport();
+      return { ok: false, reason: 'Import failed: ' + error.message };
+    }
+  },
+  
+  // Import from a JSON string (verified envelope only)
+  import(jsonString) {
+    const result = verifyEnvelope(jsonString);
+    if (!result.ok) {
+      console.error(' Import failed:', result.reason);
+      return false;
+    }
+    return this.applyImport(result.save).ok;
+  },
+  
+  // Rollback copy left by the last import on the active slot ({ time } or null)
+  getRollback() {
+    try {
+      const raw = this.storage.getItem(rollbackKeyFor(this.getActiveSlotId()));
+      if (!raw) return null;
+      const parsed = JSON.parse(raw);
+      return parsed?.data ? { time: parsed.time || 0 } : null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  // Restore the save that the last import replaced
+  rollbackImport() {
+    const slotId = this.getActiveSlotId();
+    try {
+      const raw = this.storage.getItem(rollbackKeyFor(slotId));
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (!parsed?.data) return false;
+      
+      this._write(saveKeyFor(slotId), parsed.data);
+      this.storage.removeItem(rollbackKeyFor(slotId));
+      resetMeta();
       this.load();
+      this._touchSlot(slotId, State.meta, Date.now());
+      console.log('[SAVE] Rolled back import on slot ' + slotId);
       return true;
     } catch (error) {
-      console.error(' Import failed:', error);
+      console.error(' Rollback failed:', error);
       return false;
     }
+  },
+
+  // ========== SAVE SLOTS ==========
+
+  // Read (or create) the slot registry. A pre-slot save becomes the default slot.
+  _getRegistry() {
+    if (this._registry) return this._registry;
+
+    let registry = null;
+    try {
+      registry = JSON.parse(this.storage.getItem(SLOTS_KEY));
+    } catch (error) {
+      console.error(' Slot registry corrupted, rebuilding:', error);
+    }
+
+    if (!registry || !Array.isArray(registry.slots) || registry.slots.length === 0) {
+      registry = {
+        active: DEFAULT_SLOT,
+        slots: [{ id: DEFAULT_SLOT, name: 'Pilot 1', created: Date.now(), updated: 0, summary: summarize(null) }]
+      };
+      // Adopt an existing single-slot save
+      try {
+        const legacy = JSON.parse(this.storage.getItem(SAVE_KEY));
+        if (legacy?.meta) {
+          registry.slots[0].updated = legacy.timestamp || 0;
+          registry.slots[0].summary = summarize(legacy.meta);
+        }
+      } catch (error) { /* unreadable legacy save - load() falls back to backup */ }
+    }
+
+    if (!registry.slots.some(s => s.id === registry.active)) {
+      registry.active = registry.slots[0].id;
+    }
+
+    this._registry = registry;
+    this._writeRegistry();
+    return registry;
+  },
+
+  _writeRegistry() {
+    try {
+      this._write(SLOTS_KEY, JSON.stringify(this._registry));
+    } catch (error) {
+      console.error(' Slot registry save failed:', error);
+    }
+  },
+
+  // Refresh a slot's cached summary after saving
+  _touchSlot(slotId, meta, timestamp) {
+    const slot = this._getRegistry().slots.find(s => s.id === slotId);
+    if (!slot) return;
+    slot.updated = timestamp;
+    slot.summary = summarize(meta);
+    this._writeRegistry();
+  },
+
+  _generateSlotId() {
+    return 'slot_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 4);
+  },
+
+  // List slots for the profile picker
+  listSlots() {
+    const registry = this._getRegistry();
+    return registry.slots.map(s => ({ ...s, active: s.id === registry.active }));
+  },
+
+  getActiveSlotId() {
+    return this._getRegistry().active;
+  },
+
+  getActiveSlot() {
+    const registry = this._getRegistry();
+    return registry.slots.find(s => s.id === registry.active) || null;
+  },
+
+  // Create an empty slot (does not switch to it)
+  createSlot(name) {
+    const registry = this._getRegistry();
+    const slot = {
+      id: this._generateSlotId(),
+      name: (name || '').trim() || 'Pilot ' + (registry.slots.length + 1),
+      created: Date.now(),
+      updated: 0,
+      summary: summarize(null)
+    };
+    registry.slots.push(slot);
+    this._writeRegistry();
+    return slot;
+  },
+
+  renameSlot(slotId, name) {
+    const slot = this._getRegistry().slots.find(s => s.id === slotId);
+    const trimmed = (name || '').trim();
+    if (!slot || !trimmed) return false;
+    slot.name = trimmed;
+    this._writeRegistry();
+    return true;
+  },
+
+  // Copy a slot's save + backup into a new slot
+  duplicateSlot(slotId, name = null) {
+    const registry = this._getRegistry();
+    const source = registry.slots.find(s => s.id === slotId);
+    if (!source) return null;
+
+    // Persist the live state first so the copy is current
+    if (slotId === registry.active) this.save();
+
+    const copy = this.createSlot(name || source.name + ' (copy)');
+    try {
+      const data = this.storage.getItem(saveKeyFor(slotId));
+      const backup = this.storage.getItem(backupKeyFor(slotId));
+      if (data) this._write(saveKeyFor(copy.id), data);
+      if (backup) this._write(backupKeyFor(copy.id), backup);
+    } catch (error) {
+      console.error(' Slot duplicate failed:', error);
+      this.deleteSlot(copy.id);
+      return null;
+    }
+    copy.updated = source.updated;
+    copy.summary = { ...source.summary, bestZones: { ...source.summary?.bestZones } };
+    this._writeRegistry();
+    return copy;
+  },
+
+  // Delete a slot. Deleting the active slot activates another one.
+  deleteSlot(slotId) {
+    const registry = this._getRegistry();
+    const index = registry.slots.findIndex(s => s.id === slotId);
+    if (index === -1) return false;
+    if (registry.slots.length <= 1) {
+      console.warn('[SAVE] Cannot delete the last save slot');
+      return false;
+    }
+
+    this.storage.removeItem(saveKeyFor(slotId));
+    this.storage.removeItem(backupKeyFor(slotId));
+    this.storage.removeItem(rollbackKeyFor(slotId));
+    registry.slots.splice(index, 1);
+
+    if (registry.active === slotId) {
+      this._activate(registry.slots[0].id);
+    } else {
+      this._writeRegistry();
+    }
+    console.log(' Save slot deleted (' + slotId + ')');
+    return true;
+  },
+
+  // Save the current slot, then load another one into State.meta
+  switchSlot(slotId) {
+    const registry = this._getRegistry();
+    if (!registry.slots.some(s => s.id === slotId)) return false;
+    if (slotId === registry.active) return true;
+
+    this.save();
+    this._activate(slotId);
+    return true;
+  },
+
+  // Point the registry at a slot and load it over fresh defaults
+  _activate(slotId) {
+    this._registry.active = slotId;
+    this._writeRegistry();
+    resetMeta();
+    this.load();
+    console.log('[SAVE] Active slot: ' + slotId);
   }
 };
 
-// Auto-save on important events
-export function autoSave() {
-  Save.save();
-}
-
 export default Save;
@@ -0,0 +1,209 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// SaveMigrations.js - Versioned Save Migrations + Repair
+// ============================================================
+// Step-by-step schema migrations (v1 -> v2 -> v3 ...) run on the
+// raw save object before it is merged into State.meta.
+// repairMeta() then validates the merged meta against the loaded
+// game data and fixes what it can. Every change lands in a report
+// the hub can show to the player.
+
+import { State } from './State.js';
+import { getItemData } from './DataLoader.js';
+
+export const SAVE_VERSION = 3;
+
+// Typical UTF-8-read-as-CP1252 sequences (emoji turned into "\u00F0\u0178..." garbage)
+const MOJIBAKE_RE = /[\u00C2\u00C3\u00E2\u00F0][\u0080-\u00BF\u0152\u0153\u0160\u0161\u0178\u017D\u017E\u0192\u02C6\u02DC\u2013-\u203A\u20AC\u2122]/;
+
+// Currency / counter fields that must be finite, non-negative numbers
+const NUMERIC_FIELDS = {
+  scrap: 0, xp: 0, level: 1, skillPoints: 0, statPoints: 0,
+  cells: 0, voidShards: 0, cosmicDust: 0,
+  totalRuns: 0, totalKills: 0, totalPlaytime: 0, highestWave: 0
+};
+
+// Each step upgrades a raw save object by exactly one version
+const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Add settings block',
+    migrate(save) {
+      // Add new properties that didn't exist in v1
+      if (!save.meta.settings) {
+        save.meta.settings = State.meta.settings;
+      }
+    }
+  },
+  {
+    from: 2,
+    to: 3,
+    description: 'Per-difficulty zone progress',
+    migrate(save) {
+      const meta = save.meta;
+      if (!meta.highestZones || typeof meta.highestZones !== 'object') {
+        meta.highestZones = { normal: 0, risk: 0, chaos: 0 };
+      }
+      // Legacy single-lane progress counts as Normal
+      if (meta.highestZone && !meta.highestZones.normal) {
+        meta.highestZones.normal = meta.highestZone;
+      }
+    }
+  }
+];
+
+export function createReport(source = 'save') {
+  return {
+    source,
+    fromVersion: null,
+    toVersion: SAVE_VERSION,
+    migrations: [],   // ['v2 -> v3: Per-difficulty zone progress']
+    repairs: [],      // [{ type, message }]
+    time: Date.now()
+  };
+}
+
+// True if the report describes anything worth showing
+export function reportHasChanges(report) {
+  return !!report && (report.migrations.length > 0 || report.repairs.length > 0);
+}
+
+// Run every migration step between the save's version and SAVE_VERSION
+export function runMigrations(save, report) {
+  let version = typeof save.version === 'number' ? save.version : 1;
+  report.fromVersion = version;
+
+  if (version > SAVE_VERSION) {
+    console.warn('[SAVE] Save version ' + version + ' is newer than this build (' + SAVE_VERSION + ')');
+    return save;
+  }
+
+  while (version < SAVE_VERSION) {
+    const step = MIGRATIONS.find(m => m.from === version);
+    if (!step) {
+      console.warn('[SAVE] No migration from v' + version + ', jumping to v' + SAVE_VERSION);
+      break;
+    }
+    step.migrate(save);
+    report.migrations.push('v' + step.from + ' -> v' + step.to + ': ' + step.description);
+    version = step.to;
+  }
+
+  save.version = SAVE_VERSION;
+  return save;
+}
+
+// Find the data definition behind a stash item (regular base or unique)
+function findBaseData(item) {
+  if (item.uniqueId || item.isUnique) {
+    const uniques = State.data.uniques || {};
+    const id = item.uniqueId || item.baseId;
+    for (const [category, entries] of Object.entries(uniques)) {
+      if (category.startsWith('_') || category === 'sets') continue;
+      if (entries && typeof entries === 'object' && entries[id]) return entries[id];
+    }
+    // Set pieces live under sets.<setId>.pieces
+    for (const set of Object.values(uniques.sets || {})) {
+      if (set?.pieces?.[id]) return set.pieces[id];
+    }
+    return null;
+  }
+  return getItemData(item.baseId);
+}
+
+function isMojibake(str) {
+  return typeof str === 'string' && MOJIBAKE_RE.test(str);
+}
+
+// Validate merged meta against loaded data; fixes in place
+export function repairMeta(meta, report) {
+  const repair = (type, message) => report.repairs.push({ type, message });
+
+  // ── Currencies + counters ──
+  for (const [field, fallback] of Object.entries(NUMERIC_FIELDS)) {
+    if (!(field in meta)) continue;
+    const v = meta[field];
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < 0) {
+      meta[field] = fallback;
+      repair('currency', `${field} was invalid (${v}), reset to ${fallback}`);
+    }
+  }
+  if (meta.level < 1) meta.level = 1;
+
+  // ── Legacy highestZone ──
+  if (!meta.highestZones || typeof meta.highestZones !== 'object') {
+    meta.highestZones = { normal: 0, risk: 0, chaos: 0 };
+  }
+  for (const lane of ['normal', 'risk', 'chaos']) {
+    const v = meta.highestZones[lane];
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < 0) meta.highestZones[lane] = 0;
+  }
+  if (meta.highestZone && !meta.highestZones.normal) {
+    meta.highestZones.normal = meta.highestZone;
+    repair('progress', `Legacy best zone ${meta.highestZone} moved to the Normal lane`);
+  }
+
+  // ── Stash items ──
+  const dataLoaded = !!State.data.items;
+  if (!Array.isArray(meta.stash)) {
+    meta.stash = [];
+    repair('stash', 'Stash was not a list and has been reset');
+  }
+  const seenIds = new Set();
+  meta.stash = meta.stash.filter(item => {
+    if (!item || typeof item !== 'object' || !item.id) {
+      repair('stash', 'Removed an unreadable stash entry');
+      return false;
+    }
+    if (seenIds.has(item.id)) {
+      repair('stash', `Removed duplicate item ${item.name || item.id}`);
+      return false;
+    }
+    seenIds.add(item.id);
+
+    // Without game data we can't judge bases - keep everything
+    if (!dataLoaded) return true;
+
+    const base = findBaseData(item);
+    if (!base) {
+      repair('stash', `Removed ${item.name || item.id}: base "${item.baseId}" no longer exists`);
+      return false;
+    }
+
+    // Mojibake names/icons from old encodings: rebuild from data
+    if (isMojibake(item.name)) {
+      const prefix = (item.affixes || []).find(a => a.type === 'prefix');
+      const suffix = (item.affixes || []).find(a => a.type === 'suffix');
+      let name = base.name;
+      if (!item.isUnique) {
+        if (prefix) name = prefix.name + ' ' + name;
+        if (suffix) name = name + ' ' + suffix.name;
+      }
+      repair('encoding', `Repaired item name "${item.name}" -> "${name}"`);
+      item.name = name;
+    }
+    if (isMojibake(item.icon)) item.icon = base.icon;
+    if (isMojibake(item.description)) item.description = base.description;
+
+    if (!item.stats || typeof item.stats !== 'object') item.stats = {};
+    if (!Array.isArray(item.affixes)) item.affixes = [];
+    return true;
+  });
+
+  // ── Equipment must point at stash items ──
+  if (!meta.equipment || typeof meta.equipment !== 'object') meta.equipment = {};
+  const stashIds = new Set(meta.stash.map(i => i.id));
+  for (const [slot, itemId] of Object.entries(meta.equipment)) {
+    if (itemId && !stashIds.has(itemId)) {
+      meta.equipment[slot] = null;
+      repair('equipment', `Cleared ${slot}: equipped item is missing from the stash`);
+    }
+  }
+
+  return report;
+}
+
+export default { SAVE_VERSION, createReport, reportHasChanges, runMigrations, repairMeta };
@@ -0,0 +1,105 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// SaveScheduler.js - Dirty Tracking + Debounced Autosave
+// ============================================================
+// Modules call markDirty('stash' | 'progress' | ...) instead of
+// saving directly. Outside combat, dirty parts are coalesced into
+// one debounced Save.save(). In combat nothing is written until a
+// safe point: zone transition, hub, pause, death or page unload.
+// Status changes drive the autosave indicator (UI.renderAutosave).
+
+import { State } from './State.js';
+import { Save } from './Save.js';
+import { getConfig } from './DataLoader.js';
+
+export const SaveScheduler = {
+  dirty: new Set(),        // meta parts changed since the last save
+  status: 'idle',          // 'idle' | 'pending' | 'saving' | 'saved' | 'error'
+  lastSaved: 0,            // timestamp of the last successful save
+  lastReason: null,        // what triggered it ('idle', 'zone', 'hub', ...)
+  _timer: null,
+  _listeners: [],
+
+  init() {
+    // Last chance: write synchronously while the page is still alive
+    window.addEventListener('beforeunload', () => this.flush('unload', { sync: true }));
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush('hidden', { sync: true });
+    });
+  },
+
+  // Subscribe to status changes: fn(SaveScheduler)
+  onChange(fn) {
+    this._listeners.push(fn);
+  },
+
+  _notify() {
+    for (const fn of this._listeners) {
+      try { fn(this); } catch (e) { console.warn('[SAVE] Autosave listener failed:', e); }
+    }
+  },
+
+  _setStatus(status) {
+    this.status = status;
+    this._notify();
+  },
+
+  // Combat frames are off limits unless the game is paused
+  isSafe() {
+    const scene = State.scene;
+    if (scene === 'loading') return false;
+    if (scene === 'combat' && State.run.inCombat && !State.ui.paused) return false;
+    return true;
+  },
+
+  markDirty(part = 'meta') {
+    this.dirty.add(part);
+    if (this.status !== 'saving' && this.status !== 'pending') this._setStatus('pending');
+    if (this.isSafe()) this._schedule();
+  },
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      if (this.isSafe()) this.flush('idle');
+    }, getConfig('save.debounceMs', 1500));
+  },
+
+  // Called by the game at zone transitions / pause: save only if needed
+  safePoint(reason) {
+    if (this.dirty.size > 0) this.flush(reason);
+  },
+
+  // Write now. force: save even if nothing is marked dirty.
+  // Async by default so the indicator can paint "saving" first.
+  flush(reason = 'manual', { sync = false, force = false } = {}) {
+    if (!force && this.dirty.size === 0) return false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.lastReason = reason;
+    this._setStatus('saving');
+
+    const run = () => {
+      const parts = [...this.dirty];
+      this.dirty.clear();
+      const ok = Save.save();
+      if (ok) {
+        this.lastSaved = Date.now();
+        this._setStatus(this.dirty.size > 0 ? 'pending' : 'saved');
+      } else {
+        for (const part of parts) this.dirty.add(part);
+        this._setStatus('error');
+      }
+      return ok;
+    };
+
+    if (sync) return run();
+    setTimeout(run, 0);
+    return true;
+  }
+};
+
+export default SaveScheduler;
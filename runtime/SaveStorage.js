@@ -0,0 +1,154 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// SaveStorage.js - Storage Adapters for Save
+// ============================================================
+// Save.js talks to a small key/value adapter instead of
+// localStorage directly. Every adapter has the same sync surface
+// (getItem / setItem / removeItem / keys) so Save stays synchronous:
+//   localStorage - browser default, ~5 MB quota
+//   indexedDB    - write-through cache, loaded once in init()
+//   memory       - no persistence (tests, private mode fallback)
+// setItem throws on quota errors; asynchronous write failures
+// (IndexedDB) are reported through adapter.onError(error, mode, key, value)
+// and finished writes through adapter.onWritten(mode, key).
+
+export const KEY_PREFIX = 'bonzookaa_';
+const IDB_NAME = 'bonzookaa';
+const IDB_STORE = 'kv';
+
+// True if an error means "storage is full"
+export function isQuotaError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 || error.code === 1014;
+}
+
+// ── localStorage ──
+export function createLocalStorageAdapter() {
+  return {
+    name: 'localStorage',
+    onError: null,
+    async init() {
+      // Probe: throws in some private modes / when storage is disabled
+      localStorage.setItem(KEY_PREFIX + 'probe', '1');
+      localStorage.removeItem(KEY_PREFIX + 'probe');
+    },
+    getItem(key) { return localStorage.getItem(key); },
+    setItem(key, value) { localStorage.setItem(key, value); },
+    removeItem(key) { localStorage.removeItem(key); },
+    keys() {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+      return keys;
+    }
+  };
+}
+
+// ── In-memory ──
+export function createMemoryAdapter(initial = {}) {
+  const store = new Map(Object.entries(initial));
+  return {
+    name: 'memory',
+    onError: null,
+    async init() {},
+    getItem(key) { return store.has(key) ? store.get(key) : null; },
+    setItem(key, value) { store.set(key, String(value)); },
+    removeItem(key) { store.delete(key); },
+    keys() { return [...store.keys()]; }
+  };
+}
+
+// ── IndexedDB (sync cache in front of async writes) ──
+export function createIndexedDBAdapter() {
+  const cache = new Map();
+  let db = null;
+
+  const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // key / value are handed to onError so the caller can retry the write
+  const write = (mode, key, value, fn) => {
+    if (!db) return;
+    try {
+      const tx = db.transaction(IDB_STORE, 'readwrite');
+      fn(tx.objectStore(IDB_STORE));
+      let failed = false;
+      const fail = () => {
+        if (failed) return; // onerror is followed by onabort
+        failed = true;
+        adapter.onError?.(tx.error, mode, key, value);
+      };
+      tx.onerror = fail;
+      tx.onabort = fail;
+      tx.oncomplete = () => adapter.onWritten?.(mode, key);
+    } catch (error) {
+      adapter.onError?.(error, mode, key, value);
+    }
+  };
+
+  const adapter = {
+    name: 'indexedDB',
+    onError: null,
+    onWritten: null,
+    async init() {
+      const open = indexedDB.open(IDB_NAME, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(IDB_STORE);
+      db = await request(open);
+
+      const tx = db.transaction(IDB_STORE, 'readonly');
+      const store = tx.objectStore(IDB_STORE);
+      const [keys, values] = await Promise.all([request(store.getAllKeys()), request(store.getAll())]);
+      keys.forEach((key, i) => cache.set(key, values[i]));
+
+      // First run on IndexedDB: bring existing localStorage saves over
+      if (cache.size === 0 && typeof localStorage !== 'undefined') {
+        for (let i = 0; i < localStorage.length; i++) {
+          const key = localStorage.key(i);
+          if (key && key.startsWith(KEY_PREFIX)) this.setItem(key, localStorage.getItem(key));
+        }
+        if (cache.size > 0) console.log('[SAVE] Copied ' + cache.size + ' localStorage key(s) to IndexedDB');
+      }
+    },
+    getItem(key) { return cache.has(key) ? cache.get(key) : null; },
+    setItem(key, value) {
+      cache.set(key, String(value));
+      write('set', key, String(value), store => store.put(String(value), key));
+    },
+    removeItem(key) {
+      cache.delete(key);
+      write('remove', key, null, store => store.delete(key));
+    },
+    keys() { return [...cache.keys()]; }
+  };
+  return adapter;
+}
+
+// Adapter for a config value: 'auto' | 'localStorage' | 'indexedDB' | 'memory'
+export function createStorage(type = 'auto') {
+  if (type === 'memory') return createMemoryAdapter();
+  if (type === 'localStorage') return createLocalStorageAdapter();
+  if (type === 'indexedDB' || (type === 'auto' && typeof indexedDB !== 'undefined')) {
+    return createIndexedDBAdapter();
+  }
+  return createLocalStorageAdapter();
+}
+
+// Bytes used by our keys (UTF-16: 2 bytes per char)
+export function estimateUsage(adapter) {
+  let bytes = 0;
+  for (const key of adapter.keys()) {
+    if (!key || !key.startsWith(KEY_PREFIX)) continue;
+    bytes += (key.length + (adapter.getItem(key) || '').length) * 2;
+  }
+  return bytes;
+}
+
+export default {
+  isQuotaError, createStorage, estimateUsage,
+  createLocalStorageAdapter, createMemoryAdapter, createIndexedDBAdapter
+};
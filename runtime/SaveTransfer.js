@@ -0,0 +1,125 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// SaveTransfer.js - Export Envelope, Checksum + Share Codes
+// ============================================================
+// Exported saves are wrapped in an envelope carrying the format
+// tag, schema version and a checksum of the meta JSON. Share codes
+// are the same envelope, deflated (where the browser supports
+// CompressionStream) and base64-encoded behind a short prefix:
+//   BZK1.z<base64>  deflate-raw compressed
+//   BZK1.j<base64>  plain JSON (no CompressionStream available)
+
+import { SAVE_VERSION } from './SaveMigrations.js';
+
+export const EXPORT_FORMAT = 'bonzookaa-save';
+const SHARE_PREFIX = 'BZK1.';
+
+// FNV-1a 32-bit over UTF-16 code units, as 8 hex chars
+export function checksum(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Wrap a meta object for export
+export function createEnvelope(meta, extra = {}) {
+  const metaJson = JSON.stringify(meta);
+  return {
+    format: EXPORT_FORMAT,
+    version: SAVE_VERSION,
+    timestamp: Date.now(),
+    ...extra,
+    checksum: checksum(metaJson),
+    meta: JSON.parse(metaJson)
+  };
+}
+
+// Parse + validate an exported save. Returns { ok, reason } or { ok, save }
+export function verifyEnvelope(jsonString) {
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonString);
+  } catch (error) {
+    return { ok: false, reason: 'Not a save file (invalid JSON)' };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || parsed.format !== EXPORT_FORMAT) {
+    return { ok: false, reason: 'Not a BONZOOKAA save export' };
+  }
+  if (typeof parsed.version !== 'number' || !Number.isInteger(parsed.version) || parsed.version < 1) {
+    return { ok: false, reason: 'Save has no valid schema version' };
+  }
+  if (parsed.version > SAVE_VERSION) {
+    return { ok: false, reason: `Save is from a newer build (v${parsed.version}, this build reads up to v${SAVE_VERSION})` };
+  }
+  if (!parsed.meta || typeof parsed.meta !== 'object' || Array.isArray(parsed.meta)) {
+    return { ok: false, reason: 'Save has no pilot data' };
+  }
+  if (typeof parsed.checksum !== 'string') {
+    return { ok: false, reason: 'Save has no checksum' };
+  }
+  if (checksum(JSON.stringify(parsed.meta)) !== parsed.checksum) {
+    return { ok: false, reason: 'Checksum mismatch - the save was modified or damaged' };
+  }
+
+  return { ok: true, save: parsed };
+}
+
+// ── base64 <-> bytes (chunked to stay under argument limits) ──
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+// Envelope JSON -> share code
+export async function encodeShareCode(jsonString) {
+  const bytes = new TextEncoder().encode(jsonString);
+  if (typeof CompressionStream === 'function') {
+    const packed = await pipeBytes(bytes, new CompressionStream('deflate-raw'));
+    return SHARE_PREFIX + 'z' + bytesToBase64(packed);
+  }
+  return SHARE_PREFIX + 'j' + bytesToBase64(bytes);
+}
+
+export function isShareCode(text) {
+  return typeof text === 'string' && text.trim().startsWith(SHARE_PREFIX);
+}
+
+// Share code -> envelope JSON (throws on malformed codes)
+export async function decodeShareCode(code) {
+  const body = code.trim().slice(SHARE_PREFIX.length).replace(/\s+/g, '');
+  const mode = body.charAt(0);
+  const bytes = base64ToBytes(body.slice(1));
+
+  if (mode === 'z') {
+    if (typeof DecompressionStream !== 'function') {
+      throw new Error('This browser cannot decompress share codes');
+    }
+    const unpacked = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    return new TextDecoder().decode(unpacked);
+  }
+  if (mode === 'j') return new TextDecoder().decode(bytes);
+  throw new Error('Unknown share code format');
+}
+
+export default { EXPORT_FORMAT, checksum, createEnvelope, verifyEnvelope, encodeShareCode, decodeShareCode, isShareCode };
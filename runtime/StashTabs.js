@@ -0,0 +1,230 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// StashTabs.js - Stash Tabs, Capacity, Sorting + Search
+// ============================================================
+// State.meta.stash stays one flat list; every item carries a
+// `tab` id. Tabs live in State.meta.stashTabs:
+//   { tabs: [{ id, name, slots }], active, sort, lastVisit, prevVisit }
+// The first tab holds config stash.baseSlots; each bought tab adds
+// stash.tabSlots (cost: stash.tabCosts[n]) up to stash.maxSlots total.
+// Equipped items stay in their tab and count toward its capacity.
+// Items found after the previous hub visit are flagged as new.
+
+import { State } from './State.js';
+import { getConfig } from './DataLoader.js';
+
+export const SORT_MODES = ['none', 'rarity', 'slot', 'ilvl', 'power'];
+
+const RARITY_ORDER = { common: 0, uncommon: 1, rare: 2, epic: 3, legendary: 4, mythic: 5 };
+const SLOT_ORDER = ['weapon', 'secondary', 'shield', 'engine', 'reactor', 'module1', 'module2', 'module3', 'drone'];
+const MAIN_TAB = 'tab_main';
+
+function ensureTabs() {
+  const meta = State.meta;
+  if (!meta.stashTabs || !Array.isArray(meta.stashTabs.tabs) || meta.stashTabs.tabs.length === 0) {
+    meta.stashTabs = {
+      tabs: [{ id: MAIN_TAB, name: 'Main', slots: getConfig('stash.baseSlots', 56) }],
+      active: MAIN_TAB,
+      sort: 'none',
+      lastVisit: 0,
+      prevVisit: 0
+    };
+  }
+  const data = meta.stashTabs;
+  if (!data.tabs.some(t => t.id === data.active)) data.active = data.tabs[0].id;
+
+  // Items from before tabs (or from a removed tab) land in the first tab
+  const tabIds = new Set(data.tabs.map(t => t.id));
+  for (const item of meta.stash || []) {
+    if (!tabIds.has(item.tab)) item.tab = data.tabs[0].id;
+  }
+  return data;
+}
+
+function markDirty() {
+  State.modules?.SaveScheduler?.markDirty('stash');
+}
+
+export const StashTabs = {
+
+  getTabs() {
+    return ensureTabs().tabs;
+  },
+
+  getTab(tabId) {
+    return this.getTabs().find(t => t.id === tabId) || null;
+  },
+
+  getActiveId() {
+    return ensureTabs().active;
+  },
+
+  setActive(tabId) {
+    const data = ensureTabs();
+    if (!data.tabs.some(t => t.id === tabId)) return { ok: false, reason: 'Unknown tab' };
+    data.active = tabId;
+    return { ok: true };
+  },
+
+  // ── Capacity ──
+  getItems(tabId) {
+    ensureTabs();
+    return State.meta.stash.filter(i => i.tab === tabId);
+  },
+
+  count(tabId) {
+    return this.getItems(tabId).length;
+  },
+
+  capacity(tabId) {
+    return this.getTab(tabId)?.slots || 0;
+  },
+
+  totalCapacity() {
+    const total = this.getTabs().reduce((sum, t) => sum + t.slots, 0);
+    return Math.min(total, getConfig('stash.maxSlots', 200));
+  },
+
+  hasRoom(tabId) {
+    return this.count(tabId) < this.capacity(tabId);
+  },
+
+  // Tab a new item goes to: the active tab, else the first one with room
+  findTabWithRoom() {
+    const data = ensureTabs();
+    if (this.hasRoom(data.active)) return data.active;
+    return data.tabs.find(t => this.hasRoom(t.id))?.id || null;
+  },
+
+  // Claim a slot for an incoming item (Items.addToStash)
+  assign(item) {
+    const tabId = this.findTabWithRoom();
+    if (!tabId) return { ok: false, reason: 'Stash is full' };
+    item.tab = tabId;
+    item.foundAt = Date.now();
+    return { ok: true, tab: tabId };
+  },
+
+  moveItem(itemId, tabId) {
+    const item = State.meta.stash.find(i => i.id === itemId);
+    if (!item) return { ok: false, reason: 'Item not found' };
+    if (!this.getTab(tabId)) return { ok: false, reason: 'Unknown tab' };
+    if (item.tab === tabId) return { ok: true };
+    if (!this.hasRoom(tabId)) return { ok: false, reason: 'Tab is full' };
+    item.tab = tabId;
+    markDirty();
+    return { ok: true };
+  },
+
+  // ── Buying + renaming tabs ──
+  // Cost of the next tab, or null if no more tabs can be bought
+  nextTabCost() {
+    const tabs = this.getTabs();
+    const costs = getConfig('stash.tabCosts', []);
+    const cost = costs[tabs.length - 1];
+    if (cost === undefined) return null;
+    const total = tabs.reduce((sum, t) => sum + t.slots, 0);
+    if (total >= getConfig('stash.maxSlots', 200)) return null;
+    return cost;
+  },
+
+  buyTab() {
+    const cost = this.nextTabCost();
+    if (cost === null) return { ok: false, reason: 'No more tabs available' };
+    if ((State.meta.scrap || 0) < cost) return { ok: false, reason: `Need ${cost} scrap` };
+
+    const data = ensureTabs();
+    const used = data.tabs.reduce((sum, t) => sum + t.slots, 0);
+    const slots = Math.min(getConfig('stash.tabSlots', 36), getConfig('stash.maxSlots', 200) - used);
+    const tab = { id: 'tab_' + Date.now().toString(36) + '_' + data.tabs.length, name: 'Tab ' + (data.tabs.length + 1), slots };
+
+    State.meta.scrap -= cost;
+    data.tabs.push(tab);
+    data.active = tab.id;
+    markDirty();
+    console.log(`[STASH] Bought ${tab.name} (${slots} slots) for ${cost} scrap`);
+    return { ok: true, tab };
+  },
+
+  renameTab(tabId, name) {
+    const tab = this.getTab(tabId);
+    const clean = String(name || '').trim().slice(0, 16);
+    if (!tab) return { ok: false, reason: 'Unknown tab' };
+    if (!clean) return { ok: false, reason: 'Name is empty' };
+    tab.name = clean;
+    markDirty();
+    return { ok: true };
+  },
+
+  // ── Sorting + search ──
+  getSort() {
+    return ensureTabs().sort || 'none';
+  },
+
+  setSort(mode) {
+    if (!SORT_MODES.includes(mode)) return;
+    ensureTabs().sort = mode;
+    markDirty();
+  },
+
+  // Sorted copy; 'none' keeps pickup order
+  sortItems(items, mode = this.getSort()) {
+    const sorted = [...items];
+    const byRarity = (a, b) => (RARITY_ORDER[b.rarity] || 0) - (RARITY_ORDER[a.rarity] || 0);
+    const slotIndex = item => {
+      const i = SLOT_ORDER.indexOf(item.slot);
+      return i < 0 ? SLOT_ORDER.length : i;
+    };
+    switch (mode) {
+      case 'rarity':
+        sorted.sort((a, b) => byRarity(a, b) || (b.ilvl || 0) - (a.ilvl || 0));
+        break;
+      case 'slot':
+        sorted.sort((a, b) => slotIndex(a) - slotIndex(b) || byRarity(a, b));
+        break;
+      case 'ilvl':
+        sorted.sort((a, b) => (b.ilvl || 0) - (a.ilvl || 0) || byRarity(a, b));
+        break;
+      case 'power':
+        sorted.sort((a, b) => (b.powerBudget || 0) - (a.powerBudget || 0));
+        break;
+    }
+    // Favorites stay pinned to the front (stable sort keeps the order above)
+    if (mode !== 'none') sorted.sort((a, b) => (b.favorite ? 1 : 0) - (a.favorite ? 1 : 0));
+    return sorted;
+  },
+
+  // Case-insensitive match on the item name, affix names and affix stats.
+  // statLabel turns a stat id into its display name (UI.formatStatName).
+  matchesSearch(item, query, statLabel = stat => stat) {
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return true;
+    const haystack = [item.name, item.baseId, item.rarity];
+    for (const affix of item.affixes || []) {
+      haystack.push(affix.name, affix.stat, statLabel(affix.stat));
+    }
+    return haystack.some(text => text && String(text).toLowerCase().includes(q));
+  },
+
+  // ── New-item markers ──
+  // Hub entered: items found after the previous visit stay "new" until the next one
+  beginVisit() {
+    const data = ensureTabs();
+    data.prevVisit = data.lastVisit || 0;
+    data.lastVisit = Date.now();
+    markDirty();
+  },
+
+  isNew(item) {
+    const data = ensureTabs();
+    return !!item.foundAt && data.prevVisit > 0 && item.foundAt > data.prevVisit;
+  },
+
+  countNew(tabId) {
+    return this.getItems(tabId).filter(i => this.isNew(i)).length;
+  }
+};
+
+export default StashTabs;
@@ -5,6 +5,37 @@
 // State.js - Single Source of Truth
 // ============================================================
 
+// Default persistent meta (fresh pilot). Used on boot and when switching save slots.
+function createMeta() {
+  return {
+    scrap: 0,
+    level: 1,
+    xp: 0,
+    skillPoints: 0,
+    statPoints: 0,
+
+    // Endless depth progression (saved)
+    depth: {
+      bestDepth: 1,
+      unlocked: [],
+      lastUnlockAt: 0
+    },
+    skills: {},       // { treeId: { skillId: rank } }
+    stats: {},        // { statId: points }
+    equipment: {},    // { slotId: itemId }
+    stash: [],        // Array of item objects
+    highestWave: 0,
+    // Per-difficulty highest zones (anti-exploit: each lane tracked separately)
+    highestZones: { normal: 0, risk: 0, chaos: 0 },
+    totalRuns: 0,
+    totalKills: 0,
+    totalPlaytime: 0,
+    actsCompleted: [], // ['act1', 'act2', ...]
+    actsUnlocked: ['act1'], // Acts available to play
+    suspendedRun: null // Mid-zone run snapshot (Game.suspendRun), resumed from the hub
+  };
+}
+
 export const State = {
   // Loaded JSON data
   data: {
@@ -47,32 +78,7 @@ export const State = {
   },
   
   // Persistent meta progress (saved to localStorage)
-  meta: {
-    scrap: 0,
-    level: 1,
-    xp: 0,
-    skillPoints: 0,
-    statPoints: 0,
-
-    // Endless depth progression (saved)
-    depth: {
-      bestDepth: 1,
-      unlocked: [],
-      lastUnlockAt: 0
-    },
-    skills: {},       // { treeId: { skillId: rank } }
-    stats: {},        // { statId: points }
-    equipment: {},    // { slotId: itemId }
-    stash: [],        // Array of item objects
-    highestWave: 0,
-    // Per-difficulty highest zones (anti-exploit: each lane tracked separately)
-    highestZones: { normal: 0, risk: 0, chaos: 0 },
-    totalRuns: 0,
-    totalKills: 0,
-    totalPlaytime: 0,
-    actsCompleted: [], // ['act1', 'act2', ...]
-    actsUnlocked: ['act1'] // Acts available to play
-  },
+  meta: createMeta(),
   
   // Current run state (reset each run)
   run: {
@@ -92,6 +98,7 @@ export const State = {
       timeElapsed: 0,
       timeStarted: 0,
       itemsFound: 0,
+      itemsSalvaged: 0,
       elitesKilled: 0,
       bossesKilled: 0
     },
@@ -152,16 +159,17 @@ export const State = {
     
     // Cooldowns
     fireCooldown: 0,
+    secondaryCooldown: 0,     // secondary weapon slot (Player.updateSecondary)
+    secondaryMaxCooldown: 0,
     shieldRegenDelay: 0,
+    shieldDelayReduction: 0,  // % off the regen delay (Stats: shieldRegenDelay)
 
-    // Drone companion
+    // Drone companion (configured from the drone slot item by Stats.calculate)
     drone: {
-      active: true,
-      type: 'combat',  // combat, shield, repair
-      x: 0, y: 0,
-      damagePct: 0.25,
-      fireRate: 0.5,
-      healPct: 0.02
+      active: false,
+      type: null,      // combat, shield, repair, scavenge
+      modes: [],       // modes the equipped drone supports (G cycles them)
+      x: 0, y: 0
     }
   },
   
@@ -180,6 +188,7 @@ export const State = {
     ability1: false, // dash
     ability2: false, // shield burst
     ability3: false, // orbital strike
+    secondary: false, // secondary weapon (right mouse / C)
     mouseX: 0,
     mouseY: 0
   },
@@ -218,10 +227,13 @@ export function resetRun() {
       timeElapsed: 0,
       timeStarted: 0,
       itemsFound: 0,
+      itemsSalvaged: 0,
       elitesKilled: 0,
       bossesKilled: 0
     }
   };
+  State.modules.ItemEffects?.reset();
+  State.modules.LootRNG?.clear();
   State.bullets = [];
   State.enemyBullets = [];
   State.enemies = [];
@@ -234,6 +246,11 @@ export function resetRun() {
   };
 }
 
+// Reset meta progress to defaults (before loading another save slot)
+export function resetMeta() {
+  State.meta = createMeta();
+}
+
 // Reset player position
 export function resetPlayer(canvasW, canvasH) {
   State.player.x = canvasW / 2;
@@ -4,11 +4,56 @@
 // ============================================================
 // STATS.js - Player Stats Calculator
 // ============================================================
-// Calculates final player stats from: Base + Meta + Skills + Equipment + RunUpgrades
+// Calculates final player stats from: Base + Meta + Skills + Equipment + Sets + RunUpgrades
+// Every contribution is recorded per stat (Stats.breakdown) so the UI
+// can explain where a number comes from.
 
 import { State } from './State.js';
+import { Mastery } from './Mastery.js';
+import { ItemEffects } from './ItemEffects.js';
+import { Items } from './Items.js';
+import { getItemData } from './DataLoader.js';
+
+// Stat ids that write to a differently named State.player field
+const STAT_FIELDS = {
+  shieldCap: 'maxShield', dropRate: 'luck', damageMult: 'damage', hpBonus: 'maxHP',
+  shieldRegenDelay: 'shieldDelayReduction'
+};
+
+// Drone slot stats that configure the drone instead of the ship
+const DRONE_STATS = new Set([
+  'droneDamage', 'droneDamagePct', 'droneFireRate', 'droneCritChance', 'droneCount',
+  'droneOrbitRadius', 'droneTargeting', 'droneHealOnKill', 'droneShield',
+  'hpRegen', 'repairBurst', 'collectRange'
+]);
+
+// Player fields tracked in the breakdown
+const TRACKED_FIELDS = [
+  'maxHP', 'maxShield', 'damage', 'fireRate', 'speed', 'critChance', 'critDamage',
+  'projectiles', 'piercing', 'luck', 'pickupRadius', 'hpRegen', 'shieldRegen',
+  'shieldDelayReduction', 'lootBonus', 'xpBonus', 'scrapBonus'
+];
+
+// Put an object's fields back to a snapshot, dropping fields added since
+function restoreFields(target, snapshot) {
+  for (const key of Object.keys(target)) {
+    if (!(key in snapshot)) delete target[key];
+  }
+  Object.assign(target, snapshot);
+}
 
 export const Stats = {
+  // Provenance from the last calculate():
+  // { field: { base, final, entries: [{ source, label, type, value, delta }], bySource: { source: { flat, percent, delta } } } }
+  breakdown: {},
+  
+  // Source tag for applyStat() calls made inside calculate()
+  _source: null,
+  
+  // Set while preview() runs calculate() on a hypothetical loadout
+  _quiet: false,
+  
+
   // Recalculate all player stats
   calculate() {
     const p = State.player;
@@ -37,13 +82,27 @@ export const Stats = {
     p.luck = 0;
     p.hpRegen = 0;
     p.shieldRegen = 0;
+    p.shieldDelayReduction = 0;  // % shorter wait before shield regen
+    p.shieldRegenMult = 1;       // shield regen speed multiplier
+    p.dodgeChance = 0;           // % chance to evade enemy projectiles
+    p.rarityUpgrade = 0;         // rarity tiers added to item drops
+    p.lootBonus = 0;   // % item drop chance + rarity weight
+    p.xpBonus = 0;     // % XP gain
+    p.scrapBonus = 0;  // % scrap gain
+    
+    this.breakdown = {};
+    for (const field of TRACKED_FIELDS) {
+      this.breakdown[field] = { base: p[field], final: p[field], entries: [], bySource: {} };
+    }
     
     // ========== PER-LEVEL AUTO-SCALING ==========
     // Every level grants passive growth so the player always gets stronger
     const level = m.level || 1;
-    const levelBonus = 1 + (level - 1) * 0.03; // +3% per level
-    p.damage *= levelBonus;
-    p.maxHP *= levelBonus;
+    if (level > 1) {
+      this._source = { source: 'level', label: 'Level ' + level };
+      this.applyStat('damage', (level - 1) * 3, 'percent'); // +3% per level
+      this.applyStat('maxHP', (level - 1) * 3, 'percent');
+    }
     
     // ========== PILOT STATS ==========
     if (data.pilotStats) {
@@ -51,6 +110,7 @@ export const Stats = {
         const statDef = data.pilotStats[statId];
         if (statDef && points > 0) {
           const effectType = statDef.effect.type || 'flat';
+          this._source = { source: 'pilot', label: `${statDef.name || statId} ${points}pt` };
           this.applyStat(statDef.effect.stat, statDef.effect.perPoint * points, effectType);
         }
       }
@@ -64,6 +124,7 @@ export const Stats = {
           if (rank > 0 && tree.skills[skillId]) {
             const skill = tree.skills[skillId];
             if (skill.effect) {
+              this._source = { source: 'skill', label: `${skill.name || skillId} R${rank}` };
               this.applyStat(skill.effect.stat, skill.effect.perRank * rank, 'percent');
             }
           }
@@ -78,17 +139,50 @@ export const Stats = {
       const item = m.stash.find(i => i.id === itemId);
       if (!item) continue;
       
-      // Base stats
-      for (const [stat, value] of Object.entries(item.stats || {})) {
+      // Base stats (the secondary weapon's own stats drive Player.fireSecondary instead)
+      this._source = { source: 'equipment', label: item.name || slotId };
+      if (slotId !== 'secondary') {
+        for (const [stat, value] of Object.entries(item.stats || {})) {
+          if (slotId === 'drone' && DRONE_STATS.has(stat)) continue;
+          this.applyStat(stat, value, 'flat');
+        }
+      }
+      
+      // Implicit modifiers (fixed per base type)
+      this._source = { source: 'equipment', label: `${item.name || slotId} (implicit)` };
+      for (const [stat, value] of Object.entries(Items.getImplicits(item))) {
+        if (slotId === 'drone' && DRONE_STATS.has(stat)) continue;
         this.applyStat(stat, value, 'flat');
       }
       
       // Affix bonuses
       for (const affix of item.affixes || []) {
+        if (slotId === 'drone' && DRONE_STATS.has(affix.stat)) continue;
+        this._source = { source: 'equipment', label: `${item.name || slotId} (${affix.name || 'affix'})` };
         this.applyStat(affix.stat, affix.value, 'flat');
       }
     }
     
+    // ========== SET BONUSES ==========
+    for (const set of Items.getEquippedSets()) {
+      for (const bonus of set.bonuses) {
+        if (!bonus.active) continue;
+        this._source = { source: 'set', label: `${set.name} ${bonus.count}pc${bonus.label ? ' (' + bonus.label + ')' : ''}` };
+        for (const [stat, value] of Object.entries(bonus.stats || {})) {
+          this.applyStat(stat, value, 'flat');
+        }
+      }
+    }
+    
+    // ========== MASTERY (paragon) BONUSES ==========
+    for (const [treeId, bonus] of Object.entries(Mastery.getAllBonuses())) {
+      if (!(bonus.percent > 0)) continue;
+      this._source = { source: 'mastery', label: `${bonus.name || treeId} ${bonus.percent}%` };
+      for (const stat of bonus.stats) {
+        this.applyStat(stat, bonus.percent, 'percent');
+      }
+    }
+    
     // ========== RUN UPGRADES ==========
     // Some stats need flat application (additive), others percent (multiplicative)
     const flatStats = new Set(['projectiles', 'piercing', 'shieldCap', 'hpRegen', 'shieldRegen', 'pickupRadius']);
@@ -99,6 +193,7 @@ export const Stats = {
           if (upgrade.effect) {
             const statName = upgrade.effect.stat;
             const mode = flatStats.has(statName) ? 'flat' : 'percent';
+            this._source = { source: 'upgrade', label: `${upgrade.name || upgradeId} T${tier}` };
             this.applyStat(statName, upgrade.effect.perTier * tier, mode);
           }
         }
@@ -116,10 +211,18 @@ export const Stats = {
     p.piercing = Math.max(0, Math.floor(p.piercing));
     p.pickupRadius = Math.max(20, Math.round(p.pickupRadius));
     
+    this._source = null;
+    this._finishBreakdown();
+    
+    // Unique item mechanics (triggers) follow the equipment
+    ItemEffects.refresh();
+    this.calculateDrone();
+    
     // Cap HP if needed
     if (p.hp > p.maxHP) p.hp = p.maxHP;
     if (p.shield > p.maxShield) p.shield = p.maxShield;
     
+    if (this._quiet) return;
     console.log('\uD83D\uDCCA Stats calculated:', {
       hp: p.maxHP,
       damage: p.damage,
@@ -132,6 +235,9 @@ export const Stats = {
   // Apply a stat bonus
   applyStat(stat, value, type = 'flat') {
     const p = State.player;
+    const field = STAT_FIELDS[stat] || stat;
+    const before = p[field];
+    const rawValue = value;
     
     // Percent bonuses multiply, flat bonuses add
     if (type === 'percent') {
@@ -155,6 +261,13 @@ export const Stats = {
         if (type === 'percent') p.maxHP *= (1 + value);
         else p.maxHP += value;
         break;
+      case 'hpBonus':
+        p.maxHP += value;
+        break;
+      // Unique/set "+X% all damage": the flat value is already a percent
+      case 'damageMult':
+        p.damage *= 1 + (type === 'percent' ? value : value / 100);
+        break;
       case 'shieldCap':
         if (type === 'percent') p.maxShield *= (1 + value);
         else p.maxShield += value;
@@ -184,11 +297,153 @@ export const Stats = {
       case 'shieldRegen':
         p.shieldRegen += value;
         break;
+      // Percent points off the shield regen delay, capped at 75%
+      case 'shieldRegenDelay':
+        p.shieldDelayReduction = Math.min(75, p.shieldDelayReduction + value * (type === 'percent' ? 100 : 1));
+        break;
+      // Percent on the core combat stats
+      case 'allStatBonus':
+        for (const f of ['damage', 'maxHP', 'maxShield', 'fireRate', 'speed']) {
+          p[f] *= 1 + (type === 'percent' ? value : value / 100);
+        }
+        break;
+      // Multiplies with other sources (3.0 = three times as fast)
+      case 'shieldRegenMult':
+        p.shieldRegenMult *= value;
+        break;
+      case 'dodgeChance':
+        p.dodgeChance = Math.min(75, p.dodgeChance + value * (type === 'percent' ? 100 : 1));
+        break;
+      case 'rarityUpgrade':
+        p.rarityUpgrade += value;
+        break;
       case 'dropRate':
         p.luck += value; // Treat as luck for simplicity
         break;
+      // Economy bonuses are stored as percent points
+      case 'lootBonus':
+      case 'xpBonus':
+      case 'scrapBonus':
+        p[stat] += value * (type === 'percent' ? 100 : 1);
+        break;
       // Add more stats as needed
     }
+    
+    if (this._source && this.breakdown[field]) {
+      // damageMult always reads as a percent, whatever the source passed
+      const recordType = stat === 'damageMult' ? 'percent' : type;
+      this._record(field, recordType, rawValue, p[field] - before);
+    }
+  },
+  
+  // ========== PROVENANCE ==========
+  
+  _record(field, type, value, delta) {
+    const b = this.breakdown[field];
+    const { source, label } = this._source;
+    b.entries.push({ source, label, type, value, delta });
+    
+    const agg = b.bySource[source] || (b.bySource[source] = { flat: 0, percent: 0, delta: 0 });
+    if (type === 'percent') agg.percent += value;
+    else agg.flat += value;
+    agg.delta += delta;
+  },
+  
+  // Final values + whatever rounding/minimums/caps changed after the sources
+  _finishBreakdown() {
+    const p = State.player;
+    for (const field of TRACKED_FIELDS) {
+      const b = this.breakdown[field];
+      b.final = p[field];
+      const summed = b.entries.reduce((sum, e) => sum + e.delta, b.base);
+      const adjust = b.final - summed;
+      if (Math.abs(adjust) > 1e-6) {
+        b.entries.push({ source: 'limits', label: 'Rounding / limits', type: 'flat', value: adjust, delta: adjust });
+        b.bySource.limits = { flat: adjust, percent: 0, delta: adjust };
+      }
+    }
+  },
+  
+  // Breakdown for one stat (stat id or player field), null if untracked
+  getBreakdown(stat) {
+    return this.breakdown[STAT_FIELDS[stat] || stat] || null;
+  },
+  
+  // Console helper: "damage 143 = base 10 + Level 12 +33% (+3.3) + ..."
+  explain(stat) {
+    const b = this.getBreakdown(stat);
+    if (!b) return stat + ': not tracked';
+    const fmt = n => Math.round(n * 100) / 100;
+    const parts = b.entries.map(e =>
+      `${e.label} ${e.type === 'percent' ? fmt(e.value) + '%' : (e.value >= 0 ? '+' : '') + fmt(e.value)} (${e.delta >= 0 ? '+' : ''}${fmt(e.delta)})`
+    );
+    return `${stat} ${fmt(b.final)} = base ${fmt(b.base)}${parts.length ? ' | ' + parts.join(' | ') : ''}`;
+  },
+  
+  // ========== DRONE ==========
+  // Configure State.player.drone from the drone slot item (data "drone" block + rolled stats).
+  // No drone item = no drone.
+  calculateDrone() {
+    const p = State.player;
+    const drone = p.drone;
+    const itemId = State.meta.equipment?.drone;
+    const item = itemId ? State.meta.stash.find(i => i.id === itemId) : null;
+    const def = item ? this._getDroneDef(item) : null;
+    
+    if (!def) {
+      Object.assign(drone, { active: false, type: null, modes: [], itemId: null });
+      return;
+    }
+    
+    // Base stats + drone implicits/affixes
+    const s = { ...(item.stats || {}) };
+    for (const [stat, value] of Object.entries(Items.getImplicits(item))) {
+      if (DRONE_STATS.has(stat)) s[stat] = (s[stat] || 0) + value;
+    }
+    for (const affix of item.affixes || []) {
+      if (DRONE_STATS.has(affix.stat)) s[affix.stat] = (s[affix.stat] || 0) + affix.value;
+    }
+    
+    const modes = def.modes && def.modes.length ? def.modes : ['combat'];
+    const newItem = drone.itemId !== item.id;
+    Object.assign(drone, {
+      itemId: item.id,
+      modes,
+      active: newItem ? true : drone.active,
+      type: modes.includes(drone.type) ? drone.type : modes[0],
+      count: Math.max(1, Math.floor(s.droneCount || 1)),
+      orbitRadius: s.droneOrbitRadius || 45,
+      // Combat
+      damagePct: ((def.damagePct || 25) + (s.droneDamagePct || 0)) / 100,
+      flatDamage: s.droneDamage || 0,
+      shotsPerSec: Math.min(8, s.droneFireRate || def.fireRate || 2),
+      critChance: s.droneCritChance || 0,
+      targeting: s.droneTargeting || def.targeting || 'nearest',
+      healOnKillPct: s.droneHealOnKill || 0,
+      // Repair
+      healPerSec: (s.hpRegen || 0) + p.maxHP * (def.healPct || 1) / 100,
+      burstPct: s.repairBurst || 0,
+      burstThreshold: def.burstThreshold || 35,
+      burstCooldown: def.burstCooldown || 20,
+      // Shield: damage the drone can absorb before recharging
+      shieldCap: s.droneShield || 0,
+      rechargeTime: def.rechargeTime || 5,
+      // Scavenge
+      collectRange: s.collectRange || 0
+    });
+    if (newItem) drone.shieldHP = drone.shieldCap;
+  },
+  
+  // Drone definition: items.json base or unique data
+  _getDroneDef(item) {
+    if (item.uniqueId) {
+      for (const [category, entries] of Object.entries(State.data.uniques || {})) {
+        if (category.startsWith('_') || category === 'sets') continue;
+        if (entries?.[item.uniqueId]) return entries[item.uniqueId].drone || null;
+      }
+      return null;
+    }
+    return getItemData(item.baseId)?.drone || null;
   },
   
   // Initialize player HP/Shield on run start
@@ -204,6 +459,59 @@ export const Stats = {
     const baseDPS = p.damage * p.fireRate * p.projectiles;
     const critMult = 1 + (p.critChance / 100) * ((p.critDamage - 100) / 100);
     return Math.round(baseDPS * critMult);
+  },
+  
+  // Effective HP estimate: hull + shield pool
+  getEHP() {
+    const p = State.player;
+    return Math.round(p.maxHP + p.maxShield);
+  },
+  
+  // DPS / EHP a different equipment map would give, leaving the live stats untouched
+  preview(equipment) {
+    const p = State.player;
+    const saved = {
+      player: { ...p },
+      drone: p.drone ? { ...p.drone } : null,
+      equipment: State.meta.equipment,
+      breakdown: this.breakdown,
+      effects: ItemEffects.active
+    };
+    
+    State.meta.equipment = equipment;
+    this._quiet = true;
+    try {
+      this.calculate();
+      return { dps: this.getDPS(), ehp: this.getEHP(), maxHP: p.maxHP, maxShield: p.maxShield };
+    } finally {
+      restoreFields(p, saved.player);
+      if (p.drone) restoreFields(p.drone, saved.drone);
+      State.meta.equipment = saved.equipment;
+      this.breakdown = saved.breakdown;
+      ItemEffects.active = saved.effects;
+      this._quiet = false;
+    }
+  },
+  
+  // What equipping an item would change: stat diff vs the item in the slot
+  // Items.equip would fill, DPS / EHP before and after, power budget difference
+  compareEquip(item) {
+    if (!item?.slot) return null;
+    const equipment = State.meta.equipment || {};
+    const slot = Items.getTargetSlot(item);
+    const currentId = equipment[slot];
+    const current = currentId ? State.meta.stash.find(i => i.id === currentId) : null;
+    if (current?.id === item.id) return null;
+    
+    const after = this.preview({ ...equipment, [slot]: item.id });
+    const budget = it => (it ? it.powerBudget || Items._calcPowerBudget(it) : 0);
+    return {
+      current,
+      stats: Items.compare(current, item),
+      dps: { old: this.getDPS(), new: after.dps },
+      ehp: { old: this.getEHP(), new: after.ehp },
+      power: { old: budget(current), new: budget(item) }
+    };
   }
 };
 
@@ -10,21 +10,38 @@ import { Stats } from './Stats.js';
 import { Leveling } from './Leveling.js';
 import { Items } from './Items.js';
 import { Save } from './Save.js';
+import { SaveScheduler } from './SaveScheduler.js';
+import { Mastery } from './Mastery.js';
+import { ItemEffects } from './ItemEffects.js';
+import { LootFilter, FILTER_ACTIONS } from './LootFilter.js';
+import { StashTabs } from './StashTabs.js';
+import { Loadouts } from './Loadouts.js';
+import { getConfig } from './DataLoader.js';
 
 export const UI = {
   tooltipEl: null,
   // Persist opened skill tree sections across rerenders (prevents accordion reset)
   openTrees: new Set(),
+  // Stash/equipment item under the cursor (lock/favorite hotkeys)
+  hoverItemId: null,
   
   init() {
     this.tooltipEl = document.getElementById('tooltip');
     
+    // [L] lock / [V] favorite the hovered item
+    window.addEventListener('keydown', (e) => {
+      if (!this.hoverItemId || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.code === 'KeyL') this.toggleItemLock(this.hoverItemId);
+      else if (e.code === 'KeyV') this.toggleItemFavorite(this.hoverItemId);
+    });
+    
     // Initial render
     this.renderAll();
   },
   
   renderAll() {
     this.renderEquipment();
+    this.renderLoadouts();
     this.renderStash();
     this.renderShipStats();
     this.renderPilotStats();
@@ -66,44 +83,199 @@ export const UI = {
       `;
     }
     
+    // Set progress ("2/3 Void Walker") below the slots
+    for (const set of Items.getEquippedSets()) {
+      const active = set.bonuses.filter(b => b.active).map(b => b.label || `${b.count}pc`);
+      html += `
+        <div class="set-summary ${active.length ? 'active' : ''}">
+          <span>${set.icon} ${set.equipped}/${set.total} ${set.name}</span>
+          <span class="set-bonus-names">${active.join(' \u2022 ')}</span>
+        </div>
+      `;
+    }
+    
     container.innerHTML = html;
+    this.renderDrone();
+  },
+  
+  // ========== DRONE PANEL ==========
+  renderDrone() {
+    const container = document.getElementById('dronePanel');
+    if (!container) return;
+    
+    const drone = State.player.drone;
+    if (!drone || !drone.modes || drone.modes.length === 0) {
+      container.innerHTML = `<div class="drone-head"><span>\u{1F916} Drone</span></div><div class="drone-empty">No drone equipped</div>`;
+      return;
+    }
+    
+    const p = State.player;
+    const rows = [];
+    if (drone.modes.includes('combat')) {
+      const perShot = p.damage * drone.damagePct + drone.flatDamage;
+      rows.push(['Damage / shot', `${Math.round(perShot)}${drone.count > 1 ? ' \u00D7' + drone.count : ''}`]);
+      rows.push(['Fire rate', `${drone.shotsPerSec.toFixed(1)}/s`]);
+      if (drone.critChance) rows.push(['Crit', `${drone.critChance}%`]);
+      if (drone.targeting !== 'nearest') rows.push(['Targets', drone.targeting]);
+      if (drone.healOnKillPct) rows.push(['Heal on kill', `${drone.healOnKillPct}%`]);
+    }
+    if (drone.modes.includes('repair')) {
+      rows.push(['Repair', `${Math.round(drone.healPerSec)} HP/s`]);
+      if (drone.burstPct) rows.push(['Repair burst', `${Math.round(drone.burstPct)}% < ${drone.burstThreshold}% HP`]);
+    }
+    if (drone.modes.includes('shield') && drone.shieldCap) rows.push(['Absorb', `${Math.round(drone.shieldCap)} dmg`]);
+    if (drone.modes.includes('scavenge')) rows.push(['Collect range', `${Math.round(drone.collectRange)}px`]);
+    
+    container.innerHTML = `
+      <div class="drone-head"><span>\u{1F916} Drone</span><span>[G] ${drone.active ? drone.type : 'off'}</span></div>
+      <div class="drone-modes">
+        ${drone.modes.map(m => `<button class="drone-mode ${drone.active && drone.type === m ? 'on' : ''}" onclick="UI.setDroneMode('${m}')">${m}</button>`).join('')}
+        <button class="drone-mode ${drone.active ? '' : 'on'}" onclick="UI.setDroneMode(null)">off</button>
+      </div>
+      ${rows.map(([k, v]) => `<div class="drone-stat"><span>${k}</span><span>${v}</span></div>`).join('')}
+    `;
+  },
+  
+  setDroneMode(mode) {
+    const drone = State.player.drone;
+    if (!drone) return;
+    if (mode === null) {
+      drone.active = false;
+    } else if (drone.modes.includes(mode)) {
+      drone.active = true;
+      drone.type = mode;
+    }
+    this.renderDrone();
+  },
+  
+  // ========== LOADOUTS (equipment panel) ==========
+  renderLoadouts() {
+    const container = document.getElementById('loadoutBar');
+    if (!container) return;
+    
+    const active = Loadouts.getActiveId();
+    const pending = Loadouts.getPendingId();
+    const slots = State.data.slots || {};
+    
+    let html = `<div class="drone-head"><span>\uD83D\uDD01 Loadouts</span><span>${State.run.active ? 'swaps next zone' : ''}</span></div>`;
+    html += '<div class="loadout-list">';
+    for (const loadout of Loadouts.getAll()) {
+      const missing = Loadouts.getMissing(loadout);
+      const cls = [loadout.id === active ? 'on' : '', loadout.id === pending ? 'queued' : '', missing.length ? 'warn' : ''].join(' ');
+      const weapon = State.player.weaponDefs?.[loadout.weaponType]?.label || loadout.weaponType;
+      const title = [`${weapon} \u00B7 drone ${loadout.droneMode || 'off'}`]
+        .concat(missing.map(m => `\u26A0 ${slots[m.slot]?.name || m.slot}: item sold or salvaged`))
+        .join('\n');
+      html += `
+        <div class="loadout-item ${cls}" title="${this.escapeHTML(title)}">
+          <button class="loadout-name" onclick="UI.selectLoadout('${loadout.id}', event)" ondblclick="UI.renameLoadout('${loadout.id}')">
+            ${missing.length ? '\u26A0 ' : ''}${this.escapeHTML(loadout.name)}${loadout.id === pending ? ' \u23F3' : ''}
+          </button>
+          <button class="loadout-tool" title="Overwrite with current gear" onclick="UI.overwriteLoadout('${loadout.id}')">\uD83D\uDCBE</button>
+          <button class="loadout-tool" title="Delete" onclick="UI.removeLoadout('${loadout.id}')">\u2715</button>
+        </div>
+      `;
+    }
+    html += `</div><button class="drone-mode" onclick="UI.saveLoadout()">+ Save current</button>`;
+    container.innerHTML = html;
+  },
+  
+  selectLoadout(loadoutId, event) {
+    const result = Loadouts.select(loadoutId);
+    if (!result.ok) {
+      console.warn('[LOADOUT] ' + result.reason);
+      return;
+    }
+    if (result.missing.length > 0) {
+      // Those slots keep their current item
+      const names = result.missing.map(m => State.data.slots?.[m.slot]?.name || m.slot).join(', ');
+      this.showFloatingText(event.clientX, event.clientY, `\u26A0 Missing: ${names}`, '#ff8800');
+    }
+    this.renderAll();
+  },
+  
+  saveLoadout() {
+    const name = prompt('Loadout name:', `Loadout ${Loadouts.getAll().length + 1}`);
+    if (name === null) return;
+    const result = Loadouts.saveCurrent(name);
+    if (!result.ok) alert(result.reason);
+    this.renderLoadouts();
+  },
+  
+  overwriteLoadout(loadoutId) {
+    const loadout = Loadouts.get(loadoutId);
+    if (!loadout || !confirm(`Overwrite "${loadout.name}" with the current gear?`)) return;
+    Loadouts.overwrite(loadoutId);
+    this.renderLoadouts();
+  },
+  
+  renameLoadout(loadoutId) {
+    const loadout = Loadouts.get(loadoutId);
+    if (!loadout) return;
+    const name = prompt('Loadout name:', loadout.name);
+    if (name === null) return;
+    Loadouts.rename(loadoutId, name);
+    this.renderLoadouts();
+  },
+  
+  removeLoadout(loadoutId) {
+    const loadout = Loadouts.get(loadoutId);
+    if (!loadout || !confirm(`Delete loadout "${loadout.name}"?`)) return;
+    Loadouts.remove(loadoutId);
+    this.renderLoadouts();
   },
   
   // ========== STASH PANEL ==========
+  stashSearch: '',
+  
   renderStash() {
     const container = document.getElementById('stashGrid');
     if (!container) return;
     
-    const stash = State.meta.stash;
     const equipment = State.meta.equipment;
     const rarities = State.data.rarities;
-    const maxSlots = State.data.config?.stash?.baseSlots || 40;
     const equippedIds = new Set(Object.values(equipment).filter(Boolean));
+    const activeTab = StashTabs.getActiveId();
     
-    let html = '';
+    this.renderStashTabs();
+    const sortEl = document.getElementById('stashSort');
+    if (sortEl) sortEl.value = StashTabs.getSort();
     
-    // Items - HIDE equipped items (they show in equipment grid)
-    let visibleCount = 0;
-    for (const item of stash) {
-      if (equippedIds.has(item.id)) continue; // Skip equipped items
-      visibleCount++;
+    // Items of the active tab - HIDE equipped items (they show in equipment grid)
+    const label = stat => this.formatStatName(stat);
+    const items = StashTabs.sortItems(StashTabs.getItems(activeTab))
+      .filter(item => !equippedIds.has(item.id))
+      .filter(item => StashTabs.matchesSearch(item, this.stashSearch, label));
+    
+    let html = '';
+    for (const item of items) {
       const rarityColor = rarities[item.rarity]?.color || '#666';
+      const setClass = Items.getSetId(item) ? ' set-piece' : '';
+      const newClass = StashTabs.isNew(item) ? ' new' : '';
       
       html += `
-        <div class="stash-slot filled"
+        <div class="stash-slot filled${setClass}${newClass}"
              style="--rarity-color: ${rarityColor}"
+             draggable="true"
+             ondragstart="UI.onStashDragStart(event, '${item.id}')"
              onclick="UI.onStashItemClick('${item.id}')"
              oncontextmenu="UI.sellItem(event, '${item.id}')"
              onmouseenter="UI.showItemTooltip(event, '${item.id}')"
              onmouseleave="UI.hideTooltip()">
           ${item.icon}
+          <span class="slot-flag fav ${item.favorite ? 'on' : ''}" title="Favorite [V]" onclick="event.stopPropagation(); UI.toggleItemFavorite('${item.id}')">\u2605</span>
+          <span class="slot-flag lock ${item.locked ? 'on' : ''}" title="Lock [L]" onclick="event.stopPropagation(); UI.toggleItemLock('${item.id}')">\uD83D\uDD12</span>
         </div>
       `;
     }
     
-    // Empty slots (based on non-equipped items)
-    const freeSlots = Math.max(0, maxSlots - stash.length);
-    const emptyCount = Math.min(freeSlots, 20);
+    if (this.stashSearch && items.length === 0) {
+      html += '<div class="stash-empty">No matches</div>';
+    }
+    
+    // Empty slots (free capacity of this tab)
+    const freeSlots = Math.max(0, StashTabs.capacity(activeTab) - StashTabs.count(activeTab));
+    const emptyCount = this.stashSearch ? 0 : Math.min(freeSlots, 20);
     for (let i = 0; i < emptyCount; i++) {
       html += `<div class="stash-slot"></div>`;
     }
@@ -111,6 +283,91 @@ export const UI = {
     container.innerHTML = html;
   },
   
+  renderStashTabs() {
+    const container = document.getElementById('stashTabs');
+    if (!container) return;
+    
+    const activeTab = StashTabs.getActiveId();
+    let html = '';
+    for (const tab of StashTabs.getTabs()) {
+      const count = StashTabs.count(tab.id);
+      const fresh = StashTabs.countNew(tab.id);
+      const full = count >= tab.slots ? ' full' : '';
+      html += `
+        <button class="stash-tab ${tab.id === activeTab ? 'active' : ''}${full}"
+                title="Double-click to rename. Drop items here to move them."
+                onclick="UI.selectStashTab('${tab.id}')"
+                ondblclick="UI.renameStashTab('${tab.id}')"
+                ondragover="event.preventDefault()"
+                ondrop="UI.onStashTabDrop(event, '${tab.id}')">
+          ${this.escapeHTML(tab.name)} <small>${count}/${tab.slots}</small>${fresh > 0 ? `<span class="stash-new-badge">${fresh}</span>` : ''}
+        </button>
+      `;
+    }
+    const cost = StashTabs.nextTabCost();
+    if (cost !== null) {
+      const canBuy = (State.meta.scrap || 0) >= cost;
+      html += `<button class="stash-tab buy" ${canBuy ? '' : 'disabled'} title="Buy a new stash tab (${getConfig('stash.tabSlots', 36)} slots)" onclick="UI.buyStashTab()">+ ${cost} \uD83D\uDCB0</button>`;
+    }
+    container.innerHTML = html;
+    
+    const countEl = document.getElementById('stashCount');
+    if (countEl) countEl.textContent = `${State.meta.stash.length}/${StashTabs.totalCapacity()}`;
+  },
+  
+  selectStashTab(tabId) {
+    StashTabs.setActive(tabId);
+    this.renderStash();
+  },
+  
+  renameStashTab(tabId) {
+    const tab = StashTabs.getTab(tabId);
+    if (!tab) return;
+    const name = prompt('Tab name:', tab.name);
+    if (name === null) return;
+    const result = StashTabs.renameTab(tabId, name);
+    if (!result.ok) console.warn('[STASH] ' + result.reason);
+    this.renderStash();
+  },
+  
+  buyStashTab() {
+    const result = StashTabs.buyTab();
+    if (!result.ok) {
+      console.warn('[STASH] ' + result.reason);
+      return;
+    }
+    this.renderScrap();
+    this.renderStash();
+  },
+  
+  setStashSort(mode) {
+    StashTabs.setSort(mode);
+    this.renderStash();
+  },
+  
+  setStashSearch(query) {
+    this.stashSearch = query;
+    this.renderStash();
+  },
+  
+  onStashDragStart(event, itemId) {
+    event.dataTransfer.setData('text/plain', itemId);
+    this.hideTooltip();
+  },
+  
+  onStashTabDrop(event, tabId) {
+    event.preventDefault();
+    const itemId = event.dataTransfer.getData('text/plain');
+    const result = StashTabs.moveItem(itemId, tabId);
+    if (!result.ok) this.showFloatingText(event.clientX, event.clientY, result.reason, '#ff4444');
+    this.renderStash();
+  },
+  
+  // Escape user-entered text (pilot, tab, loadout, rule names) for innerHTML
+  escapeHTML(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  },
+  
   // ========== SHIP STATS ==========
   renderShipStats() {
     const container = document.getElementById('shipStats');
@@ -119,23 +376,26 @@ export const UI = {
     const p = State.player;
     
     const stats = [
-      { name: 'HP', value: Math.round(p.maxHP) },
-      { name: 'Shield', value: Math.round(p.maxShield) },
-      { name: 'Damage', value: p.damage.toFixed(1) },
-      { name: 'Fire Rate', value: p.fireRate.toFixed(1) + '/s' },
-      { name: 'Crit %', value: p.critChance.toFixed(0) + '%' },
-      { name: 'Crit Dmg', value: p.critDamage + '%' },
-      { name: 'Speed', value: Math.round(p.speed) },
-      { name: 'Projectiles', value: p.projectiles },
-      { name: 'Pierce', value: p.piercing },
-      { name: 'Luck', value: p.luck },
+      { name: 'HP', value: Math.round(p.maxHP), field: 'maxHP' },
+      { name: 'Shield', value: Math.round(p.maxShield), field: 'maxShield' },
+      { name: 'Damage', value: p.damage.toFixed(1), field: 'damage' },
+      { name: 'Fire Rate', value: p.fireRate.toFixed(1) + '/s', field: 'fireRate' },
+      { name: 'Crit %', value: p.critChance.toFixed(0) + '%', field: 'critChance' },
+      { name: 'Crit Dmg', value: p.critDamage + '%', field: 'critDamage' },
+      { name: 'Speed', value: Math.round(p.speed), field: 'speed' },
+      { name: 'Projectiles', value: p.projectiles, field: 'projectiles' },
+      { name: 'Pierce', value: p.piercing, field: 'piercing' },
+      { name: 'Luck', value: p.luck, field: 'luck' },
       { name: 'DPS', value: Stats.getDPS(), highlight: true }
     ];
     
     let html = '';
     for (const stat of stats) {
+      const hover = stat.field
+        ? ` onmouseenter="UI.showStatBreakdown(event, '${stat.field}', '${stat.name}')" onmouseleave="UI.hideTooltip()"`
+        : '';
       html += `
-        <div class="stat-item ${stat.highlight ? 'highlight' : ''}">
+        <div class="stat-item ${stat.highlight ? 'highlight' : ''}"${hover}>
           <span>${stat.name}</span>
           <span class="stat-value">${stat.value}</span>
         </div>
@@ -145,6 +405,53 @@ export const UI = {
     container.innerHTML = html;
   },
   
+  // Hover: where a ship stat comes from (Stats.breakdown)
+  showStatBreakdown(event, field, label) {
+    const b = Stats.getBreakdown(field);
+    if (!b) return;
+    
+    const icons = { level: '\u2B50', pilot: '\u{1F396}\uFE0F', skill: '\u2694\uFE0F', equipment: '\u{1F6E1}\uFE0F', mastery: '\u{1F3C6}', set: '\u{1F517}', upgrade: '\u26A1', limits: '\u2696\uFE0F' };
+    const fmt = n => {
+      const r = Math.round(n * 100) / 100;
+      return (r >= 0 ? '+' : '') + r;
+    };
+    
+    let rows = `<div class="breakdown-row base"><span>Base</span><span>${Math.round(b.base * 100) / 100}</span></div>`;
+    for (const e of b.entries) {
+      if (Math.abs(e.delta) < 1e-6 && e.source !== 'limits') continue;
+      const amount = e.type === 'percent' ? `${fmt(e.value)}%` : fmt(e.value);
+      rows += `
+        <div class="breakdown-row ${e.delta < 0 ? 'neg' : ''}">
+          <span>${icons[e.source] || '\u2022'} ${e.label} <em>${amount}</em></span>
+          <span>${fmt(e.delta)}</span>
+        </div>`;
+    }
+    
+    // Per-source totals: flat + percent as configured, delta as applied
+    let totals = '';
+    for (const [source, agg] of Object.entries(b.bySource)) {
+      if (source === 'limits') continue;
+      const parts = [];
+      if (agg.flat) parts.push(fmt(agg.flat));
+      if (agg.percent) parts.push(fmt(agg.percent) + '%');
+      totals += `<div class="breakdown-row total"><span>${icons[source] || ''} ${source}</span><span>${parts.join(' / ')} \u2192 ${fmt(agg.delta)}</span></div>`;
+    }
+    
+    const html = `
+      <div class="tooltip-header">
+        <div>
+          <div class="tooltip-name">${label}</div>
+          <div class="tooltip-type">Final ${Math.round(b.final * 100) / 100}</div>
+        </div>
+      </div>
+      <div class="tooltip-body">
+        ${rows}
+        ${totals ? '<div class="breakdown-sep"></div>' + totals : ''}
+      </div>
+    `;
+    this.showTooltip(event, html);
+  },
+  
   // ========== PILOT STATS ==========
   renderPilotStats() {
     const container = document.getElementById('pilotStats');
@@ -181,6 +488,185 @@ export const UI = {
     container.innerHTML = html;
   },
   
+  // ========== MASTERY (pilot modal) ==========
+  renderMastery() {
+    const container = document.getElementById('masteryPanel');
+    if (!container) return;
+    
+    const data = Mastery.getUIData();
+    const maxLevel = getConfig('progression.maxLevel', 100);
+    const capped = typeof maxLevel === 'number' && maxLevel > 0;
+    const hint = !capped ? 'Mastery XP is earned past the pilot level cap'
+      : State.meta.level < maxLevel ? `Mastery unlocks at pilot level ${maxLevel}`
+      : 'Overflow XP feeds mastery';
+    
+    let html = `
+      <div class="mastery-head">
+        <span>Mastery Level <b style="color:var(--gold)">${data.level}</b> \u00B7 ${data.xp} / ${data.xpRequired} XP</span>
+        <span class="points-badge">Points: <span class="points-num">${data.unspentPoints}</span></span>
+      </div>
+      <div class="mastery-xp"><div style="width:${Math.min(100, data.progress * 100).toFixed(1)}%"></div></div>
+      <div class="mastery-list">
+    `;
+    
+    for (const [treeId, tree] of Object.entries(data.trees)) {
+      html += `
+        <div class="pilot-stat-row">
+          <span class="pstat-icon">${tree.icon}</span>
+          <span class="pstat-name">${tree.name}<small>${tree.description}</small></span>
+          <span class="pstat-bonus" title="Next point: +${tree.nextBonus.toFixed(2)}%">+${tree.bonusPercent.toFixed(1)}%</span>
+          <span class="pstat-value">${tree.points}</span>
+          <button class="pstat-btn" onclick="UI.allocateMastery('${treeId}')" ${data.unspentPoints > 0 ? '' : 'disabled'}>+</button>
+        </div>
+      `;
+    }
+    
+    html += `</div><div class="save-status">${hint}</div>`;
+    container.innerHTML = html;
+  },
+  
+  allocateMastery(treeId) {
+    const result = Mastery.allocate(treeId);
+    if (!result.ok) {
+      console.warn('[MASTERY] ' + result.reason);
+      return;
+    }
+    Stats.calculate();
+    SaveScheduler.markDirty('mastery');
+    this.renderMastery();
+    this.renderShipStats();
+  },
+  
+  // ========== LOOT FILTER (hub modal) ==========
+  renderLootFilter() {
+    const container = document.getElementById('lootFilterPanel');
+    if (!container) return;
+    
+    const filter = LootFilter.getFilter();
+    const opts = LootFilter.getOptions();
+    const preview = LootFilter.previewStash();
+    
+    let html = `
+      <div class="lf-head">
+        <label><input type="checkbox" ${filter.enabled ? 'checked' : ''} onchange="UI.lootFilterSetEnabled(this.checked)"> Filter active</label>
+        <span class="lf-preview" title="What the rules would do to items already in the stash">
+          Stash: ${preview.highlight} highlighted \u00B7 ${preview.hide} hidden \u00B7 ${preview.salvage} salvaged
+        </span>
+      </div>
+      <div class="lf-rules">
+    `;
+    
+    if (filter.rules.length === 0) {
+      html += '<div class="save-status">No rules - every drop is shown.</div>';
+    }
+    
+    filter.rules.forEach((rule, i) => {
+      const m = rule.match || {};
+      const chips = (field, values, label = v => v, color = () => null) => values.map(v => {
+        const on = (m[field] || []).includes(v);
+        const c = color(v);
+        return `<span class="lf-chip ${on ? 'on' : ''}" ${c ? `style="--chip:${c}"` : ''} onclick="UI.lootFilterToggle('${rule.id}', '${field}', '${v}')">${label(v)}</span>`;
+      }).join('');
+      const select = (field, options) => `
+        <select onchange="UI.lootFilterSetList('${rule.id}', '${field}', this.value)">
+          <option value="">Any</option>
+          ${options.map(o => `<option value="${o.id}" ${(m[field] || [])[0] === o.id ? 'selected' : ''}>${this.escapeHTML(o.name)}</option>`).join('')}
+        </select>`;
+      
+      html += `
+        <div class="lf-rule ${rule.enabled ? '' : 'off'}">
+          <div class="lf-row">
+            <span class="lf-order">${i + 1}</span>
+            <input type="checkbox" title="Enabled" ${rule.enabled ? 'checked' : ''} onchange="UI.lootFilterUpdate('${rule.id}', 'enabled', this.checked)">
+            <input class="lf-name" type="text" maxlength="32" value="${this.escapeHTML(rule.name || '')}" onchange="UI.lootFilterUpdate('${rule.id}', 'name', this.value)">
+            <select onchange="UI.lootFilterUpdate('${rule.id}', 'action', this.value)">
+              ${FILTER_ACTIONS.map(a => `<option value="${a}" ${rule.action === a ? 'selected' : ''}>${a.toUpperCase()}</option>`).join('')}
+            </select>
+            ${rule.action === 'highlight' ? `
+              <input type="color" value="${this.escapeHTML(rule.color || '#ffcc00')}" onchange="UI.lootFilterUpdate('${rule.id}', 'color', this.value)">
+              <label title="Play a sound when it drops"><input type="checkbox" ${rule.sound ? 'checked' : ''} onchange="UI.lootFilterUpdate('${rule.id}', 'sound', this.checked)">\uD83D\uDD14</label>
+            ` : ''}
+            <span class="lf-tools">
+              <button class="pstat-btn" onclick="UI.lootFilterMove('${rule.id}', -1)" ${i === 0 ? 'disabled' : ''}>\u25B2</button>
+              <button class="pstat-btn" onclick="UI.lootFilterMove('${rule.id}', 1)" ${i === filter.rules.length - 1 ? 'disabled' : ''}>\u25BC</button>
+              <button class="pstat-btn" onclick="UI.lootFilterRemove('${rule.id}')">\u2715</button>
+            </span>
+          </div>
+          <div class="lf-row">${chips('rarities', opts.rarities, r => State.data.rarities[r]?.name || r, r => State.data.rarities[r]?.color)}</div>
+          <div class="lf-row">${chips('slots', opts.slots, s => s.toUpperCase())}</div>
+          <div class="lf-row">
+            Base ${select('bases', opts.bases)}
+            Affix ${select('affixStats', opts.affixStats.map(stat => ({ id: stat, name: this.formatStatName(stat) })))}
+            ilvl <input class="lf-num" type="number" min="0" max="200" value="${m.minIlvl || ''}" placeholder="min" onchange="UI.lootFilterSetMatch('${rule.id}', 'minIlvl', this.value)">
+            \u2013 <input class="lf-num" type="number" min="0" max="200" value="${m.maxIlvl || ''}" placeholder="max" onchange="UI.lootFilterSetMatch('${rule.id}', 'maxIlvl', this.value)">
+          </div>
+        </div>
+      `;
+    });
+    
+    html += `
+      </div>
+      <div class="pilot-row" style="margin-top:8px;">
+        <button class="btn small" onclick="UI.lootFilterAdd()">+ ADD RULE</button>
+        <button class="btn small" onclick="UI.lootFilterReset()">RESET DEFAULTS</button>
+      </div>
+      <div class="save-status">Rules are checked top to bottom; the first match decides. Unmatched drops are shown.</div>
+    `;
+    container.innerHTML = html;
+  },
+  
+  lootFilterSetEnabled(enabled) {
+    LootFilter.setEnabled(enabled);
+    this.renderLootFilter();
+  },
+  
+  lootFilterUpdate(ruleId, field, value) {
+    LootFilter.updateRule(ruleId, { [field]: value });
+    this.renderLootFilter();
+  },
+  
+  // Toggle one value in a match list (rarity / slot chips)
+  lootFilterToggle(ruleId, field, value) {
+    const rule = LootFilter.getRules().find(r => r.id === ruleId);
+    if (!rule) return;
+    const list = rule.match?.[field] || [];
+    const next = list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+    LootFilter.updateRule(ruleId, { match: { [field]: next } });
+    this.renderLootFilter();
+  },
+  
+  // Single-choice match list (base / affix selects); '' = any
+  lootFilterSetList(ruleId, field, value) {
+    LootFilter.updateRule(ruleId, { match: { [field]: value ? [value] : [] } });
+    this.renderLootFilter();
+  },
+  
+  lootFilterSetMatch(ruleId, field, value) {
+    LootFilter.updateRule(ruleId, { match: { [field]: Math.max(0, parseInt(value, 10) || 0) } });
+    this.renderLootFilter();
+  },
+  
+  lootFilterMove(ruleId, dir) {
+    LootFilter.moveRule(ruleId, dir);
+    this.renderLootFilter();
+  },
+  
+  lootFilterRemove(ruleId) {
+    LootFilter.removeRule(ruleId);
+    this.renderLootFilter();
+  },
+  
+  lootFilterAdd() {
+    LootFilter.addRule();
+    this.renderLootFilter();
+  },
+  
+  lootFilterReset() {
+    if (!confirm('Replace all loot filter rules with the defaults?')) return;
+    LootFilter.resetDefaults();
+    this.renderLootFilter();
+  },
+  
   // ========== SKILL TREES ==========
   renderSkillTrees() {
     const container = document.getElementById('skillTrees');
@@ -300,6 +786,7 @@ export const UI = {
   showItemTooltip(event, itemId) {
     const item = State.meta.stash.find(i => i.id === itemId);
     if (!item) return;
+    this.hoverItemId = itemId;
     
     const rarities = State.data.rarities;
     const rarityData = rarities?.[item.rarity];
@@ -309,10 +796,36 @@ export const UI = {
     for (const [stat, value] of Object.entries(item.stats || {})) {
       statsHtml += `<div class="tooltip-stat">+${value} ${this.formatStatName(stat)}</div>`;
     }
+    for (const [stat, value] of Object.entries(Items.getImplicits(item))) {
+      statsHtml += `<div class="tooltip-stat implicit">+${value} ${this.formatStatName(stat)}</div>`;
+    }
     for (const affix of item.affixes || []) {
-      statsHtml += `<div class="tooltip-stat affix">+${affix.value} ${this.formatStatName(affix.stat)}</div>`;
+      const info = Items.getAffixTierInfo(affix);
+      const tierHtml = info
+        ? `<span class="affix-tier">T${info.tier}${info.range ? ` (${info.range[0]}\u2013${info.range[1]})` : ''}</span>`
+        : '';
+      statsHtml += `<div class="tooltip-stat affix">+${affix.value} ${this.formatStatName(affix.stat)}${tierHtml}</div>`;
+    }
+    for (const line of ItemEffects.describe(item)) {
+      statsHtml += `<div class="tooltip-stat effect">\u25C6 ${line}</div>`;
+    }
+    
+    const setId = Items.getSetId(item);
+    const set = setId ? Items.getSetProgress(setId) : null;
+    if (set) {
+      statsHtml += `<div class="tooltip-set"><div class="tooltip-set-name">${set.icon} ${set.equipped}/${set.total} ${set.name}</div>`;
+      for (const piece of set.pieces) {
+        statsHtml += `<div class="tooltip-set-piece ${piece.equipped ? 'on' : ''}">${piece.name}</div>`;
+      }
+      for (const bonus of set.bonuses) {
+        statsHtml += `<div class="tooltip-set-bonus ${bonus.active ? 'on' : ''}">(${bonus.count}) ${bonus.label ? bonus.label + ': ' : ''}${bonus.description || ''}</div>`;
+      }
+      statsHtml += `</div>`;
     }
     
+    const compareHtml = isEquipped ? '' : this.renderItemCompare(item);
+    const flags = [item.locked ? '\uD83D\uDD12 Locked' : '', item.favorite ? '\u2605 Favorite' : ''].filter(Boolean).join(' \u00B7 ');
+    
     const html = `
       <div class="tooltip-header">
         <span class="tooltip-icon">${item.icon}</span>
@@ -323,14 +836,40 @@ export const UI = {
       </div>
       <div class="tooltip-body">
         ${statsHtml}
+        ${compareHtml}
         <div class="tooltip-value">Sell: ${item.value} \uD83D\uDCB0</div>
-        <div class="tooltip-hint">${isEquipped ? 'Click to unequip' : 'Click to equip'}</div>
+        ${flags ? `<div class="tooltip-flags">${flags} \u2013 protected from sell, salvage + rerolls</div>` : ''}
+        <div class="tooltip-hint">${isEquipped ? 'Click to unequip' : 'Click to equip'} \u2022 [L] ${item.locked ? 'Unlock' : 'Lock'} \u2022 [V] ${item.favorite ? 'Unfavorite' : 'Favorite'}</div>
       </div>
     `;
     
     this.showTooltip(event, html, rarityData?.color);
   },
   
+  // "If equipped" section: stat deltas vs the slot's item, DPS / EHP / power change
+  renderItemCompare(item) {
+    const cmp = Stats.compareEquip(item);
+    if (!cmp) return '';
+    
+    const fmt = v => (v > 0 ? '+' : '') + (Math.round(v * 10) / 10);
+    const row = (label, change, detail = '') => {
+      const cls = change > 0 ? 'up' : (change < 0 ? 'down' : '');
+      return `<div class="compare-row ${cls}"><span>${label}</span><span>${detail}${fmt(change)}</span></div>`;
+    };
+    
+    let html = `<div class="tooltip-compare">`;
+    html += `<div class="compare-head">${cmp.current ? 'vs ' + cmp.current.name : 'Slot empty'}</div>`;
+    for (const [stat, d] of Object.entries(cmp.stats || {})) {
+      html += row(this.formatStatName(stat), d.change);
+    }
+    html += `<div class="compare-sep"></div>`;
+    html += row('DPS', cmp.dps.new - cmp.dps.old, `${cmp.dps.old} \u2192 ${cmp.dps.new} `);
+    html += row('Effective HP', cmp.ehp.new - cmp.ehp.old, `${cmp.ehp.old} \u2192 ${cmp.ehp.new} `);
+    html += row('Power', cmp.power.new - cmp.power.old);
+    html += `</div>`;
+    return html;
+  },
+  
   showSlotTooltip(event, slotId) {
     const slots = State.data.slots;
     if (!slots) return;
@@ -391,6 +930,7 @@ export const UI = {
   },
   
   hideTooltip() {
+    this.hoverItemId = null;
     if (this.tooltipEl) {
       this.tooltipEl.classList.remove('visible');
     }
@@ -405,7 +945,7 @@ export const UI = {
       // Unequip
       Items.unequip(slotId);
       Stats.calculate();
-      Save.save();
+      SaveScheduler.markDirty('equipment');
       this.renderAll();
     }
   },
@@ -430,7 +970,7 @@ export const UI = {
     }
     
     Stats.calculate();
-    Save.save();
+    SaveScheduler.markDirty('equipment');
     this.renderAll();
   },
   
@@ -448,17 +988,35 @@ export const UI = {
       return;
     }
     
+    const guard = Items.canDestroy(item);
+    if (!guard.ok) {
+      this.showFloatingText(event.clientX, event.clientY, guard.reason, '#ff4444');
+      return;
+    }
+    
     // Sell it!
     const value = Items.sell(itemId);
     
     // Show feedback
     this.showFloatingText(event.clientX, event.clientY, `+${value} \uD83D\uDCB0`, '#ffcc00');
     
-    Save.save();
+    SaveScheduler.markDirty('stash');
     this.renderAll();
     this.renderScrap();
   },
   
+  toggleItemLock(itemId) {
+    if (!Items.toggleLock(itemId).ok) return;
+    this.hideTooltip();
+    this.renderStash();
+  },
+  
+  toggleItemFavorite(itemId) {
+    if (!Items.toggleFavorite(itemId).ok) return;
+    this.hideTooltip();
+    this.renderStash();
+  },
+  
   // Show floating text feedback
   showFloatingText(x, y, text, color) {
     const el = document.createElement('div');
@@ -481,6 +1039,46 @@ export const UI = {
     setTimeout(() => el.remove(), 1000);
   },
   
+  // Top bar autosave state (SaveScheduler.onChange)
+  renderAutosave(scheduler) {
+    const el = document.getElementById('autosaveIndicator');
+    if (!el) return;
+    const time = scheduler.lastSaved
+      ? new Date(scheduler.lastSaved).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : '';
+    const labels = {
+      idle: '',
+      pending: '\u25CF Unsaved changes',
+      saving: '\u{1F4BE} Saving\u2026',
+      saved: '\u2713 Saved ' + time,
+      error: '\u26A0\uFE0F Save failed'
+    };
+    el.className = 'autosave-indicator ' + scheduler.status;
+    el.textContent = labels[scheduler.status] || '';
+    el.title = time ? 'Last saved ' + time + ' (' + scheduler.lastReason + ')' : '';
+  },
+  
+  // Persistent banner for failed saves (Save.lastError)
+  showSaveWarning(error) {
+    const el = document.getElementById('saveWarning');
+    if (!el || !error) return;
+    const info = Save.getStorageInfo();
+    const usage = error.quota
+      ? `<div class="save-warning-usage">${info.backend}: ${(info.bytes / 1024).toFixed(0)} KB used</div>`
+      : '';
+    el.innerHTML = `
+      <span class="save-warning-icon">\u26A0\uFE0F</span>
+      <div style="flex:1;"><div>${this.escapeHTML(error.reason)}</div>${usage}</div>
+      <button class="btn small" onclick="UI.hideSaveWarning()">\u2715</button>
+    `;
+    el.style.display = 'flex';
+  },
+  
+  hideSaveWarning() {
+    const el = document.getElementById('saveWarning');
+    if (el) el.style.display = 'none';
+  },
+  
   // Update scrap display (hub/start/hud)
   renderScrap() {
     const metaScrap = State.meta.scrap || 0;
@@ -584,6 +1182,12 @@ export const UI = {
       pickupRadius: 'Pickup',
       hpRegen: 'HP Regen',
       shieldRegen: 'Shield Regen',
+      shieldRegenDelay: 'Shield Delay Reduction %',
+      shieldRegenMult: 'Shield Regen ×',
+      dodgeChance: 'Dodge %',
+      rarityUpgrade: 'Rarity Tiers',
+      xpBonus: 'XP %',
+      damageMult: 'Damage %',
       lifesteal: 'Lifesteal'
     };
     return names[stat] || stat;
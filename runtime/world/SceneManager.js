@@ -50,7 +50,7 @@ export const SceneManager = {
       this.showHubUI();
       
       // Save progress
-      State.modules.Save?.save();
+      State.modules.SaveScheduler?.flush('hub', { force: true });
     });
   },
   
@@ -61,6 +61,9 @@ export const SceneManager = {
         this.currentScene = 'loading';
         State.scene = 'loading';
 
+        // A fresh run replaces any suspended one
+        State.meta.suspendedRun = null;
+
         // Initialize world (zone generation can throw if data/config is invalid)
         const success = await World.init(actId, seed);
         if (!success) throw new Error(`World.init() returned false for act: ${actId}`);
@@ -103,7 +106,45 @@ export const SceneManager = {
         State.run.inCombat = false;
 
         this.showHubUI();
-        State.modules.Save?.save();
+        State.modules.SaveScheduler?.flush('hub', { force: true });
+      }
+    });
+  },
+
+  // Resume a suspended run: regenerate its zone, keep the restored run + HP
+  resumeRun(snapshot) {
+    this.startTransition('warp', () => {
+      try {
+        this.currentScene = 'loading';
+        State.scene = 'loading';
+
+        if (!World.restore(snapshot)) throw new Error('World.restore() failed');
+
+        this.currentScene = 'combat';
+        State.scene = 'combat';
+        State.run.inCombat = true;
+
+        State.ui.paused = false;
+        document.body.classList.remove('paused-ui');
+        forceLayoutResize();
+        this.showCombatUI();
+
+        // Restored HP/shield (clamped to the recalculated maximums)
+        const p = State.player;
+        const saved = snapshot.player || {};
+        p.hp = Math.max(1, Math.min(p.maxHP, saved.hp ?? p.maxHP));
+        p.shield = Math.max(0, Math.min(p.maxShield, saved.shield ?? p.maxShield));
+      } catch (err) {
+        console.error(' resumeRun failed:', err);
+
+        // Keep the snapshot so the player can try again
+        State.meta.suspendedRun = snapshot;
+        State.run.active = false;
+        this.currentScene = 'hub';
+        State.scene = 'hub';
+        State.run.inCombat = false;
+        this.showHubUI();
+        State.modules.SaveScheduler?.flush('hub', { force: true });
       }
     });
   },
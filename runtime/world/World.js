@@ -13,6 +13,7 @@ import { SeededRandom } from './SeededRandom.js';
 import { DepthRules } from './DepthRules.js';
 import { SpatialHash } from '../SpatialHash.js';
 import { Background } from './Background.js';
+import { LootRNG } from '../LootRNG.js';
 
 // Shared spatial grid – rebuilt every frame in update()
 let _grid = null;
@@ -98,7 +99,8 @@ export const World = {
   },
   
   // Load/generate a zone (endless via depth)
-  loadZone(index) {
+  // restore: suspended-run snapshot (see createSnapshot) to rebuild the same zone
+  loadZone(index, restore = null) {
     // Depth is 1-based
     const depth = index + 1;
 
@@ -129,16 +131,24 @@ export const World = {
 
     const zoneSeed = MapGenerator.createZoneSeed(this.currentAct.seed, index);
 
-    // Hybrid milestone unlocks (weighted randomness)
-    DepthRules.maybeUnlock(depth, this.currentAct);
-    DepthRules.recordDepth(depth);
+    // Loot streams follow the zone seed (a restored zone continues its drop count)
+    LootRNG.setZone(zoneSeed, restore?.lootDrops || 0);
+    State.run.currentSeed = zoneSeed;
+
+    // Hybrid milestone unlocks (weighted randomness) - already rolled for a restored zone
+    if (!restore) {
+      DepthRules.maybeUnlock(depth, this.currentAct);
+      DepthRules.recordDepth(depth);
+    }
 
     // Boss interval: configurable per tier (default 5)
     const bossInterval = this.currentAct.bossEvery || this.currentAct.zones || 5;
     const isBossZone = (depth % bossInterval) === 0;
 
-    // Sample active modifiers for this zone
-    const activeMods = DepthRules.sampleActive(depth, this.currentAct);
+    // Sample active modifiers for this zone (restored zones reuse the original roll)
+    const activeMods = restore
+      ? [...(restore.genMods || [])]
+      : DepthRules.sampleActive(depth, this.currentAct);
     
     // ═══ DIFFICULTY LANE MODIFIERS ═══
     const diff = State.run.difficulty || 'normal';
@@ -159,6 +169,7 @@ export const World = {
 
     this.currentZone.depth = depth;
     this.currentZone.mods = activeMods;
+    this.currentZone.genMods = [...activeMods]; // generation input, before route extras
     this.currentZone.difficulty = diff;
 
     this.zoneIndex = index;
@@ -187,7 +198,9 @@ export const World = {
       }, 500);
     }
     // Apply route choice from previous zone (branch exits)
-    if (State.run._nextRoute) {
+    if (restore) {
+      this._applySnapshot(restore);
+    } else if (State.run._nextRoute) {
       const route = State.run._nextRoute;
       // Extra modifiers from risky routes
       if (route.modifiers > 0 && this.currentZone.mods) {
@@ -205,9 +218,9 @@ export const World = {
       State.run._nextRoute = null;
     }
 
-    // Position player at spawn
-    State.player.x = this.currentZone.spawn.x;
-    State.player.y = this.currentZone.spawn.y;
+    // Position player at spawn (or where the suspended run left off)
+    State.player.x = restore?.player ? restore.player.x : this.currentZone.spawn.x;
+    State.player.y = restore?.player ? restore.player.y : this.currentZone.spawn.y;
     State.player.vx = 0;
     State.player.vy = 0;
 
@@ -230,7 +243,20 @@ export const World = {
     this.spawnedEliteCount = 0;
     this.bossSpawned = false;
 
+    // Loadout queued during the last zone swaps in now
+    const swapped = State.modules?.Loadouts?.applyPending();
+    if (swapped?.ok) {
+      const note = swapped.missing.length ? ` (${swapped.missing.length} MISSING)` : '';
+      if (State.ui) State.ui.announcement = { text: '\uD83D\uDD01 LOADOUT: ' + swapped.loadout.name + note, timer: 2.5 };
+      State.modules?.UI?.renderAll();
+    }
+
+    // Zone transition is a safe point for pending autosaves
+    State.modules?.SaveScheduler?.safePoint('zone');
+
     // ── AntiExploit: track seed usage for farming detection ──
+    // (a restored zone was already counted when it was first entered)
+    if (restore) return;
     try {
       import('../AntiExploit.js').then(mod => {
         if (mod?.AntiExploit) {
@@ -241,6 +267,109 @@ export const World = {
     } catch (e) { /* AntiExploit not loaded yet – safe to skip */ }
   },
   
+  // ============================================================
+  // Suspend / Resume - zone snapshot
+  // ============================================================
+  // Only what MapGenerator can't reproduce from the seed is stored:
+  // rolled mods, route bonuses, killed spawns, POI progress, extra portals.
+  // Live enemies, bullets and pickups are not kept - unkilled spawns
+  // simply respawn at full HP when the player comes near again.
+
+  createSnapshot() {
+    const zone = this.currentZone;
+    if (!zone || !this.currentAct) return null;
+
+    const killedIndices = (list) => (list || []).reduce((acc, s, i) => {
+      if (s.killed) acc.push(i);
+      return acc;
+    }, []);
+
+    return {
+      actId: this.currentAct.id,
+      actSeed: this.currentAct.seed,
+      zoneIndex: this.zoneIndex,
+      lootDrops: LootRNG.dropCounter,
+      difficulty: zone.difficulty || State.run.difficulty || 'normal',
+      genMods: [...(zone.genMods || zone.mods || [])],
+      mods: [...(zone.mods || [])],
+      route: {
+        lootMult: zone._lootMult || 1.0,
+        isVault: !!zone._isVault,
+        vaultLootMult: zone._vaultLootMult || 0
+      },
+      player: { x: State.player.x, y: State.player.y },
+      killed: {
+        enemies: killedIndices(zone.enemySpawns),
+        elites: killedIndices(zone.eliteSpawns),
+        boss: !!zone.bossSpawn?.killed
+      },
+      pois: (zone.pois || []).map(poi => ({
+        triggered: !!poi.triggered,
+        cleared: !!poi.cleared,
+        collected: !!poi.collected
+      })),
+      portals: (zone.portals || []).map(p => ({ ...p })),
+      objective: zone.objective ? { ...zone.objective } : null
+    };
+  },
+
+  // Re-apply snapshot state onto a freshly regenerated zone
+  _applySnapshot(snap) {
+    const zone = this.currentZone;
+
+    zone.mods = [...(snap.mods || zone.mods)];
+    zone._lootMult = snap.route?.lootMult || 1.0;
+    if (snap.route?.isVault) {
+      zone._isVault = true;
+      zone._vaultLootMult = snap.route.vaultLootMult || 2.0;
+    }
+
+    const markKilled = (list, indices) => {
+      for (const i of indices || []) {
+        if (list?.[i]) list[i].killed = true;
+      }
+    };
+    markKilled(zone.enemySpawns, snap.killed?.enemies);
+    markKilled(zone.eliteSpawns, snap.killed?.elites);
+    if (snap.killed?.boss && zone.bossSpawn) zone.bossSpawn.killed = true;
+
+    (snap.pois || []).forEach((saved, i) => {
+      const poi = zone.pois?.[i];
+      if (!poi) return;
+      poi.triggered = saved.triggered;
+      poi.cleared = saved.cleared;
+      poi.collected = saved.collected;
+      poi._announced = saved.triggered;
+    });
+
+    // Boss-victory / hub portals are added at runtime, not by the generator
+    if (Array.isArray(snap.portals)) zone.portals = snap.portals.map(p => ({ ...p }));
+
+    if (snap.objective && zone.objective) {
+      Object.assign(zone.objective, snap.objective);
+      State.run.objective = zone.objective;
+    }
+  },
+
+  // Rebuild the world from a suspended-run snapshot (same seed, same zone)
+  restore(snap) {
+    const depth = snap.zoneIndex + 1;
+    const tierConfig = this.getTierForDepth(depth);
+    if (!tierConfig) {
+      console.error(`[WORLD] No tier config for suspended zone ${depth}`);
+      return false;
+    }
+
+    this.currentAct = { ...tierConfig };
+    this.currentAct.id = tierConfig.id || snap.actId;
+    this.currentAct.seed = snap.actSeed;
+
+    this.zoneIndex = snap.zoneIndex;
+    this.loadZone(snap.zoneIndex, snap);
+    console.log(`[WORLD] Restored suspended run at zone ${depth} (seed ${snap.actSeed})`);
+    return true;
+  },
+  
   // Update - handle proximity spawning
   update(dt) {
     if (!this.currentZone) return;
@@ -556,15 +685,16 @@ export const World = {
     // Loot cache → spawn item pickup
     if (reward.type === 'loot_cache') {
       const ilvl = State.run.currentDepth || State.meta.level || 1;
-      State.pickups.push({
-        type: 'item', x: poi.x, y: poi.y + 10,
+      const Pickups = State.modules?.Pickups;
+      Pickups?.dropItem({
+        x: poi.x, y: poi.y + 10,
         vx: (Math.random() - 0.5) * 50, vy: -40 + Math.random() * 20,
         life: 20, rarity: reward.rarity || 'rare', ilvl
       });
       // Second item for epic+ POIs
       if (['epic', 'legendary', 'mythic'].includes(reward.rarity)) {
-        State.pickups.push({
-          type: 'item', x: poi.x + 15, y: poi.y - 10,
+        Pickups?.dropItem({
+          x: poi.x + 15, y: poi.y - 10,
           vx: (Math.random() - 0.5) * 60, vy: -30 + Math.random() * 20,
           life: 20, rarity: reward.rarity === 'legendary' ? 'epic' : 'rare', ilvl
         });